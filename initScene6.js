@@ -2,23 +2,67 @@ import * as THREE from 'three';
 import Stats from 'stats';
 // import MODEL_URL from "./Models/Man.glb"
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
 import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js';
 import { FontLoader } from 'three/examples/jsm/loaders/FontLoader.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { InstancedCrowd, TINT_MATERIAL } from './render/instancedCrowd.js';
+import { HeatmapOverlay } from './render/heatmapOverlay.js';
+import { validateLayout } from './sim/layout.js';
+import { buildDepartments, getPortalConfigs, PORTAL_DIRECTION } from './sim/departments.js';
+import {
+    cloneLayout, snapToGrid, addDepartment, removeDepartment, renameDepartment, moveDepartment, resizeDepartment,
+    addPortal, removePortal, updatePortal,
+} from './sim/layoutEditing.js';
+import { getLevelConfigs, LINK_TYPE } from './sim/levels.js';
+import { createSimulation, setSeed, setSteeringModel, spawnAgents, stepSimulation, getSnapshot, getAgentDetails } from './sim/simulation.js';
+import { OccupancyGrid, OCCUPANCY_MODE } from './sim/occupancyGrid.js';
+import { summarizeAnalytics, summarizePortals, summarizeStore, summarizeCheckouts, summarizeLinks, ABANDON_REASON } from './sim/analytics.js';
+import { DOOR_TYPE, getArrivalRate } from './sim/doors.js';
+import { RunRecording } from './sim/recording.js';
+import { TrajectoryRecorder, buildKpis, buildRunJSON, trajectoriesToCSV, eventsToCSV, kpisToCSV } from './sim/runExport.js';
+import { DEFAULT_SEED, normalizeSeed } from './sim/random.js';
+import {
+    MODEL_SCALE, AGENT_RADIUS, FLOOR_WIDTH, FLOOR_DEPTH, PORTAL_WIDTH_FACTOR, DOOR_WIDTH, FIXED_TIME_STEP, STEERING_MODEL, AGENT_STATE,
+    CHECKOUT_LANE_SPACING, CHECKOUT_QUEUE_SPACING, CHECKOUT_COUNTER_LENGTH, LINK_RIDER_SPACING,
+    HEATMAP_CELL_SIZE, HEATMAP_WINDOW_SECONDS, HEATMAP_WINDOW_BUCKETS, TRAJECTORY_SAMPLE_INTERVAL,
+} from './sim/constants.js';
 
 // --- Three.js Setup ---
 let scene, camera, renderer, ambientLight, pointLight, clock;
-let floor, departments = [], agents = [];
-let portalMeshes = []; // To keep track of portal visualization meshes
+let levelViews = []; // Per simulation level: { level, group, floor, occupancyGrid, heatmapOverlay }; a level's meshes go in its group
+let departmentViews = [];
+let agentViews = new Map(); // Agent id -> { mesh, mixer, actions, currentAction } (skinned render mode)
+let agentTrails = new Map(); // Agent id -> { points, line }
+let instancedCrowd = null; // Created on first use of the instanced render mode
+let portalMeshes = []; // To keep track of portal visualization meshes (and their queue line guides)
+let fixtureMeshes = []; // Department fixtures and product point markers
+let doorMeshes = [];   // Store door markers on the floor edge
+let checkoutMeshes = []; // Till counters, lane lines and checkout labels
+let linkMeshes = [];     // Escalator / elevator landings, their queue guides and (exploded view) the links between levels
 let controls;
 let stats;
 
 // --- Simulation Parameters ---
+let simulation = null; // Headless simulation state (sim/simulation.js); rendered from snapshots
 let speed = 1;
 let agentCount = 25; // Reduced default count due to increased complexity
+let seed = DEFAULT_SEED; // Same seed + layout + count replays the same run
+let steeringModel = STEERING_MODEL.BOUNCE; // Kept across layout switches
 let isPaused = false;
+let stepAccumulator = 0; // Simulated seconds owed to the fixed-step loop
+
+// --- Frame Timing ---
+const MAX_FRAME_DELTA = 0.25;     // Clamp for long frames (e.g. tab was in the background)
+const MAX_STEPS_PER_FRAME = 12;   // Catch-up bound; beyond it the sim runs slower instead of stalling the page
 let showTrails = false;
+let renderMode = 'auto'; // 'skinned', 'instanced', or 'auto' (instanced above INSTANCED_AUTO_THRESHOLD agents)
+
+// --- Store Layouts ---
+const LAYOUTS_URL = './layouts/'; // index.json lists the available layout files
+let layoutIndex = [];             // [{ id, label, file }] from index.json
+let currentLayoutId = null;
 
 // --- Asset Loading ---
 let loadedFont = null;
@@ -26,50 +70,114 @@ let loadedGltfModel = null; // Will store GLTF data including scene and animatio
 const fontLoader = new FontLoader();
 const gltfLoader = new GLTFLoader();
 const MODEL_URL = "./Models/Man.glb" // ADJUST PATH AS NEEDED
-const MODEL_SCALE = 8;
 let modelBaseHeightOffset = 0; // Calculated offset to place feet on floor
 
-// --- Agent Behavior & Animation ---
-const MIN_AGENT_SEPARATION = MODEL_SCALE * 1.5; // Base separation on model scale
-const PORTAL_WIDTH_FACTOR = MODEL_SCALE * 1.8; // How wide portals are relative to scale
-const PORTAL_THRESHOLD = MODEL_SCALE * 0.6; // How close agent needs to be to interact with portal center
-const AGENT_MOVE_SPEED = 1.0 * MODEL_SCALE; // Base speed related to model size
+// --- Agent Animation & Rendering ---
 const ANIMATION_FADE_DURATION = 0.2; // Seconds for animation crossfade
-const VELOCITY_THRESHOLD_SQ = 0.01 * MODEL_SCALE * 0.01 * MODEL_SCALE; // Threshold to consider agent stopped (squared)
-
-// --- Department Interaction ---
-const IDLE_CHANCE = 0.002;      // Chance per second to start idling
-const MIN_IDLE_TIME = 2.0;
-const MAX_IDLE_TIME = 6.0;
-const MIN_TIME_IN_DEPT = 8.0;
-const MAX_TIME_IN_DEPT = 20.0;
-const DEPT_VISIT_CHANCE = 0.05; // Chance per second for a wandering agent to pick a department
-
-// --- Agent States (Expanded) ---
-const AGENT_STATE = {
-    WANDERING: 'WANDERING',         // Moving freely outside departments
-    GOING_TO_DEPT: 'GOING_TO_DEPT', // Moving towards an entry portal
-    WAITING_ENTRY: 'WAITING_ENTRY', // In queue outside an entry portal
-    ENTERING: 'ENTERING',           // Crossing the entry portal threshold
-    INSIDE_DEPT: 'INSIDE_DEPT',     // Moving freely inside a department
-    GOING_TO_EXIT: 'GOING_TO_EXIT', // Moving towards an exit portal
-    WAITING_EXIT: 'WAITING_EXIT',   // In queue inside an exit portal
-    EXITING: 'EXITING',             // Crossing the exit portal threshold
-    IDLE: 'IDLE',                   // Standing still (temporarily)
+const INSTANCED_AUTO_THRESHOLD = 300; // Agent count above which 'auto' switches to instanced rendering
+let walkClip = null;
+let idleClip = null;
+
+// --- Heatmap ---
+const HEATMAP_REFRESH_INTERVAL = 0.5; // Seconds between texture updates while the overlay is shown
+let showHeatmap = false;
+let heatmapMode = OCCUPANCY_MODE.CUMULATIVE;
+let heatmapState = null;   // AGENT_STATE to count, or null for all agents
+let heatmapRefreshTimer = 0;
+
+// --- Levels ---
+const LEVEL_VIEW_EXPLODED = 'exploded';
+const EXPLODED_LEVEL_SPACING = 1.5; // Exploded view: levels drawn this many times their real height apart
+const POINT_LIGHT_HEIGHT = 300;      // Above the highest level drawn
+let levelView = LEVEL_VIEW_EXPLODED; // Index of the one level shown, or LEVEL_VIEW_EXPLODED for all of them
+
+// --- Analytics Panel ---
+const ANALYTICS_REFRESH_INTERVAL = 0.5; // Seconds between panel updates
+let analyticsRefreshTimer = 0;
+
+// --- Export ---
+const trajectoryRecorder = new TrajectoryRecorder(TRAJECTORY_SAMPLE_INTERVAL); // Cleared on every respawn
+
+// --- Record & Replay ---
+const liveRecording = new RunRecording(); // Every step of the live run, restarted on every respawn
+let replayRecording = null; // Recording being played back (liveRecording or one loaded from a file); null when live
+let replayTime = 0;         // Simulated seconds into replayRecording
+let replaySpeed = 1;
+let isReplayPaused = true;
+
+// --- Agent Inspector ---
+const INSPECTOR_REFRESH_INTERVAL = 0.25; // Seconds between panel updates
+const CLICK_MOVE_TOLERANCE = 5;          // Pixels the pointer may move and still count as a click (not an orbit drag)
+let inspectedAgentId = null;
+let followInspectedAgent = false;  // Keeps the OrbitControls target on the inspected agent
+let inspectorRefreshTimer = 0;
+let selectionMarker = null;        // Ring under the inspected agent, created on first use
+let pointerDownPosition = null;
+const raycaster = new THREE.Raycaster();
+const pointerNdc = new THREE.Vector2();
+const followOffset = new THREE.Vector3();
+
+// --- Layout Editor ---
+const EDITOR_PORTAL_FACES = ['x+', 'x-', 'z+', 'z-'];
+let editedLayout = null;      // Copy of the running layout being edited; null outside edit mode
+let editorSelection = null;   // Selected department (an entry of a level's departments in editedLayout)
+let editorWasPaused = false;  // Pause state to go back to on Cancel
+let transformControls = null; // Drag gizmo, created on first use
+let editorHandle = null;      // Invisible object the gizmo drags; drags are read back into the selection
+let editorDragStartSize = null;
+
+// --- Agent Colours ---
+const COLOR_MODE = { MODEL: 'model', STATE: 'state', DEPARTMENT: 'department' };
+const STATE_COLORS = {
+    [AGENT_STATE.WANDERING]: 0x9e9e9e,
+    [AGENT_STATE.GOING_TO_DEPT]: 0x1e88e5,
+    [AGENT_STATE.WAITING_ENTRY]: 0xfdd835,
+    [AGENT_STATE.ENTERING]: 0x43a047,
+    [AGENT_STATE.INSIDE_DEPT]: 0x8e24aa,
+    [AGENT_STATE.GOING_TO_EXIT]: 0x00acc1,
+    [AGENT_STATE.WAITING_EXIT]: 0xfb8c00,
+    [AGENT_STATE.EXITING]: 0xe53935,
+    [AGENT_STATE.IDLE]: 0x6d4c41,
+    [AGENT_STATE.LEAVING]: 0x000000,
+    [AGENT_STATE.GOING_TO_CHECKOUT]: 0x3949ab,
+    [AGENT_STATE.WAITING_CHECKOUT]: 0xffb300,
+    [AGENT_STATE.CHECKING_OUT]: 0xd81b60,
+    [AGENT_STATE.BROWSING]: 0xc0ca33,
 };
+const NO_TARGET_COLOR = 0x9e9e9e; // Department mode: agents not heading for or inside a department
+let colorMode = COLOR_MODE.MODEL;
+let departmentColors = new Map(); // Department name -> layout colour, rebuilt with the department views
+const tintColor = new THREE.Color(); // Scratch colour for per-frame tinting
 
 // --- Trail Settings ---
 const trailLength = 30;
 const agentColor = 0x555555;
 
-// --- Camera Settings ---
-const initialCameraPosition = new THREE.Vector3(0, 250, 400); // Adjusted initial view
-const initialControlsTarget = new THREE.Vector3(0, 0, 0);
+// --- Department Label Settings ---
+const LABEL_COLOR = 0x333333;
+const FULL_LABEL_COLOR = 0xc62828; // Capped departments at their occupancy cap
 
-// --- Raycasting ---
-const raycaster = new THREE.Raycaster();
-const downVector = new THREE.Vector3(0, -1, 0); // For potential future floor sticking if needed
+// --- Portal Settings ---
+const PORTAL_COLORS = {
+    [PORTAL_DIRECTION.ENTRY]: 0x00ff00, // Also entry-side queue lines
+    [PORTAL_DIRECTION.EXIT]: 0xff0000,  // Also exit-side queue lines
+    [PORTAL_DIRECTION.BOTH]: 0xffc107,
+};
+
+// --- Queue Line Settings ---
+const QUEUE_GUIDE_SLOTS = 8; // Slots of each portal's queue line traced on the floor
+
+// --- Fixture Settings ---
+const FIXTURE_COLOR = 0x9e9e9e; // Fixtures without their own colour
+const PRODUCT_MARKER_COLOR = 0xffb300;
+const PRODUCT_MARKER_RADIUS = AGENT_RADIUS;
 
+// --- Camera Settings ---
+const initialCameraPosition = new THREE.Vector3(0, 250, 400); // View of the default floor; other floors get it scaled (frameFloor)
+const initialControlsTarget = new THREE.Vector3(0, 0, 0);
+const CAMERA_MAX_DISTANCE = 1000; // Zoom-out limit on the default floor, scaled like the view
+const homeCameraPosition = initialCameraPosition.clone(); // Where Reset View goes for the current floor
+const homeControlsTarget = initialControlsTarget.clone();
 //=============================================================================
 // ASSET LOADING
 //=============================================================================
@@ -120,7 +228,7 @@ async function initScene() {
     scene.add(ambientLight);
 
     pointLight = new THREE.PointLight(0xffffff, 1.0, 1500); // Increased intensity slightly, added decay distance
-    pointLight.position.set(50, 300, 150);
+    pointLight.position.set(50, POINT_LIGHT_HEIGHT, 150);
     pointLight.castShadow = true;
     pointLight.shadow.mapSize.width = 1024;
     pointLight.shadow.mapSize.height = 1024;
@@ -135,16 +243,8 @@ async function initScene() {
      scene.add( hemiLight );
 
 
-    // --- Floor ---
-    const floorGeometry = new THREE.PlaneGeometry(800, 500);
-    const floorMaterial = new THREE.MeshStandardMaterial({
-        color: "#cccccc", side: THREE.DoubleSide, roughness: 0.9, metalness: 0.1 // Less reflective floor
-    });
-    floor = new THREE.Mesh(floorGeometry, floorMaterial);
-    floor.rotation.x = -Math.PI / 2;
-    floor.position.y = 0;
-    floor.receiveShadow = true;
-    scene.add(floor);
+    // --- Heatmap (floors and their occupancy grids come with the layout) ---
+    populateHeatmapStateSelect();
 
     // --- Load Assets ---
     try {
@@ -160,6 +260,7 @@ async function initScene() {
         tempMesh.scale.set(MODEL_SCALE, MODEL_SCALE, MODEL_SCALE);
         const box = new THREE.Box3().setFromObject(tempMesh);
         modelBaseHeightOffset = -box.min.y; // Offset needed to bring model's lowest point to y=0
+        findAnimationClips();
 
     } catch (error) {
         console.error("Error loading assets:", error);
@@ -167,8 +268,27 @@ async function initScene() {
         return; // Stop initialization
     }
 
-    // --- Create Initial Departments ---
-    createDepartments('baseline');
+    // --- Load Layouts & Create Initial Departments ---
+    try {
+        layoutIndex = await loadLayoutIndex();
+        populateScenarioSelect();
+    } catch (error) {
+        console.error("Error loading layout index:", error);
+        showLayoutErrors([`Could not load ${LAYOUTS_URL}index.json: ${error.message}`]);
+        return;
+    }
+    const initialLayout = await loadLayout(layoutIndex[0].id);
+    if (initialLayout.errors.length > 0) {
+        showLayoutErrors(initialLayout.errors, layoutIndex[0].id);
+        return;
+    }
+    currentLayoutId = layoutIndex[0].id;
+    simulation = createSimulation(initialLayout.layout, { seed, steeringModel });
+    createLevels(simulation.levels);
+    createDepartments(simulation.departments);
+    createDoors(simulation.doors);
+    createCheckouts(simulation.checkouts);
+    populateLevelSelect();
 
     // --- Stats.js ---
     stats = new Stats();
@@ -179,84 +299,189 @@ async function initScene() {
 
     // --- OrbitControls ---
     controls = new OrbitControls(camera, renderer.domElement);
-    controls.target.copy(initialControlsTarget);
     controls.enableDamping = true;
     controls.dampingFactor = 0.07; // Adjust for desired coasting
     controls.maxPolarAngle = Math.PI / 2 - 0.05; // Prevent looking straight down or below floor
     controls.minDistance = 50;
-    controls.maxDistance = 1000;
+    applyLevelView(); // Also sets the home view and maxDistance
+    camera.position.copy(homeCameraPosition);
+    controls.target.copy(homeControlsTarget);
     controls.update();
 
     // --- Event Listeners & UI Setup ---
     setupUIEventListeners();
 
     // --- Spawn Initial Agents ---
-    spawnAgents(agentCount);
+    spawnAgents(simulation, agentCount);
+    startLiveRecording();
     updateUIDisplay();
 
     // --- Start Animation Loop ---
     animate();
 }
 
+//=============================================================================
+// LAYOUT LOADING
+//=============================================================================
+
+async function fetchJSON(url) {
+    const response = await fetch(url, { cache: 'no-cache' }); // Layout files change often while designing
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    return response.json();
+}
+
+async function loadLayoutIndex() {
+    const index = await fetchJSON(`${LAYOUTS_URL}index.json`);
+    if (!index || !Array.isArray(index.layouts) || index.layouts.length === 0) {
+        throw new Error('index.json has no "layouts" entries');
+    }
+    return index.layouts;
+}
+
+// Resolves to { layout, errors }; layout is only set when it passed validation
+async function loadLayout(id) {
+    const entry = layoutIndex.find(l => l.id === id);
+    if (!entry) return { layout: null, errors: [`Unknown layout "${id}".`] };
+
+    let layout;
+    try {
+        layout = await fetchJSON(`${LAYOUTS_URL}${entry.file}`);
+    } catch (error) {
+        return { layout: null, errors: [`Could not load ${entry.file}: ${error.message}`] };
+    }
+
+    const errors = checkLayout(layout);
+    return { layout: errors.length === 0 ? layout : null, errors };
+}
+
+function checkLayout(layout) {
+    return validateLayout(layout, {
+        floorWidth: FLOOR_WIDTH,
+        floorDepth: FLOOR_DEPTH,
+        defaultPortalWidth: PORTAL_WIDTH_FACTOR,
+        defaultDoorWidth: DOOR_WIDTH,
+        defaultLaneSpacing: CHECKOUT_LANE_SPACING,
+    });
+}
+
+function populateScenarioSelect() {
+    const select = document.getElementById('scenario');
+    if (!select) return;
+    select.innerHTML = '';
+    layoutIndex.forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        option.textContent = entry.label || entry.id;
+        select.appendChild(option);
+    });
+}
+
+function showLayoutErrors(errors, layoutId) {
+    const errorsEl = document.getElementById('layout-errors');
+    if (!errorsEl) return;
+    errorsEl.innerHTML = '';
+    if (errors.length === 0) {
+        errorsEl.style.display = 'none';
+        return;
+    }
+    const title = document.createElement('strong');
+    title.textContent = layoutId ? `Layout "${layoutId}" rejected:` : 'Layout error:';
+    errorsEl.appendChild(title);
+    const list = document.createElement('ul');
+    errors.forEach(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        list.appendChild(item);
+    });
+    errorsEl.appendChild(list);
+    errorsEl.style.display = 'block';
+}
+
 //=============================================================================
 // DEPARTMENT CREATION & PORTAL SETUP
 //=============================================================================
 
-function createDepartments(layout) {
+// A group per level holding its floor, departments and (ground level) doors and checkouts, each
+// floor with a fresh occupancy grid and heatmap overlay. applyLevelView() places and shows them.
+function createLevels(simLevels) {
+    levelViews.forEach(view => {
+        view.heatmapOverlay.dispose();
+        scene.remove(view.group);
+        view.floor.geometry.dispose();
+        view.floor.material.dispose();
+    });
+    levelViews = simLevels.map(level => {
+        const group = new THREE.Group();
+        group.name = `Level ${level.name}`;
+        scene.add(group);
+        const floor = createFloorMesh(level.floor);
+        group.add(floor);
+        const occupancyGrid = new OccupancyGrid({
+            floor: level.floor, cellSize: HEATMAP_CELL_SIZE,
+            windowSeconds: HEATMAP_WINDOW_SECONDS, bucketCount: HEATMAP_WINDOW_BUCKETS, level: level,
+        });
+        const heatmapOverlay = new HeatmapOverlay(floor, occupancyGrid);
+        if (showHeatmap) heatmapOverlay.show();
+        return { level, group, floor, occupancyGrid, heatmapOverlay };
+    });
+}
+
+// Floor mesh in the shape of the level's outline (sim/floor.js)
+function createFloorMesh(simFloor) {
+    // Shape y is world -z once the shape is laid flat
+    const shape = new THREE.Shape(simFloor.outline.map(corner => new THREE.Vector2(corner.x, -corner.z)));
+    const floorGeometry = new THREE.ShapeGeometry(shape);
+    // UVs across the bounding box with v = 0 at +z, as on a laid-flat PlaneGeometry, for the heatmap texture
+    const { minX, maxZ } = simFloor.bounds;
+    const positions = floorGeometry.attributes.position;
+    for (let i = 0; i < positions.count; i++) {
+        floorGeometry.attributes.uv.setXY(i, (positions.getX(i) - minX) / simFloor.width, (positions.getY(i) + maxZ) / simFloor.depth);
+    }
+    const floorMaterial = new THREE.MeshStandardMaterial({
+        color: "#cccccc", side: THREE.DoubleSide, roughness: 0.9, metalness: 0.1 // Less reflective floor
+    });
+    const floor = new THREE.Mesh(floorGeometry, floorMaterial);
+    floor.rotation.x = -Math.PI / 2;
+    floor.position.y = 0;
+    floor.receiveShadow = true;
+    return floor;
+}
+
+function getLevelGroup(level) {
+    return levelViews[level.index].group;
+}
+
+// Builds meshes for the simulation's departments (see sim/departments.js), each in its level's group
+function createDepartments(simDepartments) {
     if (!loadedFont) return;
 
     // --- Clear Existing ---
-    departments.forEach(dept => {
-        scene.remove(dept.mesh);
-        scene.remove(dept.wireframe);
-        if (dept.label) scene.remove(dept.label);
+    departmentViews.forEach(view => {
+        view.mesh.removeFromParent();
+        view.wireframe.removeFromParent();
+        if (view.label) view.label.removeFromParent();
     });
-    departments = [];
-    portalMeshes.forEach(mesh => scene.remove(mesh));
+    departmentViews = [];
+    portalMeshes.forEach(mesh => mesh.removeFromParent());
     portalMeshes = [];
-
-    // --- Define Layouts with Separate Portals ---
-    let layoutConfig;
-    const portalWidth = PORTAL_WIDTH_FACTOR; // Use defined factor
-    if (layout === 'baseline') {
-        layoutConfig = [
-            { name: 'Produce', size: [180, 80, 90], position: [-110, 40, 130], color: 0xaec6cf,
-              entryPortal: { face: 'z-', width: portalWidth, offset: -40 }, // Offset along face edge
-              exitPortal:  { face: 'z-', width: portalWidth, offset: 40 }
-            },
-            { name: 'Dairy', size: [180, 80, 90], position: [110, 40, 130], color: 0x98fb98,
-              entryPortal: { face: 'x-', width: portalWidth, offset: 0 }, // Centered on face
-              exitPortal:  { face: 'z-', width: portalWidth, offset: 0 }
-            },
-            { name: 'Bakery', size: [380, 80, 90], position: [0, 40, -130], color: 0xffe4c4,
-              entryPortal: { face: 'x+', width: portalWidth, offset: -60 },
-              exitPortal:  { face: 'x+', width: portalWidth, offset: 60 }
-            }
-        ];
-    } else if (layout === 'alternate') {
-        layoutConfig = [
-             { name: 'Electronics', size: [230, 80, 90], position: [-180, 40, 0], color: 0xd8bfd8,
-               entryPortal: { face: 'z+', width: portalWidth, offset: -50 },
-               exitPortal:  { face: 'z+', width: portalWidth, offset: 50 }
-             },
-             { name: 'Apparel', size: [230, 80, 90], position: [180, 40, 0], color: 0xffdab9,
-                entryPortal: { face: 'z-', width: portalWidth, offset: -50 },
-                exitPortal:  { face: 'z-', width: portalWidth, offset: 50 }
-             }
-        ];
-    }
-
-    // --- Create Department Meshes and Portal Data ---
-    layoutConfig.forEach(config => {
-        const dept = createSingleDepartment(config);
-        if (dept) {
-            departments.push(dept);
+    fixtureMeshes.forEach(mesh => mesh.removeFromParent());
+    fixtureMeshes = [];
+    departmentColors = new Map(simDepartments.map(dept => [dept.name, dept.config.color]));
+    updateColorLegend();
+
+    // --- Create Department Meshes and Portal Lines ---
+    simDepartments.forEach(dept => {
+        const view = createSingleDepartment(dept);
+        if (view) {
+            departmentViews.push(view);
         }
     });
 }
 
-function createSingleDepartment(config) {
-    const { name, size, position, color, entryPortal, exitPortal } = config;
+function createSingleDepartment(dept) {
+    const group = getLevelGroup(dept.level);
+    const config = dept.config;
+    const { name, size, position, color } = config;
     const geometry = new THREE.BoxGeometry(...size);
 
     // Main mesh
@@ -269,98 +494,170 @@ function createSingleDepartment(config) {
     mesh.receiveShadow = true;
     mesh.userData.isDepartment = true;
     mesh.userData.config = config; // Store config for easy access
-    scene.add(mesh);
+    group.add(mesh);
 
     // Wireframe
     const edgesGeometry = new THREE.EdgesGeometry(geometry);
     const lineMaterial = new THREE.LineBasicMaterial({ color: color, linewidth: 1.5 }); // Linewidth > 1 might not work consistently
     const wireframe = new THREE.LineSegments(edgesGeometry, lineMaterial);
     wireframe.position.copy(mesh.position);
-    scene.add(wireframe);
+    group.add(wireframe);
 
-    // Label
+    // Label (name, plus live occupancy against the cap for capped departments)
     let textMesh = null;
+    const labelText = getDepartmentLabelText(dept);
     try {
-        const textGeometry = new TextGeometry(name, { font: loadedFont, size: 15, depth: 1 });
+        const textGeometry = new TextGeometry(labelText, { font: loadedFont, size: 15, depth: 1 });
         textGeometry.computeBoundingBox();
         const centerOffset = -0.5 * (textGeometry.boundingBox.max.x - textGeometry.boundingBox.min.x);
-        const textMaterial = new THREE.MeshBasicMaterial({ color: 0x333333 });
+        const textMaterial = new THREE.MeshBasicMaterial({ color: getDepartmentLabelColor(dept) });
         textMesh = new THREE.Mesh(textGeometry, textMaterial);
         textMesh.position.set(position[0] + centerOffset, position[1] + size[1] / 2 + 15, position[2]); // Slightly higher
         textMesh.rotation.y = Math.PI / 20;
-        scene.add(textMesh);
+        group.add(textMesh);
     } catch (e) {
         console.error("Error creating text geometry for:", name, e);
     }
 
+    // --- Portal Lines (portal data itself lives in the simulation) ---
+    dept.portals.forEach(portal => {
+        visualizePortal(group, portal, PORTAL_COLORS[portal.direction]);
+        portalMeshes.push(...visualizeQueueLine(group, portal.entryLine, PORTAL_COLORS[PORTAL_DIRECTION.ENTRY]));
+        portalMeshes.push(...visualizeQueueLine(group, portal.exitLine, PORTAL_COLORS[PORTAL_DIRECTION.EXIT]));
+    });
+    visualizeFixtures(group, dept);
 
-    // --- Calculate and Store Portal Data ---
-    const deptData = { name, mesh, wireframe, label: textMesh, config };
-    const halfSize = { x: size[0] / 2, y: size[1] / 2, z: size[2] / 2 };
-
-    // Entry Portal
-    deptData.entryPortal = calculatePortalData(entryPortal, position, halfSize, modelBaseHeightOffset);
-    visualizePortal(deptData.entryPortal, 0x00ff00); // Green for entry
-
-    // Exit Portal
-    deptData.exitPortal = calculatePortalData(exitPortal, position, halfSize, modelBaseHeightOffset);
-    visualizePortal(deptData.exitPortal, 0xff0000); // Red for exit
-
-    return deptData;
-}
-
-function calculatePortalData(portalConfig, deptPos, halfSize, floorY) {
-    const { face, width, offset } = portalConfig;
-    const center = new THREE.Vector3(deptPos[0], floorY, deptPos[2]); // Base center at floor level
-    const worldPos = new THREE.Vector3(deptPos[0], floorY, deptPos[2]); // Portal position on the wall face
-    const faceNormal = new THREE.Vector3();
-    let offsetAxis = 'z'; // Default offset axis
-
-    switch (face) {
-        case 'x+':
-            worldPos.x += halfSize.x;
-            worldPos.z += offset;
-            faceNormal.set(1, 0, 0);
-            offsetAxis = 'z';
-            break;
-        case 'x-':
-            worldPos.x -= halfSize.x;
-            worldPos.z += offset;
-            faceNormal.set(-1, 0, 0);
-            offsetAxis = 'z';
-            break;
-        case 'z+':
-            worldPos.z += halfSize.z;
-            worldPos.x += offset;
-            faceNormal.set(0, 0, 1);
-            offsetAxis = 'x';
-            break;
-        case 'z-':
-            worldPos.z -= halfSize.z;
-            worldPos.x += offset;
-            faceNormal.set(0, 0, -1);
-            offsetAxis = 'x';
-            break;
-    }
+    return { name, mesh, wireframe, label: textMesh, labelText, department: dept };
+}
 
-    return {
-        center: center,       // Department center (for internal targeting maybe)
-        width: width,
-        faceNormal: faceNormal,
-        worldPos: worldPos,   // Center point of the portal line on the wall
-        offsetAxis: offsetAxis, // Which axis (x or z) the portal extends along
-        isOccupied: false,
-        queue: [],
-        config: portalConfig // Keep original config if needed
-    };
+function getDepartmentLabelText(dept) {
+    return dept.maxOccupancy === null ? dept.name : `${dept.name} ${dept.occupancy}/${dept.maxOccupancy}`;
+}
+
+function getDepartmentLabelColor(dept) {
+    return dept.maxOccupancy !== null && dept.occupancy >= dept.maxOccupancy ? FULL_LABEL_COLOR : LABEL_COLOR;
+}
+
+// Rebuilds the labels of capped departments whose occupancy changed since they were drawn
+function updateDepartmentLabels() {
+    departmentViews.forEach(view => {
+        const dept = view.department;
+        const labelText = getDepartmentLabelText(dept);
+        if (!view.label || labelText === view.labelText) return;
+        view.labelText = labelText;
+        const textGeometry = new TextGeometry(labelText, { font: loadedFont, size: 15, depth: 1 });
+        textGeometry.computeBoundingBox();
+        const centerOffset = -0.5 * (textGeometry.boundingBox.max.x - textGeometry.boundingBox.min.x);
+        view.label.geometry.dispose();
+        view.label.geometry = textGeometry;
+        view.label.position.x = dept.config.position[0] + centerOffset;
+        view.label.material.color.set(getDepartmentLabelColor(dept));
+    });
 }
 
+// Coloured strip just inside the floor edge for each store door, with its name outside the edge
+// (doors are on the ground level)
+function createDoors(doors) {
+    doorMeshes.forEach(mesh => {
+        mesh.removeFromParent();
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+    });
+    doorMeshes = [];
+
+    const group = levelViews[0].group;
+    const doorColors = { [DOOR_TYPE.ENTRANCE]: 0x00aa00, [DOOR_TYPE.EXIT]: 0xcc0000, [DOOR_TYPE.BOTH]: 0x1e88e5 };
+    doors.forEach(door => {
+        const yaw = Math.atan2(door.inwardNormal.x, door.inwardNormal.z); // Turns +z to face into the store
+        const strip = new THREE.Mesh(
+            new THREE.PlaneGeometry(door.width, MODEL_SCALE * 1.5),
+            new THREE.MeshBasicMaterial({ color: doorColors[door.type], side: THREE.DoubleSide }),
+        );
+        strip.rotation.set(-Math.PI / 2, 0, yaw, 'YXZ'); // Flat on the floor, long side along the edge
+        strip.position.set(
+            door.worldPos.x + door.inwardNormal.x * MODEL_SCALE * 0.75, 0.3, // Just above the floor
+            door.worldPos.z + door.inwardNormal.z * MODEL_SCALE * 0.75,
+        );
+        group.add(strip);
+        doorMeshes.push(strip);
+
+        if (!loadedFont) return;
+        const textGeometry = new TextGeometry(door.name, { font: loadedFont, size: 8, depth: 0.5 });
+        textGeometry.computeBoundingBox();
+        textGeometry.translate(-0.5 * (textGeometry.boundingBox.max.x - textGeometry.boundingBox.min.x), 0, 0);
+        const label = new THREE.Mesh(textGeometry, new THREE.MeshBasicMaterial({ color: 0x333333 }));
+        label.position.set(door.worldPos.x - door.inwardNormal.x * 12, 2, door.worldPos.z - door.inwardNormal.z * 12);
+        label.rotation.y = yaw; // Readable from inside the store
+        group.add(label);
+        doorMeshes.push(label);
+    });
+}
 
-function visualizePortal(portalData, color) {
+// Counter beside each till, a floor line where its queue forms and the checkout's name behind the tills.
+// Express lanes get a lighter counter. Counters are markers only; agents aren't blocked by them.
+// Checkouts are on the ground level.
+function createCheckouts(checkouts) {
+    checkoutMeshes.forEach(mesh => {
+        mesh.removeFromParent();
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+    });
+    checkoutMeshes = [];
+
+    const group = levelViews[0].group;
+    const counterHeight = MODEL_SCALE * 1.2;
+    const lineLength = CHECKOUT_QUEUE_SPACING * 6;
+    checkouts.forEach(zone => {
+        const yaw = Math.atan2(zone.queueDirection.x, zone.queueDirection.z); // Turns +z to point down the lanes
+        zone.lanes.forEach(lane => {
+            // Counter on the tangent side of the till, running back past it to where served shoppers leave
+            const counter = new THREE.Mesh(
+                new THREE.BoxGeometry(MODEL_SCALE * 0.8, counterHeight, CHECKOUT_COUNTER_LENGTH),
+                new THREE.MeshStandardMaterial({ color: lane.express ? 0x90caf9 : 0x607d8b, roughness: 0.8 }),
+            );
+            const side = zone.laneSpacing * 0.35;
+            counter.position.set(
+                lane.tillPos.x + zone.tangent.x * side - zone.queueDirection.x * CHECKOUT_COUNTER_LENGTH * 0.4, counterHeight / 2,
+                lane.tillPos.z + zone.tangent.z * side - zone.queueDirection.z * CHECKOUT_COUNTER_LENGTH * 0.4,
+            );
+            counter.rotation.y = yaw;
+            counter.castShadow = true;
+            group.add(counter);
+            checkoutMeshes.push(counter);
+
+            const line = new THREE.Mesh(
+                new THREE.PlaneGeometry(MODEL_SCALE * 0.3, lineLength),
+                new THREE.MeshBasicMaterial({ color: lane.express ? 0x1e88e5 : 0x9e9e9e, side: THREE.DoubleSide }),
+            );
+            line.rotation.set(-Math.PI / 2, 0, yaw, 'YXZ');
+            line.position.set(
+                lane.tillPos.x + zone.queueDirection.x * lineLength / 2, 0.2,
+                lane.tillPos.z + zone.queueDirection.z * lineLength / 2,
+            );
+            group.add(line);
+            checkoutMeshes.push(line);
+        });
+
+        if (!loadedFont) return;
+        const textGeometry = new TextGeometry(zone.name, { font: loadedFont, size: 10, depth: 1 });
+        textGeometry.computeBoundingBox();
+        textGeometry.translate(-0.5 * (textGeometry.boundingBox.max.x - textGeometry.boundingBox.min.x), 0, 0);
+        const label = new THREE.Mesh(textGeometry, new THREE.MeshBasicMaterial({ color: 0x333333 }));
+        label.position.set(
+            zone.center.x - zone.queueDirection.x * CHECKOUT_COUNTER_LENGTH * 1.5, counterHeight + 5,
+            zone.center.z - zone.queueDirection.z * CHECKOUT_COUNTER_LENGTH * 1.5,
+        );
+        label.rotation.y = yaw; // Readable from the queue side
+        group.add(label);
+        checkoutMeshes.push(label);
+    });
+}
+
+function visualizePortal(group, portalData, color) {
     if (!portalData) return;
     const { worldPos, width, offsetAxis } = portalData;
     const halfWidth = width / 2;
-    const portalY = worldPos.y + 1.0; // Visualize slightly above floor
+    const portalY = modelBaseHeightOffset + 1.0; // Visualize slightly above floor
     const points = [];
 
     if (offsetAxis === 'z') { // Portal runs along Z axis on an X face
@@ -374,540 +671,336 @@ function visualizePortal(portalData, color) {
     const portalGeom = new THREE.BufferGeometry().setFromPoints(points);
     const portalMat = new THREE.LineBasicMaterial({ color: color, linewidth: 3 }); // Linewidth > 1 might not work consistently
     const portalLine = new THREE.Line(portalGeom, portalMat);
-    scene.add(portalLine);
+    group.add(portalLine);
     portalMeshes.push(portalLine);
 }
 
-//=============================================================================
-// AGENT SPAWNING & SETUP
-//=============================================================================
-
-function spawnAgents(n) {
-    if (!loadedGltfModel || !loadedGltfModel.scene || !loadedGltfModel.animations) {
-        console.error("GLTF Model, its scene, or animations not loaded properly. Cannot spawn agents.");
-        return;
-    }
-
-    // --- Clear existing agents ---
-    agents.forEach(agent => {
-        if (agent.mesh) scene.remove(agent.mesh);
-        if (agent.mixer) agent.mixer.stopAllAction(); // Stop animations
-        removeTrail(agent);
+// Solid boxes for the department's fixtures and a ring on the floor at each product point of interest
+function visualizeFixtures(group, dept) {
+    dept.fixtures.forEach(fixture => {
+        const [width, height, depth] = fixture.config.size;
+        const material = new THREE.MeshStandardMaterial({ color: fixture.config.color ?? FIXTURE_COLOR, roughness: 0.8, metalness: 0.1 });
+        const mesh = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth), material);
+        mesh.position.set(fixture.center.x, height / 2, fixture.center.z);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        group.add(mesh);
+        fixtureMeshes.push(mesh);
     });
-    agents = [];
-
-    const spawnWidth = 780;
-    const spawnDepth = 480;
-    console.log("Animations in model:", loadedGltfModel.animations.map(a => a.name));
-
-    // --- Find required animation clips ---
-     // Use lowercase for case-insensitive matching
-     const availableAnimations = loadedGltfModel.animations.map(a => a.name);
-     console.log("Available animations:", availableAnimations);
-     
-     const walkClip = THREE.AnimationClip.findByName(loadedGltfModel.animations, 'HumanArmature|Man_Walk') 
-                    ?? THREE.AnimationClip.findByName(loadedGltfModel.animations, 'HumanArmature|Man_Walk');
-     
-     const idleClip = THREE.AnimationClip.findByName(loadedGltfModel.animations, 'HumanArmature|Man_Standing') 
-                    ?? THREE.AnimationClip.findByName(loadedGltfModel.animations, 'HumanArmature|Man_Standing');
-                    
-        
-                    
-     
-     if (!walkClip) console.warn('⚠️ No "Walk" or "walk" animation found.');
-     if (!idleClip) console.warn('⚠️ No "Idle" or "idle" animation found.');     
-    if (!walkClip || !idleClip) {
-         alert("Required animations ('Walk'/'walk' and 'Idle'/'idle') not found in the model. Agents will not animate.");
-         // Allow simulation to continue without animation if clips aren't found
-     }
-
-
-    // --- Spawn Loop ---
-    for (let i = 0; i < n; i++) {
-        const x = THREE.MathUtils.randFloatSpread(spawnWidth);
-        const z = THREE.MathUtils.randFloatSpread(spawnDepth);
-        const y = modelBaseHeightOffset;
-        const avatar = SkeletonUtils.clone(loadedGltfModel.scene);
-        // const avatar = THREE.SkeletonUtils.clone(loadedGltfModel.scene); // Use SkeletonUtils for cloning animated models
-        avatar.scale.set(MODEL_SCALE, MODEL_SCALE, MODEL_SCALE);
-        avatar.position.set(x, y, z);
-
-        // Apply shadows and potentially materials (careful with cloning materials if needed)
-        avatar.traverse(function (object) {
-            if (object.isMesh) {
-                object.castShadow = true;
-                object.receiveShadow = true; // Allow avatar parts to receive shadows
-                // Optional: Assign material color if needed (ensure materials are cloned properly if modified)
-                // if (object.material) { ... apply color ... }
-            }
-        });
+    dept.products.forEach(product => {
+        const geometry = new THREE.RingGeometry(PRODUCT_MARKER_RADIUS * 0.6, PRODUCT_MARKER_RADIUS, 16);
+        const material = new THREE.MeshBasicMaterial({ color: PRODUCT_MARKER_COLOR, side: THREE.DoubleSide, transparent: true, opacity: 0.7 });
+        const marker = new THREE.Mesh(geometry, material);
+        marker.rotation.x = -Math.PI / 2; // Flat on the floor
+        marker.position.set(product.position.x, modelBaseHeightOffset + 0.5, product.position.z);
+        group.add(marker);
+        fixtureMeshes.push(marker);
+    });
+}
 
-        scene.add(avatar);
-
-        // Initial velocity
-        const vx = THREE.MathUtils.randFloatSpread(1);
-        const vz = THREE.MathUtils.randFloatSpread(1);
-        const velocity = new THREE.Vector3(vx, 0, vz).normalize().multiplyScalar(AGENT_MOVE_SPEED * THREE.MathUtils.randFloat(0.8, 1.2));
-
-        // --- Animation Setup ---
-        let mixer = null;
-        let actions = {};
-        let currentAction = null;
-
-         if (walkClip && idleClip) { // Only setup animations if clips were found
-             mixer = new THREE.AnimationMixer(avatar);
-             actions.walk = mixer.clipAction(walkClip);
-             actions.idle = mixer.clipAction(idleClip);
-
-             // Set initial action
-             actions.idle.play();
-             currentAction = actions.idle;
-         } else {
-              console.warn(`Agent ${i} created without animations due to missing clips.`);
-         }
-
-
-        // --- Create Agent Object ---
-        agents.push({
-            id: i, // Simple ID for debugging
-            mesh: avatar,
-            velocity: velocity,
-            baseHeight: y,
-            state: AGENT_STATE.WANDERING,
-            idleTimer: 0,
-            timeInDepartment: 0,
-            targetDepartment: null, // Reference to the department object
-            portalTarget: null,     // Reference to the specific portal object (dept.entryPortal or dept.exitPortal)
-            targetPosition: null,   // Specific world coordinate target (e.g., inside dept)
-            previousState: null,    // For resuming after idle
-            // Animation properties
-            mixer: mixer,
-            actions: actions,         // e.g., { walk: AnimationAction, idle: AnimationAction }
-            currentAction: currentAction,
-            // Trail properties
-            trails: [],
-            trail: null,
-        });
-    }
+// Faint dashed guide along the front of a queue line (the slots agents wait in) at a portal or
+// link; returns the meshes added to group
+function visualizeQueueLine(group, line, color) {
+    if (!line || line.slots.length === 0) return []; // Laid out by the simulation; not for layouts being edited
+    const lineY = modelBaseHeightOffset + 0.5;
+    const points = line.slots.slice(0, QUEUE_GUIDE_SLOTS).map(slot => new THREE.Vector3(slot.x, lineY, slot.z));
+    const lineGeom = new THREE.BufferGeometry().setFromPoints(points);
+    const lineMat = new THREE.LineDashedMaterial({ color: color, dashSize: 3, gapSize: 3, transparent: true, opacity: 0.4 });
+    const queueLine = new THREE.Line(lineGeom, lineMat);
+    queueLine.computeLineDistances(); // Dashes need per-vertex distances
+    group.add(queueLine);
+    return [queueLine];
 }
 
 //=============================================================================
-// AGENT UPDATE LOGIC (Core Loop)
+// LEVELS & LINKS
 //=============================================================================
 
-function updateAgents(delta) {
-    if (isPaused || departments.length === 0) return;
+// Height a level's floor (or an agent at the given elevation) is drawn at: spread apart in the
+// exploded view, or relative to the one level shown
+function getDisplayY(elevation) {
+    if (levelView === LEVEL_VIEW_EXPLODED) return elevation * EXPLODED_LEVEL_SPACING;
+    return elevation - simulation.levels[levelView].elevation;
+}
 
-    const effectiveSpeedFactor = speed * delta; // Factor to scale base speed
+// Whether the current level view draws the agent (a snapshot entry): all of them in the
+// exploded view, otherwise those on the level shown apart from riders leaving it
+function isAgentShown(agent) {
+    if (levelView === LEVEL_VIEW_EXPLODED) return true;
+    return agent.level === levelView && agent.state !== AGENT_STATE.RIDING_LINK;
+}
 
-    // --- Agent-Agent Collision (Simple Bounce) ---
-    handleAgentAgentCollisions();
+// Fills the level selector; it's only shown for layouts with more than one level
+function populateLevelSelect() {
+    const select = document.getElementById('levelView');
+    levelView = LEVEL_VIEW_EXPLODED;
+    if (!select) return;
+    select.innerHTML = '';
+    const options = [[LEVEL_VIEW_EXPLODED, 'All Levels (Exploded)'], ...simulation.levels.map(level => [level.index, level.name])];
+    options.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = LEVEL_VIEW_EXPLODED;
+    select.style.display = simulation.levels.length > 1 ? '' : 'none';
+}
 
-    // --- Update Each Agent ---
-    agents.forEach(agent => {
-        if (!agent.mesh) return;
+// Raises and shows the level groups for the current level view, redraws the links and sets
+// the home view; returns true if that moved the home view (as frameFloor)
+function applyLevelView() {
+    levelViews.forEach(view => {
+        view.group.position.y = getDisplayY(view.level.elevation);
+        view.group.visible = levelView === LEVEL_VIEW_EXPLODED || view.level.index === levelView;
+    });
+    createLinks(simulation.links);
+    clearAgentTrails(); // Trails drawn at the old heights
+    const top = Math.max(...levelViews.filter(view => view.group.visible).map(view => view.group.position.y));
+    pointLight.position.y = POINT_LIGHT_HEIGHT + top; // Over the highest level drawn
+    if (levelView === LEVEL_VIEW_EXPLODED) return frameFloor(simulation.levels[0].floor, top / 2);
+    return frameFloor(simulation.levels[levelView].floor);
+}
 
-        // 1. Update State Machine (Handles decisions, target changes, timers)
-        updateAgentState(agent, delta);
+function setLevelView(value) {
+    levelView = value === LEVEL_VIEW_EXPLODED ? value : +value;
+    if (applyLevelView()) resetView();
+    if (editedLayout) refreshEditedLayout();
+    updateHeatmap(0, true);
+}
 
-        // 2. Handle Movement (Based on state and velocity)
-        updateAgentMovement(agent, delta, effectiveSpeedFactor);
+// A landing plate (with the link's name) and queue guide at each end of every escalator and
+// elevator, in that end's level group, plus in the exploded view a ramp or shaft between the ends
+function createLinks(links) {
+    linkMeshes.forEach(mesh => {
+        mesh.removeFromParent();
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+    });
+    linkMeshes = [];
+
+    const linkColors = { [LINK_TYPE.ESCALATOR]: 0x78909c, [LINK_TYPE.ELEVATOR]: 0x5e35b1 };
+    const plateSize = LINK_RIDER_SPACING * 3 + AGENT_RADIUS * 2; // Fits an elevator car's 3 × 3 riders
+    links.forEach(link => {
+        const color = linkColors[link.type];
+        link.ends.forEach(end => {
+            const group = getLevelGroup(end.level);
+            const plate = new THREE.Mesh(
+                new THREE.PlaneGeometry(plateSize, plateSize),
+                new THREE.MeshBasicMaterial({ color: color, side: THREE.DoubleSide, transparent: true, opacity: 0.5 }),
+            );
+            plate.rotation.x = -Math.PI / 2; // Flat on the floor
+            plate.position.set(end.worldPos.x, 0.3, end.worldPos.z);
+            group.add(plate);
+            linkMeshes.push(plate);
+            linkMeshes.push(...visualizeQueueLine(group, end.line, color));
+
+            if (!loadedFont) return;
+            const textGeometry = new TextGeometry(link.name, { font: loadedFont, size: 6, depth: 0.5 });
+            textGeometry.computeBoundingBox();
+            textGeometry.translate(-0.5 * (textGeometry.boundingBox.max.x - textGeometry.boundingBox.min.x), 0, 0);
+            const label = new THREE.Mesh(textGeometry, new THREE.MeshBasicMaterial({ color: 0x333333 }));
+            label.position.set(end.worldPos.x, MODEL_SCALE * 2.5, end.worldPos.z);
+            group.add(label);
+            linkMeshes.push(label);
+        });
 
-        // 3. Handle Collisions (Walls, Portals) - Modifies position/velocity if needed
-        handleAgentEnvironmentCollisions(agent, delta, effectiveSpeedFactor);
+        if (levelView !== LEVEL_VIEW_EXPLODED) return;
+        // Ramp (escalator) or see-through shaft (elevator) from one end to the other
+        const [from, to] = link.ends.map(end => new THREE.Vector3(end.worldPos.x, getDisplayY(end.level.elevation), end.worldPos.z));
+        const isElevator = link.type === LINK_TYPE.ELEVATOR;
+        const connector = new THREE.Mesh(
+            isElevator
+                ? new THREE.BoxGeometry(plateSize, plateSize, from.distanceTo(to))
+                : new THREE.BoxGeometry(AGENT_RADIUS * 3, 1, from.distanceTo(to)),
+            new THREE.MeshStandardMaterial({ color: color, transparent: isElevator, opacity: isElevator ? 0.2 : 1, roughness: 0.6 }),
+        );
+        connector.position.lerpVectors(from, to, 0.5);
+        connector.lookAt(to); // Box depth runs from one end to the other
+        connector.castShadow = !isElevator;
+        scene.add(connector);
+        linkMeshes.push(connector);
+    });
+}
 
-        // 4. Update Animation (Based on final velocity)
-        updateAgentAnimation(agent);
+//=============================================================================
+// AGENT VIEWS (meshes, animation, trails driven by simulation snapshots)
+//=============================================================================
 
-        // 5. Update Trail
-        updateAgentTrail(agent);
-    });
+function findAnimationClips() {
+    const availableAnimations = loadedGltfModel.animations.map(a => a.name);
+    console.log("Available animations:", availableAnimations);
 
-     // --- Process Portal Queues ---
-     // (Could be done less frequently, but per frame is safest for now)
-     processPortalQueues();
+    walkClip = THREE.AnimationClip.findByName(loadedGltfModel.animations, 'HumanArmature|Man_Walk');
+    idleClip = THREE.AnimationClip.findByName(loadedGltfModel.animations, 'HumanArmature|Man_Standing');
 
+    if (!walkClip) console.warn('⚠️ No "Walk" or "walk" animation found.');
+    if (!idleClip) console.warn('⚠️ No "Idle" or "idle" animation found.');
+    if (!walkClip || !idleClip) {
+        alert("Required animations ('Walk'/'walk' and 'Idle'/'idle') not found in the model. Agents will not animate.");
+        // Allow simulation to continue without animation if clips aren't found
+    }
 }
 
-//-----------------------------------------------------------------------------
-// Agent Update Helper Functions
-//-----------------------------------------------------------------------------
+// Creates, moves and removes agent visuals so they match the snapshot (the agents the level
+// view shows, each at the height y it's drawn at)
+function updateAgentViews(fullSnapshot, delta) {
+    if (!loadedGltfModel) return;
 
-function updateAgentState(agent, delta) {
-    switch (agent.state) {
-        case AGENT_STATE.IDLE:
-            agent.idleTimer -= delta;
-            if (agent.idleTimer <= 0) {
-                agent.state = agent.previousState || AGENT_STATE.WANDERING;
-                 // Restore velocity if applicable (e.g., if was heading to a portal)
-                 if(agent.portalTarget) {
-                     agent.velocity = agent.portalTarget.worldPos.clone().sub(agent.mesh.position).setY(0).normalize().multiplyScalar(AGENT_MOVE_SPEED);
-                 } else if (agent.targetPosition) { // Or heading to internal point
-                      agent.velocity = agent.targetPosition.clone().sub(agent.mesh.position).setY(0).normalize().multiplyScalar(AGENT_MOVE_SPEED * 0.7);
-                 } else if (agent.state === AGENT_STATE.WANDERING) { // Or just start wandering again
-                      agent.velocity.set(THREE.MathUtils.randFloatSpread(1), 0, THREE.MathUtils.randFloatSpread(1)).normalize().multiplyScalar(AGENT_MOVE_SPEED);
-                 }
-            }
-            break;
-
-        case AGENT_STATE.WANDERING:
-            // Chance to visit a department?
-            if (Math.random() < DEPT_VISIT_CHANCE * delta) {
-                agent.targetDepartment = departments[Math.floor(Math.random() * departments.length)];
-                if (agent.targetDepartment && agent.targetDepartment.entryPortal) {
-                    agent.portalTarget = agent.targetDepartment.entryPortal; // Target the entry portal object
-                    agent.state = AGENT_STATE.GOING_TO_DEPT;
-                    agent.velocity = agent.portalTarget.worldPos.clone().sub(agent.mesh.position).setY(0).normalize().multiplyScalar(AGENT_MOVE_SPEED);
-                } else {
-                    agent.targetDepartment = null; // Invalid target
-                }
-            }
-            // Chance to go idle?
-            else if (Math.random() < IDLE_CHANCE * delta) {
-                agent.previousState = AGENT_STATE.WANDERING;
-                agent.state = AGENT_STATE.IDLE;
-                agent.idleTimer = THREE.MathUtils.randFloat(MIN_IDLE_TIME, MAX_IDLE_TIME);
-                agent.velocity.set(0, 0, 0);
-            }
-            break;
-
-        case AGENT_STATE.GOING_TO_DEPT:
-            if (!agent.portalTarget || !agent.targetDepartment) { agent.state = AGENT_STATE.WANDERING; break; } // Safety check
-            // Check proximity to portal
-            if (agent.mesh.position.distanceTo(agent.portalTarget.worldPos) < PORTAL_THRESHOLD) {
-                if (!agent.portalTarget.isOccupied) {
-                    // Portal is free, start entering
-                    agent.portalTarget.isOccupied = true;
-                    agent.state = AGENT_STATE.ENTERING;
-                    // Velocity might slightly adjust to cross threshold directly
-                    agent.velocity = agent.portalTarget.faceNormal.clone().negate().multiplyScalar(AGENT_MOVE_SPEED * 0.8); // Move into dept
-                } else {
-                    // Portal occupied, wait
-                    agent.state = AGENT_STATE.WAITING_ENTRY;
-                    agent.portalTarget.queue.push(agent); // Add to queue
-                    agent.velocity.set(0, 0, 0); // Stop
-                }
-            } else {
-                 // Still moving towards portal, ensure velocity points correctly
-                  agent.velocity = agent.portalTarget.worldPos.clone().sub(agent.mesh.position).setY(0).normalize().multiplyScalar(AGENT_MOVE_SPEED);
-            }
-            break;
-
-        case AGENT_STATE.ENTERING:
-             if (!agent.portalTarget || !agent.targetDepartment) { agent.state = AGENT_STATE.WANDERING; break; }
-             // Check if agent has crossed the portal threshold (based on position relative to portal plane)
-             // Plane defined by portal normal and portal world position
-              const distToPortalPlane = agent.mesh.position.clone().sub(agent.portalTarget.worldPos).dot(agent.portalTarget.faceNormal);
-              // If dot product sign matches normal, agent is "outside", if opposite, agent is "inside"
-             if (distToPortalPlane < -MODEL_SCALE * 0.5) { // Agent center is now sufficiently inside
-                 // Finished entering
-                 agent.state = AGENT_STATE.INSIDE_DEPT;
-                 agent.portalTarget.isOccupied = false; // Free the portal
-                 // processPortalQueues(); // Process queue immediately (or defer to main loop call)
-                 agent.portalTarget = null; // No longer targeting this portal
-                 agent.timeInDepartment = THREE.MathUtils.randFloat(MIN_TIME_IN_DEPT, MAX_TIME_IN_DEPT);
-                 // Optional: pick a random internal target
-                 agent.targetPosition = getRandomPointInDepartment(agent.targetDepartment);
-                 if(agent.targetPosition) {
-                      agent.velocity = agent.targetPosition.clone().sub(agent.mesh.position).setY(0).normalize().multiplyScalar(AGENT_MOVE_SPEED * 0.7); // Slower inside
-                 } else { // Or just wander slowly
-                     agent.velocity.set(THREE.MathUtils.randFloatSpread(1), 0, THREE.MathUtils.randFloatSpread(1)).normalize().multiplyScalar(AGENT_MOVE_SPEED * 0.5);
-                 }
-             }
-             break;
-
-        case AGENT_STATE.INSIDE_DEPT:
-            agent.timeInDepartment -= delta;
-             // Chance to go idle?
-             if (agent.idleTimer <= 0 && Math.random() < IDLE_CHANCE * delta * 1.5) { // Slightly higher chance inside
-                agent.previousState = AGENT_STATE.INSIDE_DEPT;
-                agent.state = AGENT_STATE.IDLE;
-                agent.idleTimer = THREE.MathUtils.randFloat(MIN_IDLE_TIME, MAX_IDLE_TIME);
-                agent.velocity.set(0, 0, 0);
-                break;
-             }
-
-            // Move towards internal target or wander
-            if (agent.targetPosition) {
-                if (agent.mesh.position.distanceTo(agent.targetPosition) < MODEL_SCALE) {
-                    agent.targetPosition = getRandomPointInDepartment(agent.targetDepartment); // Pick new target
-                }
-                 // Update velocity if target exists
-                 if(agent.targetPosition) agent.velocity = agent.targetPosition.clone().sub(agent.mesh.position).setY(0).normalize().multiplyScalar(AGENT_MOVE_SPEED * 0.7);
-            } else {
-                // If no target, velocity remains (will bounce off internal walls)
-            }
+    const snapshot = {
+        time: fullSnapshot.time,
+        agents: fullSnapshot.agents.filter(isAgentShown).map(agent => ({ ...agent, y: getDisplayY(agent.elevation) })),
+    };
+    const crowd = shouldUseInstancedRendering(snapshot.agents.length) ? getInstancedCrowd() : null;
+    if (crowd) {
+        if (agentViews.size > 0) clearAgentViews();
+        crowd.group.visible = true;
+        crowd.update(snapshot, camera, delta, getAgentTint);
+    } else {
+        if (instancedCrowd) instancedCrowd.group.visible = false;
+        updateSkinnedAgentViews(snapshot, delta);
+    }
 
-            // Time to leave?
-            if (agent.timeInDepartment <= 0 && agent.targetDepartment.exitPortal) {
-                agent.portalTarget = agent.targetDepartment.exitPortal;
-                agent.state = AGENT_STATE.GOING_TO_EXIT;
-                agent.velocity = agent.portalTarget.worldPos.clone().sub(agent.mesh.position).setY(0).normalize().multiplyScalar(AGENT_MOVE_SPEED);
-                agent.targetPosition = null; // Clear internal target
-            }
-            break;
-
-         case AGENT_STATE.GOING_TO_EXIT:
-             if (!agent.portalTarget || !agent.targetDepartment) { agent.state = AGENT_STATE.WANDERING; break; }
-             // Check proximity
-             if (agent.mesh.position.distanceTo(agent.portalTarget.worldPos) < PORTAL_THRESHOLD) {
-                  if (!agent.portalTarget.isOccupied) {
-                      // Portal free, start exiting
-                     agent.portalTarget.isOccupied = true;
-                     agent.state = AGENT_STATE.EXITING;
-                     // Velocity should point out of department
-                     agent.velocity = agent.portalTarget.faceNormal.clone().multiplyScalar(AGENT_MOVE_SPEED); // Move out along normal
-                 } else {
-                      // Portal occupied, wait
-                     agent.state = AGENT_STATE.WAITING_EXIT;
-                     agent.portalTarget.queue.push(agent);
-                     agent.velocity.set(0, 0, 0);
-                 }
-             } else {
-                 // Still moving towards portal
-                  agent.velocity = agent.portalTarget.worldPos.clone().sub(agent.mesh.position).setY(0).normalize().multiplyScalar(AGENT_MOVE_SPEED);
-             }
-             break;
-
-         case AGENT_STATE.EXITING:
-             if (!agent.portalTarget || !agent.targetDepartment) { agent.state = AGENT_STATE.WANDERING; break; }
-              // Check if agent has crossed the portal threshold (based on position relative to portal plane)
-             const distToExitPortalPlane = agent.mesh.position.clone().sub(agent.portalTarget.worldPos).dot(agent.portalTarget.faceNormal);
-              // Agent needs to be sufficiently outside (dot product positive and large enough)
-             if (distToExitPortalPlane > MODEL_SCALE * 0.5) {
-                  // Finished exiting
-                 agent.state = AGENT_STATE.WANDERING;
-                 agent.portalTarget.isOccupied = false; // Free the portal
-                 // processPortalQueues(); // Process queue immediately
-                 agent.portalTarget = null;
-                 agent.targetDepartment = null;
-                 // Assign new wandering velocity
-                 agent.velocity.set(THREE.MathUtils.randFloatSpread(1), 0, THREE.MathUtils.randFloatSpread(1)).normalize().multiplyScalar(AGENT_MOVE_SPEED);
-             }
-             break;
-
-         // WAITING states are handled by processPortalQueues() - no action needed here
-         case AGENT_STATE.WAITING_ENTRY:
-         case AGENT_STATE.WAITING_EXIT:
-            agent.velocity.set(0,0,0); // Ensure they stay stopped
-            break;
+    updateAgentTrails(snapshot);
+}
 
-    }
+function shouldUseInstancedRendering(count) {
+    if (renderMode === 'auto') return count > INSTANCED_AUTO_THRESHOLD;
+    return renderMode === 'instanced';
 }
 
-function updateAgentMovement(agent, delta, effectiveSpeedFactor) {
-    // Apply movement only if not waiting or idle
-    if (agent.state !== AGENT_STATE.IDLE &&
-        agent.state !== AGENT_STATE.WAITING_ENTRY &&
-        agent.state !== AGENT_STATE.WAITING_EXIT)
-    {
-        const scaledVelocity = agent.velocity.clone().multiplyScalar(effectiveSpeedFactor);
-        agent.mesh.position.add(scaledVelocity);
+// Bakes the animation textures on first use; null if the model can't be instanced
+function getInstancedCrowd() {
+    if (instancedCrowd) return instancedCrowd;
+    if (!walkClip || !idleClip) return null; // Nothing to bake; stay on the skinned path
+    try {
+        console.log("Baking crowd animation textures...");
+        instancedCrowd = new InstancedCrowd({
+            gltf: loadedGltfModel,
+            walkClip: walkClip,
+            idleClip: idleClip,
+            scale: MODEL_SCALE,
+            baseHeight: modelBaseHeightOffset,
+        });
+        scene.add(instancedCrowd.group);
+    } catch (error) {
+        console.error("Could not set up instanced crowd rendering, using skinned meshes:", error);
+        walkClip = null; // Don't retry every frame (skinned agents also stop animating, as with missing clips)
+        return null;
     }
+    return instancedCrowd;
+}
 
-     // Ensure correct height
-     agent.mesh.position.y = agent.baseHeight;
-
-     // Update orientation (Forward-Only Locomotion)
-     // Only rotate if velocity is significant and agent is not idle/waiting
-     if (agent.velocity.lengthSq() > VELOCITY_THRESHOLD_SQ &&
-        agent.state !== AGENT_STATE.IDLE &&
-        agent.state !== AGENT_STATE.WAITING_ENTRY &&
-        agent.state !== AGENT_STATE.WAITING_EXIT)
-     {
-         const targetQuaternion = new THREE.Quaternion();
-         // Look in the direction of velocity, keeping the model upright
-         const lookAtPos = agent.mesh.position.clone().add(agent.velocity);
-         const matrix = new THREE.Matrix4();
-         matrix.lookAt(agent.mesh.position, lookAtPos, agent.mesh.up); // Use agent's current up vector
-         targetQuaternion.setFromRotationMatrix(matrix);
-         // Smooth rotation
-         agent.mesh.quaternion.slerp(targetQuaternion, 0.15); // Adjust slerp factor for rotation speed
-     }
-}
-
-function handleAgentEnvironmentCollisions(agent, delta, effectiveSpeedFactor) {
-     const floorHalfWidth = 800 / 2;
-     const floorHalfDepth = 500 / 2;
-     const checkRadius = MODEL_SCALE * 0.5; // Agent's approximate radius
-
-     // --- Floor Boundary Collision ---
-     let bouncedOffFloor = false;
-     if (Math.abs(agent.mesh.position.x) > floorHalfWidth - checkRadius) {
-         agent.velocity.x *= -1;
-         agent.mesh.position.x = Math.sign(agent.mesh.position.x) * (floorHalfWidth - checkRadius);
-         bouncedOffFloor = true;
-     }
-     if (Math.abs(agent.mesh.position.z) > floorHalfDepth - checkRadius) {
-         agent.velocity.z *= -1;
-         agent.mesh.position.z = Math.sign(agent.mesh.position.z) * (floorHalfDepth - checkRadius);
-         bouncedOffFloor = true;
-     }
-      // If bounced off floor while heading to/from dept, reset state
-      if (bouncedOffFloor && (agent.state === AGENT_STATE.GOING_TO_DEPT || agent.state === AGENT_STATE.ENTERING || agent.state === AGENT_STATE.GOING_TO_EXIT || agent.state === AGENT_STATE.EXITING)) {
-          // If portal was occupied, free it
-         if (agent.portalTarget && agent.portalTarget.isOccupied && (agent.state === AGENT_STATE.ENTERING || agent.state === AGENT_STATE.EXITING)) {
-             agent.portalTarget.isOccupied = false;
-             // processPortalQueues(); // Check queue
-         }
-         agent.state = AGENT_STATE.WANDERING;
-         agent.targetDepartment = null;
-         agent.portalTarget = null;
-         agent.targetPosition = null;
-          console.log(`Agent ${agent.id} bounced off floor boundary, resetting state to WANDERING.`);
-     }
-
-
-     // --- Department Collision (Precise Walls & Portals) ---
-     const currentPos = agent.mesh.position;
-     // Calculate potential next position based only on this frame's velocity
-     // We do collision check before actually moving the mesh in updateAgentMovement
-     // Correction: Collision check should happen after potential move, to see if move is valid.
-     // Let's use the current velocity direction for the raycast.
-
-     if (agent.velocity.lengthSq() < VELOCITY_THRESHOLD_SQ) return; // Don't check collision if not moving
-
-     const moveDirection = agent.velocity.clone().normalize();
-     raycaster.set(currentPos, moveDirection);
-     raycaster.far = agent.velocity.length() * effectiveSpeedFactor + checkRadius * 1.5; // Ray length based on speed + buffer
-
-     departments.forEach(dept => {
-         const intersections = raycaster.intersectObject(dept.mesh); // Check intersection with department box mesh
-
-         if (intersections.length > 0) {
-             const intersection = intersections[0]; // Closest intersection
-             const hitPoint = intersection.point;
-             const hitNormal = intersection.face.normal.clone(); // Normal of the face hit
-
-             let allowPassage = false;
-             let targetPortal = null;
-
-             // Is the agent trying to enter THIS department?
-             if (agent.state === AGENT_STATE.GOING_TO_DEPT || agent.state === AGENT_STATE.ENTERING || agent.state === AGENT_STATE.WAITING_ENTRY) {
-                  if (agent.targetDepartment === dept) targetPortal = dept.entryPortal;
-              }
-             // Is the agent trying to exit THIS department?
-             else if (agent.state === AGENT_STATE.GOING_TO_EXIT || agent.state === AGENT_STATE.EXITING || agent.state === AGENT_STATE.WAITING_EXIT) {
-                 if (agent.targetDepartment === dept) targetPortal = dept.exitPortal;
-             }
-
-
-              // Check if hit point corresponds to the targeted portal
-             if (targetPortal && hitNormal.equals(targetPortal.faceNormal)) { // Did we hit the correct face?
-                 if (isPointOnPortal(hitPoint, targetPortal)) { // Is the hit point within the portal area?
-                     allowPassage = true;
-                     // State transitions (ENTERING, EXITING) are handled in updateAgentState based on proximity/plane crossing
-                     // We just allow the movement calculation to proceed if allowPassage is true.
-                 }
-             }
-
-
-             // --- Collision Response ---
-             if (!allowPassage) {
-                  // Hit a solid wall or the wrong portal face
-                 // Project velocity onto the plane of the wall to slide along it
-                 const wallPlane = new THREE.Plane().setFromNormalAndCoplanarPoint(hitNormal, hitPoint);
-                 const projectedVelocity = agent.velocity.clone().projectOnPlane(hitNormal); // Project velocity onto plane normal = 0
-
-                  // Apply sliding velocity, but prevent entering the wall
-                  agent.velocity.copy(projectedVelocity);
-
-
-                 // Nudge the agent slightly away from the wall to prevent sticking
-                 const nudgeDistance = 0.1; // Small nudge
-                 agent.mesh.position.add(hitNormal.multiplyScalar(nudgeDistance));
-                 agent.mesh.position.y = agent.baseHeight; // Correct height
-
-                 // If agent was trying to enter/exit, hitting a wall should probably reset its goal?
-                 if (targetPortal) {
-                      // If portal was occupied, free it
-                     if (agent.portalTarget && agent.portalTarget.isOccupied && (agent.state === AGENT_STATE.ENTERING || agent.state === AGENT_STATE.EXITING)) {
-                          agent.portalTarget.isOccupied = false;
-                     }
-                     console.log(`Agent ${agent.id} hit wall while targeting portal, resetting to WANDERING.`);
-                     agent.state = AGENT_STATE.WANDERING;
-                     agent.targetDepartment = null;
-                     agent.portalTarget = null;
-                     agent.targetPosition = null;
-                     // Give a slight velocity away from wall
-                     agent.velocity.add(hitNormal.multiplyScalar(0.5)).normalize().multiplyScalar(AGENT_MOVE_SPEED * 0.5);
-                 }
-
-                 // Stop checking other departments for this agent this frame
-                 return; // Exit departments.forEach for this agent
-             }
-             // Else: allowPassage is true, movement continues towards/through portal
-         }
-     }); // End department loop
-}
-
-function handleAgentAgentCollisions() {
-    for (let i = 0; i < agents.length; i++) {
-        const agentA = agents[i];
-        if (!agentA.mesh) continue;
-
-        for (let j = i + 1; j < agents.length; j++) {
-            const agentB = agents[j];
-            if (!agentB.mesh) continue;
-
-             // Don't check collision if either agent is waiting (they should be stationary)
-            if (agentA.state === AGENT_STATE.WAITING_ENTRY || agentA.state === AGENT_STATE.WAITING_EXIT ||
-                agentB.state === AGENT_STATE.WAITING_ENTRY || agentB.state === AGENT_STATE.WAITING_EXIT) {
-                 continue;
-            }
+//-----------------------------------------------------------------------------
+// Skinned Agents (one SkeletonUtils clone + AnimationMixer per agent)
+//-----------------------------------------------------------------------------
+
+function createAgentView(agentSnapshot) {
+    const avatar = SkeletonUtils.clone(loadedGltfModel.scene); // Use SkeletonUtils for cloning animated models
+    avatar.scale.set(MODEL_SCALE, MODEL_SCALE, MODEL_SCALE);
+    avatar.position.set(agentSnapshot.x, modelBaseHeightOffset + agentSnapshot.y, agentSnapshot.z);
+    avatar.userData.agentId = agentSnapshot.id; // For picking (see pickAgent)
+
+    // SkeletonUtils.clone shares materials between clones, so each agent gets its own copy
+    // of the tinted material (one copy per source material, even if several meshes use it)
+    const tintMaterials = new Map(); // Source material -> this agent's copy
+    const cloneTintMaterial = material => {
+        if (material.name !== TINT_MATERIAL) return material;
+        if (!tintMaterials.has(material)) {
+            const copy = material.clone();
+            copy.userData.baseColor = material.color.clone();
+            tintMaterials.set(material, copy);
+        }
+        return tintMaterials.get(material);
+    };
+    avatar.traverse(function (object) {
+        if (object.isMesh) {
+            object.castShadow = true;
+            object.receiveShadow = true; // Allow avatar parts to receive shadows
+            object.material = Array.isArray(object.material) ? object.material.map(cloneTintMaterial) : cloneTintMaterial(object.material);
+        }
+    });
 
+    scene.add(avatar);
 
-            const distanceSq = agentA.mesh.position.distanceToSquared(agentB.mesh.position);
-            const minSeparationSq = MIN_AGENT_SEPARATION * MIN_AGENT_SEPARATION;
+    // --- Animation Setup ---
+    let mixer = null;
+    let actions = {};
+    let currentAction = null;
 
-            if (distanceSq < minSeparationSq) {
-                const distance = Math.sqrt(distanceSq);
-                const collisionNormal = agentA.mesh.position.clone().sub(agentB.mesh.position).normalize();
+    if (walkClip && idleClip) { // Only setup animations if clips were found
+        mixer = new THREE.AnimationMixer(avatar);
+        actions.walk = mixer.clipAction(walkClip);
+        actions.idle = mixer.clipAction(idleClip);
 
-                // Simple reflection - might need refinement to prevent oscillations
-                const velA = agentA.velocity.clone();
-                // agentA.velocity.reflect(collisionNormal);
-                // agentB.velocity.reflect(collisionNormal.negate());
+        // Set initial action
+        actions.idle.play();
+        currentAction = actions.idle;
+    } else {
+        console.warn(`Agent ${agentSnapshot.id} created without animations due to missing clips.`);
+    }
 
-                 // Alternative: Push apart based on overlap
-                 const overlap = MIN_AGENT_SEPARATION - distance;
-                 const pushFactor = overlap * 0.5; // How strongly to push
+    return {
+        mesh: avatar,
+        // Animation properties
+        mixer: mixer,
+        actions: actions,         // e.g., { walk: AnimationAction, idle: AnimationAction }
+        currentAction: currentAction,
+        tintMaterials: [...tintMaterials.values()], // Owned by this agent; disposed with the view
+    };
+}
+
+function removeAgentView(view) {
+    if (view.mixer) view.mixer.stopAllAction(); // Stop animations
+    view.tintMaterials.forEach(material => material.dispose());
+    scene.remove(view.mesh);
+}
 
-                 // Push A along normal, B along negative normal
-                 agentA.velocity.add(collisionNormal.clone().multiplyScalar(pushFactor));
-                 agentB.velocity.add(collisionNormal.negate().multiplyScalar(pushFactor));
+function clearAgentViews() {
+    agentViews.forEach(view => removeAgentView(view));
+    agentViews.clear();
+}
 
-                 // Limit maximum velocity increase from push?
-                 agentA.velocity.clampLength(0, AGENT_MOVE_SPEED * 1.5);
-                 agentB.velocity.clampLength(0, AGENT_MOVE_SPEED * 1.5);
+function updateSkinnedAgentViews(snapshot, delta) {
+    const seen = new Set();
+    snapshot.agents.forEach(agent => {
+        let view = agentViews.get(agent.id);
+        if (!view) {
+            view = createAgentView(agent);
+            agentViews.set(agent.id, view);
+        }
+        seen.add(agent.id);
 
+        view.mesh.position.set(agent.x, modelBaseHeightOffset + agent.y, agent.z);
+        view.mesh.rotation.y = agent.heading;
 
-                // Nudge apart position slightly to guarantee separation
-                const nudgeAmount = overlap / 2 + 0.01; // Add tiny buffer
-                agentA.mesh.position.add(collisionNormal.clone().multiplyScalar(nudgeAmount));
-                agentB.mesh.position.add(collisionNormal.negate().multiplyScalar(nudgeAmount));
+        updateAgentAnimation(view, agent.isMoving);
+        if (view.mixer) view.mixer.update(delta);
+        updateAgentTint(view, agent);
+    });
 
-                // Correct Y position after nudge
-                agentA.mesh.position.y = agentA.baseHeight;
-                agentB.mesh.position.y = agentB.baseHeight;
-            }
+    // Agents that no longer exist in the simulation
+    agentViews.forEach((view, id) => {
+        if (!seen.has(id)) {
+            removeAgentView(view);
+            agentViews.delete(id);
         }
-    }
+    });
 }
 
-function updateAgentAnimation(agent) {
-    if (!agent.mixer) return; // No animations for this agent
+function updateAgentTint(view, agent) {
+    const tinted = getAgentTint(agent, tintColor);
+    view.tintMaterials.forEach(material => material.color.copy(tinted ? tintColor : material.userData.baseColor));
+}
 
-    const isMoving = agent.velocity.lengthSq() > VELOCITY_THRESHOLD_SQ &&
-                     agent.state !== AGENT_STATE.IDLE &&
-                     agent.state !== AGENT_STATE.WAITING_ENTRY &&
-                     agent.state !== AGENT_STATE.WAITING_EXIT;
+function updateAgentAnimation(view, isMoving) {
+    if (!view.mixer) return; // No animations for this agent
 
-    const actionToPlay = isMoving ? agent.actions.walk : agent.actions.idle;
+    const actionToPlay = isMoving ? view.actions.walk : view.actions.idle;
 
-    if (agent.currentAction !== actionToPlay) {
-        if (agent.currentAction) {
-            agent.currentAction.fadeOut(ANIMATION_FADE_DURATION);
+    if (view.currentAction !== actionToPlay) {
+        if (view.currentAction) {
+            view.currentAction.fadeOut(ANIMATION_FADE_DURATION);
         }
         actionToPlay
             .reset()
@@ -915,161 +1008,698 @@ function updateAgentAnimation(agent) {
             .setEffectiveWeight(1)
             .fadeIn(ANIMATION_FADE_DURATION)
             .play();
-        agent.currentAction = actionToPlay;
+        view.currentAction = actionToPlay;
     }
 }
 
-function updateAgentTrail(agent) {
-    if (showTrails) {
-        agent.trails.push(agent.mesh.position.clone());
-        if (agent.trails.length > trailLength) {
-            agent.trails.shift();
-        }
-        // Update or create trail mesh
-         if (agent.trails.length >= 2) {
-            const points = agent.trails;
-            const geometry = new THREE.BufferGeometry().setFromPoints(points);
-
-             // Use a simple color for now
-             const material = new THREE.LineBasicMaterial({ color: agentColor, linewidth: 1 });
-
-             if (agent.trail) {
-                 agent.trail.geometry.dispose(); // Dispose old geometry data
-                 agent.trail.geometry = geometry;
-             } else {
-                 agent.trail = new THREE.Line(geometry, material);
-                 scene.add(agent.trail);
-             }
-         }
-    } else if (agent.trail) {
-        removeTrail(agent); // Use helper
+//-----------------------------------------------------------------------------
+// Colour Modes (shared by both render modes and the trails)
+//-----------------------------------------------------------------------------
+
+// Sets color to the agent's tint for the current colour mode; false means keep the model's colours
+function getAgentTint(agent, color) {
+    if (colorMode === COLOR_MODE.STATE) {
+        color.set(STATE_COLORS[agent.state] ?? NO_TARGET_COLOR);
+        return true;
+    }
+    if (colorMode === COLOR_MODE.DEPARTMENT) {
+        color.set(departmentColors.get(agent.targetDepartment) ?? NO_TARGET_COLOR);
+        return true;
     }
+    return false;
 }
 
+function updateColorLegend() {
+    const legend = document.getElementById('color-legend');
+    if (!legend) return;
+    let entries = [];
+    if (colorMode === COLOR_MODE.STATE) {
+        entries = Object.values(AGENT_STATE).map(state => [STATE_COLORS[state], state]);
+    } else if (colorMode === COLOR_MODE.DEPARTMENT) {
+        entries = [...departmentColors].map(([name, color]) => [color, name]);
+        entries.push([NO_TARGET_COLOR, 'No target']);
+    }
+    legend.style.display = entries.length > 0 ? 'block' : 'none';
+    legend.replaceChildren(...entries.map(([color, label]) => {
+        const item = document.createElement('div');
+        const swatch = document.createElement('span');
+        swatch.className = 'legend-swatch';
+        swatch.style.backgroundColor = `#${new THREE.Color(color).getHexString()}`;
+        item.append(swatch, label);
+        return item;
+    }));
+}
 
 //-----------------------------------------------------------------------------
-// Portal & Queue Management
+// Trails (independent of render mode)
 //-----------------------------------------------------------------------------
 
-function processPortalQueues() {
-    departments.forEach(dept => {
-        // Check Entry Queue
-        if (!dept.entryPortal.isOccupied && dept.entryPortal.queue.length > 0) {
-            const nextAgent = dept.entryPortal.queue.shift(); // Get first agent
-            if (nextAgent && nextAgent.state === AGENT_STATE.WAITING_ENTRY) {
-                 console.log(`Agent ${nextAgent.id} leaving entry queue for ${dept.name}`);
-                 dept.entryPortal.isOccupied = true;
-                 nextAgent.state = AGENT_STATE.ENTERING;
-                 // Give velocity into department
-                 nextAgent.velocity = dept.entryPortal.faceNormal.clone().negate().multiplyScalar(AGENT_MOVE_SPEED * 0.8);
-            } else if (nextAgent) {
-                 console.warn(`Agent ${nextAgent.id} was in entry queue but not in WAITING_ENTRY state? State: ${nextAgent.state}`);
-                 // Put agent back? Or just let them wander? For now, let them go.
-                 // dept.entryPortal.queue.unshift(nextAgent); // Put back at front
-                 nextAgent.state = AGENT_STATE.WANDERING; // Failsafe
+function updateAgentTrails(snapshot) {
+    if (!showTrails) {
+        if (agentTrails.size > 0) clearAgentTrails();
+        return;
+    }
+
+    const seen = new Set();
+    snapshot.agents.forEach(agent => {
+        let trail = agentTrails.get(agent.id);
+        if (!trail) {
+            trail = { points: [], line: null };
+            agentTrails.set(agent.id, trail);
+        }
+        seen.add(agent.id);
+
+        trail.points.push(new THREE.Vector3(agent.x, modelBaseHeightOffset + agent.y, agent.z));
+        if (trail.points.length > trailLength) {
+            trail.points.shift();
+        }
+        // Update or create trail mesh
+        if (trail.points.length >= 2) {
+            if (!getAgentTint(agent, tintColor)) tintColor.set(agentColor);
+            const geometry = new THREE.BufferGeometry().setFromPoints(trail.points);
+
+            if (trail.line) {
+                trail.line.geometry.dispose(); // Dispose old geometry data
+                trail.line.geometry = geometry;
+            } else {
+                const material = new THREE.LineBasicMaterial({ color: agentColor, linewidth: 1 });
+                trail.line = new THREE.Line(geometry, material);
+                scene.add(trail.line);
             }
+            trail.line.material.color.copy(tintColor); // Same colour as the agent in the current colour mode
         }
+    });
 
-        // Check Exit Queue
-        if (!dept.exitPortal.isOccupied && dept.exitPortal.queue.length > 0) {
-            const nextAgent = dept.exitPortal.queue.shift();
-             if (nextAgent && nextAgent.state === AGENT_STATE.WAITING_EXIT) {
-                 console.log(`Agent ${nextAgent.id} leaving exit queue for ${dept.name}`);
-                 dept.exitPortal.isOccupied = true;
-                 nextAgent.state = AGENT_STATE.EXITING;
-                 // Give velocity out of department
-                 nextAgent.velocity = dept.exitPortal.faceNormal.clone().multiplyScalar(AGENT_MOVE_SPEED);
-             } else if (nextAgent) {
-                 console.warn(`Agent ${nextAgent.id} was in exit queue but not in WAITING_EXIT state? State: ${nextAgent.state}`);
-                 nextAgent.state = AGENT_STATE.WANDERING; // Failsafe
-             }
+    agentTrails.forEach((trail, id) => {
+        if (!seen.has(id)) {
+            removeTrail(trail);
+            agentTrails.delete(id);
         }
     });
 }
 
-//-----------------------------------------------------------------------------
-// Helper Functions
-//-----------------------------------------------------------------------------
+function removeTrail(trail) {
+    if (trail.line) {
+        scene.remove(trail.line);
+        trail.line.geometry.dispose();
+        trail.line.material.dispose();
+        trail.line = null;
+    }
+    trail.points = [];
+}
 
-// Checks if a world point lies on the portal line segment on a department face
-function isPointOnPortal(point, portal) {
-    // Project point onto the line defined by the portal's world position and its offset axis
-    const portalLineDir = (portal.offsetAxis === 'z') ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(1, 0, 0);
-    const portalStart = portal.worldPos.clone().addScaledVector(portalLineDir, -portal.width / 2);
-    const portalEnd = portal.worldPos.clone().addScaledVector(portalLineDir, portal.width / 2);
+function clearAgentTrails() {
+    agentTrails.forEach(trail => removeTrail(trail));
+    agentTrails.clear();
+}
 
-    // Project point onto the infinite line containing the portal segment
-    const lineVec = portalEnd.clone().sub(portalStart);
-    const pointVec = point.clone().sub(portalStart);
-    const lineLenSq = lineVec.lengthSq();
-    if (lineLenSq < 0.0001) return false; // Avoid division by zero
+//=============================================================================
+// RENDERING & ANIMATION LOOP
+//=============================================================================
 
-    const t = pointVec.dot(lineVec) / lineLenSq;
+function render() {
+    renderer.render(scene, camera);
+}
 
-    // Check if the projected point is within the segment (0 <= t <= 1)
-    // And also check if the point is very close to the line segment (distance check)
-    const closestPointOnLine = portalStart.clone().addScaledVector(lineVec, t);
-    const distSq = point.distanceToSquared(closestPointOnLine);
+function animate() {
+    requestAnimationFrame(animate);
+    const frameDelta = Math.min(clock.getDelta(), MAX_FRAME_DELTA); // Get time difference
+    const simDelta = isPaused ? 0 : frameDelta * speed; // Speed scales simulated time
+
+    if (replayRecording) {
+        // Replay: the live simulation is left untouched while the recording drives the views
+        updateReplay(frameDelta);
+    } else if (simulation) {
+        // Advance the headless simulation FIRST, in fixed steps
+        stepAccumulator += simDelta;
+        let steps = 0;
+        while (stepAccumulator >= FIXED_TIME_STEP && steps < MAX_STEPS_PER_FRAME) {
+            stepSimulation(simulation, FIXED_TIME_STEP);
+            levelViews.forEach(view => view.occupancyGrid.record(simulation.agents, FIXED_TIME_STEP));
+            trajectoryRecorder.record(simulation);
+            liveRecording.record(simulation);
+            stepAccumulator -= FIXED_TIME_STEP;
+            steps++;
+        }
+        if (stepAccumulator >= FIXED_TIME_STEP) {
+            stepAccumulator %= FIXED_TIME_STEP; // Too far behind: drop the backlog
+        }
 
-    const tolerance = 0.5; // How close the point needs to be to the portal line
+        // Then sync meshes, animations and trails, interpolated between the last two steps
+        const snapshot = getSnapshot(simulation, stepAccumulator / FIXED_TIME_STEP);
+        updateAgentViews(snapshot, simDelta);
+        updateInspector(snapshot, frameDelta);
+        updateHeatmap(frameDelta);
+        updateAnalyticsPanel(frameDelta);
+        updateDepartmentLabels();
+    }
 
-    // Is projection within segment AND point close to the line?
-    return (t >= 0 && t <= 1 && distSq < tolerance * tolerance);
+    controls.update(); // Update camera controls
+    render();          // Render the scene
+    if (stats) stats.update(); // Update performance stats
+}
 
+//=============================================================================
+// RECORD & REPLAY
+//=============================================================================
+
+function startLiveRecording() {
+    // The header holds what's needed to rebuild the scene when the file is loaded later
+    liveRecording.start(simulation, {
+        layoutId: currentLayoutId,
+        layout: simulation.layout,
+        seed: simulation.seed,
+        agentCount: agentCount,
+        steeringModel: simulation.steeringModel, // At the start of the run
+        timeStep: FIXED_TIME_STEP,
+    });
+}
+
+function startReplay(recording) {
+    if (recording.frameCount === 0 || editedLayout) return; // Edit mode shows the edited layout, not the run
+    replayRecording = recording;
+    replayTime = recording === liveRecording ? recording.duration : 0; // Live runs open at "now", to scrub back from
+    isReplayPaused = true;
+    clearAgentTrails();
+    setAgentAnimationTimeScale(1); // Replay pauses by passing a zero delta instead
+    updateReplayControls();
+}
+
+function stopReplay() {
+    replayRecording = null;
+    clearAgentTrails();
+    setAgentAnimationTimeScale(isPaused ? 0 : 1);
+    updateReplayControls();
+}
+
+function setReplayPaused(paused) {
+    if (!replayRecording) return;
+    if (!paused && replayTime >= replayRecording.duration) replayTime = 0; // Play again from the start
+    isReplayPaused = paused;
+    updateReplayControls();
+}
+
+// Moves one recorded step; stepping back from between two steps lands on the earlier one
+function stepReplay(direction) {
+    if (!replayRecording) return;
+    setReplayPaused(true);
+    let frame = replayRecording.frameAt(replayTime);
+    if (direction > 0 || replayTime <= replayRecording.frameTimes[frame]) frame += direction;
+    frame = Math.min(Math.max(frame, 0), replayRecording.frameCount - 1);
+    seekReplay(replayRecording.frameTimes[frame]);
+}
+
+function seekReplay(time) {
+    if (!replayRecording) return;
+    clearAgentTrails(); // A jump would draw a line across the floor
+    replayTime = Math.min(Math.max(time, 0), replayRecording.duration);
+    updateReplayPosition();
 }
 
-function getRandomPointInDepartment(department) {
-    const deptPos = department.mesh.position;
-    const size = department.config.size;
-    const padding = MODEL_SCALE * 1.5; // Ensure point is not too close to walls
+// Advances playback and shows the recorded agents, interpolated between the two nearest steps
+function updateReplay(frameDelta) {
+    const recording = replayRecording;
+    const playbackDelta = isReplayPaused ? 0 : frameDelta * replaySpeed;
+    replayTime += playbackDelta;
+    if (replayTime >= recording.duration) {
+        replayTime = recording.duration;
+        if (!isReplayPaused) setReplayPaused(true); // Stop at the end
+    }
 
-    if (size[0] <= padding * 2 || size[2] <= padding * 2) return null; // Dept too small
+    const frame = recording.frameAt(replayTime);
+    const next = Math.min(frame + 1, recording.frameCount - 1);
+    const span = recording.frameTimes[next] - recording.frameTimes[frame];
+    const alpha = span > 0 ? (replayTime - recording.frameTimes[frame]) / span : 0;
+    const snapshot = recording.getSnapshot(frame, alpha);
+    updateAgentViews(snapshot, playbackDelta);
+    updateInspector(snapshot, frameDelta);
+    updateReplayPosition();
+}
 
-    const x = deptPos.x + THREE.MathUtils.randFloatSpread(size[0] - padding * 2);
-    const z = deptPos.z + THREE.MathUtils.randFloatSpread(size[2] - padding * 2);
-    return new THREE.Vector3(x, modelBaseHeightOffset, z);
+function updateReplayControls() {
+    const replaying = replayRecording !== null;
+    const toggle = document.getElementById('replayToggle');
+    if (toggle) toggle.textContent = replaying ? '● Back to Live' : '⏮ Replay';
+    const pauseButton = document.getElementById('replayPause');
+    if (pauseButton) pauseButton.textContent = isReplayPaused ? '▶' : '❚❚';
+    ['replayPause', 'replayStepBack', 'replayStepForward', 'replayScrubber'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.disabled = !replaying;
+    });
+    const scrubber = document.getElementById('replayScrubber');
+    if (scrubber) scrubber.max = replaying ? replayRecording.duration : 0;
+    updateReplayPosition();
 }
 
-function removeTrail(agent) {
-    if (agent.trail) {
-        scene.remove(agent.trail);
-        agent.trail.geometry.dispose();
-        agent.trail.material.dispose();
-        agent.trail = null;
-        agent.trails = [];
+function updateReplayPosition() {
+    const scrubber = document.getElementById('replayScrubber');
+    const timeEl = document.getElementById('replay-time');
+    if (!replayRecording) {
+        if (scrubber) scrubber.value = 0;
+        if (timeEl) timeEl.textContent = '';
+        return;
     }
+    if (scrubber) scrubber.value = replayTime;
+    if (timeEl) timeEl.textContent = `${replayTime.toFixed(2)} / ${replayRecording.duration.toFixed(1)} s`;
 }
 
-// Helper to get portal world position (now stored directly)
-// function getPortalWorldPosition(department, portalType = 'entry') { ... } // No longer needed
+// Saves the recording being replayed, or the live run's recording so far
+function saveRecording() {
+    const recording = replayRecording || liveRecording;
+    if (recording.frameCount === 0 || editedLayout) return; // Edit mode shows the edited layout, not the run
+    const { layoutId, seed } = recording.header;
+    downloadFile(`${layoutId}-seed${seed}-${Math.round(recording.duration)}s.rec`, recording.serialize(), 'application/octet-stream');
+}
+
+// Rebuilds the recorded layout (with the recording's seed, count and steering, so the live run
+// restarts from the same state) and opens the recording for replay
+async function loadRecording(file) {
+    let recording;
+    try {
+        recording = RunRecording.deserialize(await file.arrayBuffer());
+    } catch (error) {
+        alert(`Could not load ${file.name}: ${error.message}`);
+        return;
+    }
+    const { layout, layoutId } = recording.header;
+    const errors = checkLayout(layout);
+    if (errors.length > 0) {
+        showLayoutErrors(errors, layoutId);
+        return;
+    }
+
+    seed = recording.header.seed;
+    agentCount = recording.header.agentCount;
+    steeringModel = recording.header.steeringModel;
+    const countInput = document.getElementById('count');
+    if (countInput) countInput.value = agentCount;
+    const seedInput = document.getElementById('seed');
+    if (seedInput) seedInput.value = seed;
+    const steeringSelect = document.getElementById('steering');
+    if (steeringSelect) steeringSelect.value = steeringModel;
+    applyLayout(layout, layoutId);
+    startReplay(recording);
+}
 
 //=============================================================================
-// RENDERING & ANIMATION LOOP
+// AGENT INSPECTOR
 //=============================================================================
 
-function render() {
-    renderer.render(scene, camera);
+// Agent id under the given screen position, or null
+function pickAgent(clientX, clientY) {
+    pointerNdc.set((clientX / window.innerWidth) * 2 - 1, -(clientY / window.innerHeight) * 2 + 1);
+    raycaster.setFromCamera(pointerNdc, camera);
+    if (instancedCrowd && instancedCrowd.group.visible) return instancedCrowd.pickAgent(raycaster);
+
+    const meshes = [];
+    agentViews.forEach(view => meshes.push(view.mesh));
+    const hit = raycaster.intersectObjects(meshes, true)[0];
+    for (let object = hit ? hit.object : null; object; object = object.parent) {
+        if (object.userData.agentId !== undefined) return object.userData.agentId;
+    }
+    return null;
 }
 
-function animate() {
-    requestAnimationFrame(animate);
-    const delta = clock.getDelta(); // Get time difference
+// Opens the panel for an agent id, or closes it for null
+function inspectAgent(id) {
+    inspectedAgentId = id;
+    inspectorRefreshTimer = 0;
+    const panel = document.getElementById('inspector');
+    if (panel) panel.style.display = id === null ? 'none' : 'block';
+    if (id === null) {
+        setFollowInspectedAgent(false);
+        if (selectionMarker) selectionMarker.visible = false;
+        return;
+    }
+    if (!selectionMarker) {
+        selectionMarker = new THREE.Mesh(
+            new THREE.RingGeometry(AGENT_RADIUS * 1.2, AGENT_RADIUS * 1.6, 32),
+            new THREE.MeshBasicMaterial({ color: 0xffa500, side: THREE.DoubleSide }),
+        );
+        selectionMarker.rotation.x = -Math.PI / 2;
+        scene.add(selectionMarker);
+    }
+}
 
-    if (!isPaused) {
-        // Update agents FIRST
-        updateAgents(delta);
+function setFollowInspectedAgent(follow) {
+    followInspectedAgent = follow && inspectedAgentId !== null;
+    const button = document.getElementById('inspectorFollow');
+    if (button) button.textContent = followInspectedAgent ? 'Stop Following' : 'Follow';
+}
 
-        // Update agent animations AFTER agent logic/physics
-        agents.forEach(agent => {
-            if (agent.mixer) {
-                agent.mixer.update(delta);
-            }
-        });
+// Moves the marker (and the camera when following) every frame; redraws the panel at most
+// every INSPECTOR_REFRESH_INTERVAL
+function updateInspector(snapshot, frameDelta) {
+    if (inspectedAgentId === null) return;
+    const agent = snapshot.agents.find(a => a.id === inspectedAgentId);
+    if (!agent) {
+        inspectAgent(null); // Agent left the simulation (or isn't in the replayed step)
+        return;
     }
 
-    controls.update(); // Update camera controls
-    render();          // Render the scene
-    if (stats) stats.update(); // Update performance stats
+    const y = getDisplayY(agent.elevation);
+    selectionMarker.position.set(agent.x, y + 0.5, agent.z); // Just above the floor
+    selectionMarker.visible = isAgentShown(agent);
+    if (followInspectedAgent) {
+        // Keep the camera's offset from the target so the user can still orbit and zoom
+        followOffset.subVectors(camera.position, controls.target);
+        controls.target.set(agent.x, initialControlsTarget.y + y, agent.z);
+        camera.position.addVectors(controls.target, followOffset);
+    }
+
+    inspectorRefreshTimer -= frameDelta;
+    if (inspectorRefreshTimer > 0) return;
+    inspectorRefreshTimer = INSPECTOR_REFRESH_INTERVAL;
+    renderInspector(agent);
+}
+
+function renderInspector(agent) {
+    // Replays only store what the renderer needs, so timers and history come from the live run only
+    const details = replayRecording ? null : getAgentDetails(simulation, agent.id);
+    const seconds = value => `${Math.max(0, value).toFixed(1)} s`;
+    const liveOnly = value => details ? value(details) : '– (not recorded)';
+
+    const title = document.getElementById('inspector-title');
+    if (title) title.textContent = `Agent ${agent.id}`;
+
+    let target = agent.targetDepartment || '–';
+    if (details && details.portal) target += ` (via ${details.portal}${details.queuePosition ? `, #${details.queuePosition} in queue` : ''})`;
+    let checkout = '–';
+    if (details && details.checkoutLane) {
+        checkout = details.checkoutLane;
+        if (details.state === AGENT_STATE.CHECKING_OUT) checkout += ` (at the till, ${seconds(details.serviceTimer)} left)`;
+        else if (details.queuePosition) checkout += ` (#${details.queuePosition} in line)`;
+    }
+    const fields = [
+        ['State', agent.state],
+        ['Previous state', liveOnly(d => d.previousState || '–')],
+        ['Persona', liveOnly(d => d.persona || '–')],
+        ['Shopping list', liveOnly(d => d.shoppingList ? (d.shoppingList.join(', ') || 'done') : '–')],
+        ['Target department', target],
+        ['Time in department', liveOnly(d => d.state === AGENT_STATE.INSIDE_DEPT || d.state === AGENT_STATE.BROWSING ? `${seconds(d.timeInDepartment)} left` : '–')],
+        ['Browsing', liveOnly(d => d.state === AGENT_STATE.BROWSING ? `${d.browseProduct} (${seconds(d.browseTimer)} left)` : (d.browseProduct ? `heading for ${d.browseProduct}` : '–'))],
+        ['Idle timer', liveOnly(d => d.state === AGENT_STATE.IDLE ? `${seconds(d.idleTimer)} left` : '–')],
+        ['Basket', liveOnly(d => d.basketItems === null ? '–' : `${d.basketItems} items`)],
+        ['Checkout', liveOnly(() => checkout)],
+        ['Velocity', liveOnly(d => `(${d.velocity.x.toFixed(1)}, ${d.velocity.z.toFixed(1)}) ${d.speed.toFixed(1)}/s`)],
+        ['Position', `(${agent.x.toFixed(1)}, ${agent.z.toFixed(1)})`],
+    ];
+    if (simulation.levels.length > 1) {
+        const level = simulation.levels[agent.level].name;
+        fields.splice(fields.length - 1, 0,
+            ['Level', details && details.levelGoal ? `${level} → ${details.levelGoal}` : level],
+            ['Link', liveOnly(d => d.link || '–')],
+        );
+    }
+    const fieldsEl = document.getElementById('inspector-fields');
+    if (fieldsEl) {
+        fieldsEl.replaceChildren(...fields.map(([label, value]) => {
+            const row = document.createElement('tr');
+            const labelCell = document.createElement('th');
+            const valueCell = document.createElement('td');
+            labelCell.textContent = label;
+            valueCell.textContent = value;
+            row.append(labelCell, valueCell);
+            return row;
+        }));
+    }
+
+    const historyEl = document.getElementById('inspector-history');
+    if (historyEl) {
+        const history = details ? details.stateHistory.slice().reverse() : []; // Newest first
+        historyEl.replaceChildren(...history.map(entry => {
+            const item = document.createElement('li');
+            const transition = entry.from ? `${entry.from} → ${entry.to}` : entry.to;
+            item.textContent = `${entry.time.toFixed(1)} s  ${transition}${entry.department ? ` (${entry.department})` : ''}`;
+            return item;
+        }));
+    }
+}
+
+//=============================================================================
+// LAYOUT EDITOR
+//=============================================================================
+
+// Edit mode works on a copy of the running layout: the simulation pauses, every edit redraws
+// the departments and re-validates, and the simulation only changes on Apply
+function openLayoutEditor() {
+    if (!simulation || editedLayout) return;
+    if (replayRecording) stopReplay();
+    inspectAgent(null);
+    editorWasPaused = isPaused;
+    if (!isPaused) toggleSimulation();
+    if (!transformControls) createTransformControls();
+    editedLayout = cloneLayout(simulation.layout);
+    document.getElementById('layout-editor').style.display = 'block';
+    document.getElementById('editLayout').textContent = '✕ Stop Editing';
+    selectEditorDepartment(null);
+    refreshEditedLayout();
+}
+
+// apply: rebuild the simulation from the edited layout (only if it validates); otherwise the
+// edits are dropped and the running layout is drawn again
+function closeLayoutEditor(apply) {
+    if (!editedLayout) return;
+    if (apply && checkLayout(editedLayout).length > 0) return;
+    const layout = editedLayout;
+    selectEditorDepartment(null);
+    editedLayout = null;
+    document.getElementById('layout-editor').style.display = 'none';
+    document.getElementById('editLayout').textContent = '✎ Edit Layout';
+    if (apply) {
+        applyLayout(layout, currentLayoutId); // Respawns the agents and resumes
+    } else {
+        createDepartments(simulation.departments);
+        if (!editorWasPaused) toggleSimulation();
+    }
+}
+
+function createTransformControls() {
+    editorHandle = new THREE.Object3D();
+    scene.add(editorHandle);
+    transformControls = new TransformControls(camera, renderer.domElement);
+    transformControls.showY = false; // Departments stay on the floor
+    transformControls.addEventListener('dragging-changed', e => {
+        controls.enabled = !e.value; // Don't orbit while dragging the gizmo
+        if (e.value) {
+            editorDragStartSize = editorSelection ? editorSelection.size.slice() : null;
+        } else {
+            editorHandle.scale.set(1, 1, 1); // Scale drags are relative to the size at mouse down
+            editorDragStartSize = null;
+        }
+    });
+    transformControls.addEventListener('objectChange', onEditorHandleDragged);
+    scene.add(transformControls);
+}
+
+// Reads a gizmo drag back into the selected department, snapped to the grid
+function onEditorHandleDragged() {
+    const dept = editorSelection;
+    if (!dept) return;
+    if (transformControls.mode === 'scale') {
+        if (!editorDragStartSize) return;
+        const [width, height, depth] = editorDragStartSize;
+        resizeDepartment(dept, [
+            snapEditorValue(width * editorHandle.scale.x), height, snapEditorValue(depth * editorHandle.scale.z),
+        ], PORTAL_WIDTH_FACTOR);
+    } else {
+        moveDepartment(dept, snapEditorValue(editorHandle.position.x), snapEditorValue(editorHandle.position.z));
+    }
+    refreshEditedLayout();
+}
+
+// Redraws the edited layout and re-validates it; Apply is only enabled for a valid layout
+function refreshEditedLayout() {
+    // Edits don't add or remove levels, so the edited departments go on the simulation's levels
+    createDepartments(getLevelConfigs(editedLayout).flatMap((config, index) => buildDepartments(config).map(dept => {
+        dept.level = simulation.levels[index];
+        return dept;
+    })));
+    const errors = checkLayout(editedLayout);
+    const errorsEl = document.getElementById('editor-errors');
+    errorsEl.innerHTML = '';
+    errors.forEach(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        errorsEl.appendChild(item);
+    });
+    document.getElementById('editor-status').textContent = errors.length === 0 ? 'Layout is valid.' : '';
+    document.getElementById('editorApply').disabled = errors.length > 0;
+    if (editorSelection && !transformControls.dragging) placeEditorHandle(editorSelection);
+    renderEditorPanel();
+}
+
+// Runs edit(dept) on the selected department, then redraws
+function editSelectedDepartment(edit) {
+    if (!editorSelection) return;
+    edit(editorSelection);
+    refreshEditedLayout();
+}
+
+function selectEditorDepartment(dept) {
+    editorSelection = dept;
+    if (dept) {
+        placeEditorHandle(dept);
+        transformControls.attach(editorHandle);
+    } else if (transformControls) {
+        transformControls.detach();
+    }
+    renderEditorPanel();
+}
+
+// Puts the gizmo on the department's footprint, at the height its level is drawn at
+function placeEditorHandle(dept) {
+    const levelIndex = getLevelConfigs(editedLayout).findIndex(config => config.departments.includes(dept));
+    editorHandle.position.set(dept.position[0], getDisplayY(simulation.levels[levelIndex].elevation), dept.position[2]);
+}
+
+// Level config new departments go on: the level shown, or the ground level in the exploded view
+function getEditorLevel() {
+    return getLevelConfigs(editedLayout)[levelView === LEVEL_VIEW_EXPLODED ? 0 : levelView];
+}
+
+// Department under the given screen position (its layout entry), or null. Hidden levels can't be picked.
+function pickDepartment(clientX, clientY) {
+    pointerNdc.set((clientX / window.innerWidth) * 2 - 1, -(clientY / window.innerHeight) * 2 + 1);
+    raycaster.setFromCamera(pointerNdc, camera);
+    const meshes = departmentViews.filter(view => view.mesh.parent.visible).map(view => view.mesh);
+    const hit = raycaster.intersectObjects(meshes, false)[0];
+    return hit ? hit.object.userData.config : null;
+}
+
+function snapEditorValue(value) {
+    if (!document.getElementById('editorSnap').checked) return value;
+    return snapToGrid(value, +document.getElementById('editorGrid').value);
+}
+
+// Fills the department fields and portal rows from the selection
+function renderEditorPanel() {
+    const dept = editorSelection;
+    document.getElementById('editor-department').disabled = !dept;
+    const portalsEl = document.getElementById('editor-portals');
+    portalsEl.innerHTML = '';
+    const fields = {
+        editorName: dept ? dept.name : '',
+        editorColor: dept ? dept.color : '#000000',
+        editorWidth: dept ? dept.size[0] : '',
+        editorHeight: dept ? dept.size[1] : '',
+        editorDepth: dept ? dept.size[2] : '',
+        editorX: dept ? dept.position[0] : '',
+        editorZ: dept ? dept.position[2] : '',
+    };
+    Object.entries(fields).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input !== document.activeElement) input.value = value; // Don't fight the user's typing
+    });
+    if (!dept) return;
+
+    getPortalConfigs(dept).forEach((portal, index) => {
+        const row = document.createElement('div');
+        portalsEl.appendChild(row);
+
+        const direction = document.createElement('select');
+        direction.title = 'Which way agents use it';
+        Object.values(PORTAL_DIRECTION).forEach(value => {
+            const option = document.createElement('option');
+            option.value = option.textContent = value;
+            direction.appendChild(option);
+        });
+        direction.value = portal.direction;
+        direction.onchange = () => editSelectedDepartment(d => updatePortal(d, index, { direction: direction.value }, PORTAL_WIDTH_FACTOR));
+
+        const face = document.createElement('select');
+        face.title = 'Face';
+        EDITOR_PORTAL_FACES.forEach(value => {
+            const option = document.createElement('option');
+            option.value = option.textContent = value;
+            face.appendChild(option);
+        });
+        face.value = portal.face;
+        face.onchange = () => editSelectedDepartment(d => updatePortal(d, index, { face: face.value }, PORTAL_WIDTH_FACTOR));
+
+        const offset = document.createElement('input');
+        offset.type = 'number';
+        offset.title = 'Offset along the face';
+        offset.value = portal.offset;
+        offset.onchange = () => {
+            if (offset.value === '') return;
+            editSelectedDepartment(d => updatePortal(d, index, { offset: snapEditorValue(+offset.value) }, PORTAL_WIDTH_FACTOR));
+        };
+
+        const width = document.createElement('input');
+        width.type = 'number';
+        width.title = 'Width (empty for the default)';
+        width.placeholder = PORTAL_WIDTH_FACTOR;
+        width.value = portal.width ?? '';
+        width.onchange = () => editSelectedDepartment(d => updatePortal(d, index, { width: width.value === '' ? null : +width.value }, PORTAL_WIDTH_FACTOR));
+
+        const removeButton = document.createElement('button');
+        removeButton.textContent = '✕';
+        removeButton.title = 'Delete this portal';
+        removeButton.onclick = () => editSelectedDepartment(d => removePortal(d, index));
+
+        row.append(direction, ' ', face, ' ', offset, ' ', width, ' ', removeButton);
+    });
+
+    const addButton = document.createElement('button');
+    addButton.textContent = '+ Portal';
+    addButton.title = 'Add a portal used both ways';
+    addButton.onclick = () => editSelectedDepartment(d => addPortal(d, PORTAL_DIRECTION.BOTH, PORTAL_WIDTH_FACTOR));
+    portalsEl.appendChild(addButton);
+}
+
+// Adds a department in the middle of the view
+function addEditorDepartment() {
+    const dept = addDepartment(editedLayout, getEditorLevel(), snapEditorValue(controls.target.x), snapEditorValue(controls.target.z), PORTAL_WIDTH_FACTOR);
+    selectEditorDepartment(dept);
+    refreshEditedLayout();
+}
+
+function deleteEditorDepartment() {
+    if (!editorSelection) return;
+    removeDepartment(editedLayout, editorSelection);
+    selectEditorDepartment(null);
+    refreshEditedLayout();
+}
+
+// Downloads the edited layout as a layout file (whether or not it validates)
+function exportEditedLayout() {
+    downloadFile(`${currentLayoutId}-edited.json`, JSON.stringify(editedLayout, null, 4) + '\n', 'application/json');
+}
+
+function setupLayoutEditorListeners() {
+    document.getElementById('editLayout').onclick = () => editedLayout ? closeLayoutEditor(false) : openLayoutEditor();
+    document.getElementById('editorApply').onclick = () => closeLayoutEditor(true);
+    document.getElementById('editorCancel').onclick = () => closeLayoutEditor(false);
+    document.getElementById('editorAddDepartment').onclick = addEditorDepartment;
+    document.getElementById('editorDeleteDepartment').onclick = deleteEditorDepartment;
+    document.getElementById('editorExport').onclick = exportEditedLayout;
+    document.getElementById('editorMode').onchange = e => {
+        if (transformControls) transformControls.setMode(e.target.value);
+    };
+    document.getElementById('editorName').onchange = e => {
+        const name = e.target.value.trim();
+        editSelectedDepartment(dept => renameDepartment(editedLayout, dept, name));
+    };
+    document.getElementById('editorColor').oninput = e => editSelectedDepartment(dept => { dept.color = e.target.value; });
+    ['editorWidth', 'editorHeight', 'editorDepth'].forEach((id, axis) => {
+        document.getElementById(id).onchange = e => {
+            if (e.target.value === '') return;
+            editSelectedDepartment(dept => {
+                const size = dept.size.slice();
+                size[axis] = snapEditorValue(+e.target.value);
+                resizeDepartment(dept, size, PORTAL_WIDTH_FACTOR);
+            });
+        };
+    });
+    document.getElementById('editorX').onchange = e => {
+        if (e.target.value === '') return;
+        editSelectedDepartment(dept => moveDepartment(dept, snapEditorValue(+e.target.value), dept.position[2]));
+    };
+    document.getElementById('editorZ').onchange = e => {
+        if (e.target.value === '') return;
+        editSelectedDepartment(dept => moveDepartment(dept, dept.position[0], snapEditorValue(+e.target.value)));
+    };
 }
 
 //=============================================================================
@@ -1083,55 +1713,308 @@ function setupUIEventListeners() {
     document.getElementById('resetView').onclick = resetView;
     document.getElementById('speed').oninput = e => speed = +e.target.value;
     document.getElementById('count').onchange = e => resetScene(+e.target.value); // Pass new count directly
+    document.getElementById('seed').onchange = () => resetScene(); // Reads the seed field
+    document.getElementById('renderMode').onchange = e => renderMode = e.target.value;
+    document.getElementById('steering').onchange = e => {
+        steeringModel = e.target.value;
+        if (simulation) setSteeringModel(simulation, steeringModel);
+    };
     document.getElementById('scenario').onchange = e => switchLayout(e.target.value);
+    document.getElementById('levelView').onchange = e => setLevelView(e.target.value);
+    document.getElementById('colorMode').onchange = e => {
+        colorMode = e.target.value;
+        updateColorLegend();
+    };
     document.getElementById('trails').onchange = e => {
         showTrails = e.target.checked;
         if (!showTrails) {
-            agents.forEach(agent => removeTrail(agent));
+            clearAgentTrails();
         }
     }
+    document.getElementById('export').onclick = () => exportRun(document.getElementById('exportFormat').value);
+    document.getElementById('inspectorFollow').onclick = () => setFollowInspectedAgent(!followInspectedAgent);
+    document.getElementById('inspectorClose').onclick = () => inspectAgent(null);
+    renderer.domElement.addEventListener('pointerdown', e => {
+        pointerDownPosition = e.button === 0 ? { x: e.clientX, y: e.clientY } : null;
+    });
+    renderer.domElement.addEventListener('pointerup', e => {
+        if (!pointerDownPosition) return;
+        const moved = Math.hypot(e.clientX - pointerDownPosition.x, e.clientY - pointerDownPosition.y);
+        pointerDownPosition = null;
+        if (moved > CLICK_MOVE_TOLERANCE) return;
+        if (editedLayout) {
+            // Clicks on the gizmo belong to the drag, not to picking
+            if (!transformControls.dragging && transformControls.axis === null) selectEditorDepartment(pickDepartment(e.clientX, e.clientY));
+        } else {
+            inspectAgent(pickAgent(e.clientX, e.clientY));
+        }
+    });
+    document.getElementById('replayToggle').onclick = () => replayRecording ? stopReplay() : startReplay(liveRecording);
+    document.getElementById('replayPause').onclick = () => setReplayPaused(!isReplayPaused);
+    document.getElementById('replayStepBack').onclick = () => stepReplay(-1);
+    document.getElementById('replayStepForward').onclick = () => stepReplay(1);
+    document.getElementById('replaySpeed').onchange = e => replaySpeed = +e.target.value;
+    document.getElementById('replayScrubber').oninput = e => seekReplay(+e.target.value);
+    document.getElementById('saveRecording').onclick = saveRecording;
+    document.getElementById('loadRecording').onchange = e => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Loading the same file again should still fire onchange
+        if (file) loadRecording(file);
+    };
+    document.getElementById('heatmap').onchange = e => {
+        showHeatmap = e.target.checked;
+        levelViews.forEach(view => showHeatmap ? view.heatmapOverlay.show() : view.heatmapOverlay.hide());
+        updateHeatmap(0, true);
+    };
+    document.getElementById('heatmapMode').onchange = e => {
+        heatmapMode = e.target.value;
+        updateHeatmap(0, true);
+    };
+    document.getElementById('heatmapState').onchange = e => {
+        heatmapState = e.target.value || null;
+        updateHeatmap(0, true);
+    };
+    setupLayoutEditorListeners();
+    updateReplayControls();
+}
+
+// Downloads trajectories, the department event log and KPIs for the run so far:
+// three CSV files, or one JSON document holding all three
+function exportRun(format) {
+    if (!simulation) return;
+    const baseName = `${currentLayoutId}-seed${simulation.seed}-t${Math.round(simulation.time)}s`;
+    if (format === 'json') {
+        downloadFile(`${baseName}.json`, buildRunJSON(simulation, trajectoryRecorder), 'application/json');
+    } else {
+        downloadFile(`${baseName}-trajectories.csv`, trajectoriesToCSV(trajectoryRecorder), 'text/csv');
+        downloadFile(`${baseName}-events.csv`, eventsToCSV(simulation.analytics), 'text/csv');
+        downloadFile(`${baseName}-kpis.csv`, kpisToCSV(buildKpis(simulation)), 'text/csv');
+    }
+}
+
+// data: a string or an ArrayBuffer
+function downloadFile(fileName, data, mimeType) {
+    const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000); // Give the download time to start
+}
+
+function populateHeatmapStateSelect() {
+    const select = document.getElementById('heatmapState');
+    if (!select) return;
+    Object.values(AGENT_STATE).forEach(state => {
+        const option = document.createElement('option');
+        option.value = state;
+        option.textContent = `Only ${state}`;
+        select.appendChild(option);
+    });
+    const rollingOption = document.querySelector('#heatmapMode option[value="rolling"]');
+    if (rollingOption) rollingOption.textContent = `Last ${HEATMAP_WINDOW_SECONDS} s`;
+}
+
+// Recolours the floors shown from their occupancy grids, at most every HEATMAP_REFRESH_INTERVAL
+// unless forced. Each floor's red end stands for its own busiest cell.
+function updateHeatmap(frameDelta, force = false) {
+    const scaleEl = document.getElementById('heatmap-scale');
+    if (!showHeatmap) {
+        if (scaleEl) scaleEl.textContent = '';
+        return;
+    }
+    heatmapRefreshTimer -= frameDelta;
+    if (heatmapRefreshTimer > 0 && !force) return;
+    heatmapRefreshTimer = HEATMAP_REFRESH_INTERVAL;
+
+    const shown = levelViews.filter(view => view.group.visible);
+    const scales = shown.map(view => {
+        const maxSeconds = view.heatmapOverlay.update(heatmapMode, heatmapState);
+        return shown.length > 1 ? `${maxSeconds.toFixed(1)} (${view.level.name})` : maxSeconds.toFixed(1);
+    });
+    if (scaleEl) scaleEl.textContent = `Red ≈ ${scales.join(', ')} agent-s per ${HEATMAP_CELL_SIZE}×${HEATMAP_CELL_SIZE} cell`;
+}
+
+// Redraws the department analytics table, at most every ANALYTICS_REFRESH_INTERVAL unless forced
+function updateAnalyticsPanel(frameDelta, force = false) {
+    analyticsRefreshTimer -= frameDelta;
+    if ((analyticsRefreshTimer > 0 && !force) || !simulation) return;
+    analyticsRefreshTimer = ANALYTICS_REFRESH_INTERVAL;
+    updateUIDisplay(); // Arrivals and departures change the population
+
+    const panel = document.getElementById('analytics-panel');
+    const rows = document.getElementById('analytics-rows');
+    if (!rows || (panel && !panel.open)) return;
+
+    const seconds = value => value === null ? '–' : `${value.toFixed(1)} s`;
+    const storeEl = document.getElementById('store-summary');
+    if (storeEl) {
+        const hasDoors = simulation.doors.length > 0;
+        storeEl.style.display = hasDoors ? 'block' : 'none';
+        if (hasDoors) {
+            const store = summarizeStore(simulation.analytics);
+            const rate = simulation.arrivals ? `, arriving at ${getArrivalRate(simulation.arrivals, simulation.time)}/h` : '';
+            storeEl.textContent = `Store: ${store.arrivals} arrived, ${store.departures} left${rate}; ` +
+                `trip avg ${seconds(store.trip.mean)}, p90 ${seconds(store.trip.p90)}`;
+            storeEl.title = store.personas
+                .map(persona => `${persona.name}: ${persona.departures} left, trip avg ${seconds(persona.trip.mean)}`)
+                .join('\n');
+        }
+    }
+
+    rows.replaceChildren(...summarizeAnalytics(simulation.analytics).map(summary => {
+        const conversion = summary.conversion === null ? '' : ` (${Math.round(summary.conversion * 100)}%)`;
+        const row = document.createElement('tr');
+        [
+            summary.name,
+            summary.attempts,
+            summary.abandoned,
+            `${summary.entries}${conversion}`,
+            summary.inside,
+            seconds(summary.dwell.mean),
+            seconds(summary.dwell.p50),
+            seconds(summary.dwell.p90),
+            seconds(summary.entryQueueWait.mean),
+            seconds(summary.entryQueueWait.p90),
+            seconds(summary.exitQueueWait.mean),
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        const byReason = summary.abandonedByReason;
+        row.title = `Abandoned: ${byReason[ABANDON_REASON.WALL_HIT]} wall hits, ${byReason[ABANDON_REASON.FLOOR_BOUNCE]} floor bounces` +
+            `, ${byReason[ABANDON_REASON.DEPARTMENT_FULL]} gave up on a full department` +
+            `, ${summary.abandonedInside} after entering; ${summary.exits} exited`;
+        return row;
+    }));
+
+    // Portals, with how many agents are crossing and waiting right now
+    const portalRows = document.getElementById('portal-rows');
+    if (portalRows) {
+        const portals = new Map(simulation.departments.flatMap(dept => dept.portals).map(portal => [portal.name, portal]));
+        portalRows.replaceChildren(...summarizePortals(simulation.analytics, simulation.time).map(summary => {
+            const portal = portals.get(summary.name);
+            const row = document.createElement('tr');
+            [
+                summary.name,
+                summary.capacity,
+                summary.flowRate,
+                portal.crossing,
+                (portal.entryLine ? portal.entryLine.queue.length : 0) + (portal.exitLine ? portal.exitLine.queue.length : 0),
+                `${summary.entries} / ${summary.exits}`,
+                summary.perMinute === null ? '–' : summary.perMinute.toFixed(1),
+                summary.peakPerMinute,
+                seconds(summary.crossingTime.mean),
+                seconds(summary.queueWait.mean),
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            row.title = `${summary.direction}, ${summary.width.toFixed(1)} wide; crossing p90 ${seconds(summary.crossingTime.p90)}, queue wait p90 ${seconds(summary.queueWait.p90)}`;
+            return row;
+        }));
+    }
+
+    // Escalators and elevators, with who's waiting and riding right now
+    const linkTable = document.getElementById('link-table');
+    const linkRows = document.getElementById('link-rows');
+    if (linkTable && linkRows) {
+        linkTable.style.display = simulation.links.length > 0 ? 'table' : 'none';
+        const links = new Map(simulation.links.map(link => [link.name, link]));
+        linkRows.replaceChildren(...summarizeLinks(simulation.analytics).map(summary => {
+            const link = links.get(summary.name);
+            const row = document.createElement('tr');
+            [
+                summary.name,
+                link.ends.reduce((sum, end) => sum + (end.line ? end.line.queue.length : 0), 0),
+                link.riders.length,
+                summary.rides,
+                seconds(summary.queueWait.mean),
+                seconds(summary.queueWait.p90),
+                seconds(summary.rideTime.mean),
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            row.title = `${summary.type}, ${summary.capacity} riders at once, ${summary.travelTime} s end to end`;
+            return row;
+        }));
+    }
+
+    // Checkout lanes, with the current line length from the simulation
+    const checkoutTable = document.getElementById('checkout-table');
+    const checkoutRows = document.getElementById('checkout-rows');
+    if (!checkoutTable || !checkoutRows) return;
+    checkoutTable.style.display = simulation.checkouts.length > 0 ? 'table' : 'none';
+    const lanes = new Map(simulation.checkouts.flatMap(zone => zone.lanes.map(lane => [lane.name, lane])));
+    checkoutRows.replaceChildren(...summarizeCheckouts(simulation.analytics).map(summary => {
+        const row = document.createElement('tr');
+        [
+            summary.name + (summary.express ? ' (express)' : ''),
+            lanes.get(summary.name).queue.length,
+            summary.served,
+            seconds(summary.queueWait.mean),
+            seconds(summary.queueWait.p90),
+            seconds(summary.serviceTime.mean),
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        return row;
+    }));
 }
 
 function updateUIDisplay() {
     const agentsCountEl = document.getElementById('agents-count');
-    if (agentsCountEl) agentsCountEl.textContent = `Agents: ${agents.length}`;
+    if (agentsCountEl) agentsCountEl.textContent = `Agents: ${simulation ? simulation.agents.length : 0}`;
     // Hide manual FPS counter if Stats.js is used
     const fpsEl = document.getElementById('fps');
     if (fpsEl && stats) fpsEl.style.display = 'none';
 }
 
 function resetScene(newCount) {
-    // Stop animations and clear agents
-    agents.forEach(agent => {
-         if(agent.mixer) agent.mixer.stopAllAction();
-         if (agent.mesh) scene.remove(agent.mesh);
-         removeTrail(agent);
-     });
-    agents = [];
-
-    // Clear department queues
-    departments.forEach(dept => {
-        if(dept.entryPortal) dept.entryPortal.queue = []; dept.entryPortal.isOccupied = false;
-        if(dept.exitPortal) dept.exitPortal.queue = []; dept.exitPortal.isOccupied = false;
-    });
-
+    closeLayoutEditor(false); // Unapplied edits don't survive a respawn
+    // Stop animations and clear agent meshes
+    clearAgentViews();
+    clearAgentTrails();
 
     // Update agent count
     if (newCount !== undefined && !isNaN(newCount)) {
-        agentCount = Math.max(1, newCount);
+        agentCount = Math.max(0, newCount); // 0 = empty store, for layouts with arrivals
         const countInput = document.getElementById('count');
         if (countInput) countInput.value = agentCount;
     } else {
         const countInput = document.getElementById('count');
-        agentCount = countInput ? parseInt(countInput.value, 10) || 25 : 25; // Use base 10 for parseInt
+        const parsedCount = countInput ? parseInt(countInput.value, 10) : NaN; // Use base 10 for parseInt
+        agentCount = Number.isNaN(parsedCount) ? 25 : Math.max(0, parsedCount);
+    }
+
+    // Update seed
+    const seedInput = document.getElementById('seed');
+    if (seedInput) {
+        seed = normalizeSeed(seedInput.value);
+        seedInput.value = seed;
     }
 
-    // Respawn agents
-    if (loadedGltfModel) {
-        spawnAgents(agentCount);
+    // Respawn agents (this also clears portal queues and restarts the PRNG); meshes are created on the next frame
+    if (replayRecording) stopReplay();
+    inspectAgent(null); // Agent ids start over
+    stepAccumulator = 0;
+    levelViews.forEach(view => view.occupancyGrid.clear());
+    trajectoryRecorder.clear();
+    updateHeatmap(0, true);
+    if (simulation) {
+        setSeed(simulation, seed);
+        spawnAgents(simulation, agentCount);
+        startLiveRecording();
     } else {
-        console.warn("Model not loaded yet, cannot respawn agents during reset.");
+        console.warn("Simulation not created yet, cannot respawn agents during reset.");
     }
+    updateAnalyticsPanel(0, true); // spawnAgents() reset the counts
 
     // Reset pause state
     isPaused = false;
@@ -1141,37 +2024,61 @@ function resetScene(newCount) {
     updateUIDisplay();
 }
 
-function switchLayout(layout) {
-    // Clear department queues before creating new ones
-     departments.forEach(dept => {
-        if(dept.entryPortal) dept.entryPortal.queue = []; dept.entryPortal.isOccupied = false;
-        if(dept.exitPortal) dept.exitPortal.queue = []; dept.exitPortal.isOccupied = false;
-     });
-    createDepartments(layout);
+async function switchLayout(layoutId) {
+    closeLayoutEditor(false);
+    const { layout, errors } = await loadLayout(layoutId);
+    if (errors.length > 0) {
+        // Keep the current layout running and put the selector back
+        showLayoutErrors(errors, layoutId);
+        const select = document.getElementById('scenario');
+        if (select) select.value = currentLayoutId;
+        return;
+    }
+    applyLayout(layout, layoutId);
+}
+
+// layout must already have passed validateLayout()
+function applyLayout(layout, layoutId) {
+    showLayoutErrors([]);
+    currentLayoutId = layoutId;
+    const select = document.getElementById('scenario');
+    if (select && layoutIndex.some(entry => entry.id === layoutId)) select.value = layoutId;
+
+    // New simulation state for the new departments
+    clearAgentViews();
+    clearAgentTrails();
+    simulation = createSimulation(layout, { seed, steeringModel });
+    createLevels(simulation.levels);
+    createDepartments(simulation.departments);
+    createDoors(simulation.doors);
+    createCheckouts(simulation.checkouts);
+    populateLevelSelect();
+    if (applyLevelView()) resetView(); // A floor of another size or in another place
     // Reset agents completely when layout changes
     resetScene(agentCount);
 }
 
 
 function toggleSimulation() {
+    if (editedLayout) return; // Stays paused in edit mode
     isPaused = !isPaused;
     const startPauseButton = document.getElementById('startPause');
     if (startPauseButton) startPauseButton.textContent = isPaused ? '▶ Resume' : '❚❚ Pause';
-    // Pause/unpause animations
-     agents.forEach(agent => {
-        if(agent.mixer) {
-            // How to pause/resume mixer? THREE.AnimationMixer doesn't have a direct pause.
-            // We can set the timeScale to 0 or 1.
-             agent.mixer.timeScale = isPaused ? 0 : 1;
-         }
-     });
+    if (!replayRecording) setAgentAnimationTimeScale(isPaused ? 0 : 1); // Replay keeps animating while live is paused
+}
 
+// THREE.AnimationMixer has no pause, so paused agents get a time scale of 0
+function setAgentAnimationTimeScale(timeScale) {
+    agentViews.forEach(view => {
+        if (view.mixer) view.mixer.timeScale = timeScale;
+    });
 }
 
 function resetView() {
+    setFollowInspectedAgent(false);
     // Smooth transition using GSAP or similar would be nicer, but basic lerp is ok
-    const targetPos = initialCameraPosition.clone();
-    const targetTarget = initialControlsTarget.clone();
+    const targetPos = homeCameraPosition.clone();
+    const targetTarget = homeControlsTarget.clone();
     const duration = 0.8;
     const startPos = camera.position.clone();
     const startTarget = controls.target.clone();
@@ -1194,6 +2101,19 @@ function resetView() {
     requestAnimationFrame(transitionView);
 }
 
+// Sets the home view for the floor: the default floor's view scaled to the floor's bounding box
+// and centred on it, raised by height. Returns true if that moved the home view.
+function frameFloor(simFloor, height = 0) {
+    const scale = Math.max(simFloor.width / FLOOR_WIDTH, simFloor.depth / FLOOR_DEPTH);
+    const target = new THREE.Vector3(simFloor.center.x, initialControlsTarget.y + height, simFloor.center.z);
+    const position = initialCameraPosition.clone().sub(initialControlsTarget).multiplyScalar(scale).add(target);
+    const moved = !target.equals(homeControlsTarget) || !position.equals(homeCameraPosition);
+    homeControlsTarget.copy(target);
+    homeCameraPosition.copy(position);
+    controls.maxDistance = CAMERA_MAX_DISTANCE * scale;
+    return moved;
+}
+
 function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
@@ -0,0 +1,96 @@
+// Draws an OccupancyGrid (sim/occupancyGrid.js) on the floor mesh as a colour-mapped
+// DataTexture, one texel per grid cell. Empty cells keep the floor's own colour; busier
+// cells ramp through blue, green and yellow to red relative to the busiest cell.
+import * as THREE from 'three';
+
+// [position, r, g, b] stops of the colour ramp
+const COLOR_RAMP = [
+    [0.0, 40, 60, 230],
+    [0.35, 0, 190, 230],
+    [0.6, 40, 200, 40],
+    [0.8, 250, 220, 0],
+    [1.0, 220, 20, 20],
+];
+const MIN_OPACITY = 0.35; // Blend of the ramp over the floor colour for the least-visited cells
+
+export class HeatmapOverlay {
+    constructor(floor, grid) {
+        this.floor = floor;
+        this.grid = grid;
+        this.values = new Float32Array(grid.cellCount);
+        this.data = new Uint8Array(grid.cellCount * 4);
+        this.texture = new THREE.DataTexture(this.data, grid.cols, grid.rows, THREE.RGBAFormat);
+        this.texture.magFilter = THREE.LinearFilter;
+        this.texture.minFilter = THREE.LinearFilter;
+        this.texture.colorSpace = THREE.SRGBColorSpace;
+        this.floorColor = floor.material.color.clone();
+        this.visible = false;
+    }
+
+    show() {
+        if (this.visible) return;
+        this.visible = true;
+        this.floor.material.map = this.texture;
+        this.floor.material.color.set(0xffffff); // The texture carries the floor colour now
+        this.floor.material.needsUpdate = true;
+    }
+
+    hide() {
+        if (!this.visible) return;
+        this.visible = false;
+        this.floor.material.map = null;
+        this.floor.material.color.copy(this.floorColor);
+        this.floor.material.needsUpdate = true;
+    }
+
+    // Recolours the texture from the grid (mode and state as for OccupancyGrid.getValues).
+    // Returns the busiest cell's seconds, which the ramp's red end stands for.
+    update(mode, state) {
+        const values = this.grid.getValues(mode, state, this.values);
+        let max = 0;
+        for (let i = 0; i < values.length; i++) max = Math.max(max, values[i]);
+
+        const floorRgb = this.floorColor.clone().convertLinearToSRGB();
+        const base = [floorRgb.r * 255, floorRgb.g * 255, floorRgb.b * 255];
+        const { cols, rows } = this.grid;
+        for (let row = 0; row < rows; row++) {
+            // Plane uv v=0 is world +z once the floor is laid flat, grid row 0 is -z
+            const textureRow = rows - 1 - row;
+            for (let col = 0; col < cols; col++) {
+                const value = values[row * cols + col];
+                const offset = (textureRow * cols + col) * 4;
+                if (value <= 0 || max <= 0) {
+                    this.data.set([base[0], base[1], base[2], 255], offset);
+                    continue;
+                }
+                // Square root so lightly used areas still show against a few very busy spots
+                const t = Math.sqrt(value / max);
+                const color = sampleRamp(t);
+                const opacity = MIN_OPACITY + (1 - MIN_OPACITY) * t;
+                for (let channel = 0; channel < 3; channel++) {
+                    this.data[offset + channel] = base[channel] + (color[channel] - base[channel]) * opacity;
+                }
+                this.data[offset + 3] = 255;
+            }
+        }
+        this.texture.needsUpdate = true;
+        return max;
+    }
+
+    dispose() {
+        this.hide();
+        this.texture.dispose();
+    }
+}
+
+function sampleRamp(t) {
+    for (let i = 1; i < COLOR_RAMP.length; i++) {
+        const [end, ...endColor] = COLOR_RAMP[i];
+        if (t <= end || i === COLOR_RAMP.length - 1) {
+            const [start, ...startColor] = COLOR_RAMP[i - 1];
+            const f = Math.min(1, Math.max(0, (t - start) / (end - start)));
+            return startColor.map((c, channel) => c + (endColor[channel] - c) * f);
+        }
+    }
+    return COLOR_RAMP[0].slice(1);
+}
@@ -0,0 +1,371 @@
+// Instanced crowd rendering for large agent counts. The skinned model's walk and idle
+// clips are baked once into vertex-animation textures (one row per frame, one texel
+// per vertex); every agent is then an instance of a single static mesh whose vertex
+// shader reads its pose from the texture. Agents far from the camera are drawn as a
+// low-poly capsule proxy instead. Both levels support a per-agent shirt tint.
+import * as THREE from 'three';
+import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js';
+
+const BAKE_FPS = 30;            // Sampling rate of the baked clips
+export const TINT_MATERIAL = 'Shirt'; // Model material whose colour is replaced by the agent tint
+const INITIAL_CAPACITY = 256;   // Instance buffers double when exceeded
+
+//=============================================================================
+// ANIMATION BAKING
+//=============================================================================
+
+// Skins every vertex of the model for each frame of each clip on the CPU (same math as
+// three's skinning shader chunks) and packs the results into float textures.
+// Returns { geometry, positions, normals, clips: { name: { startRow, frameCount, duration } } }.
+export function bakeAnimationTextures(sourceScene, clipsByName, fps = BAKE_FPS) {
+    const root = SkeletonUtils.clone(sourceScene);
+    root.position.set(0, 0, 0);
+    root.rotation.set(0, 0, 0);
+    root.scale.set(1, 1, 1);
+    root.updateMatrixWorld(true);
+
+    const skinnedMeshes = [];
+    root.traverse(object => { if (object.isSkinnedMesh) skinnedMeshes.push(object); });
+    if (skinnedMeshes.length === 0) throw new Error('Model has no skinned meshes to bake.');
+
+    const geometry = mergeSkinnedGeometry(skinnedMeshes);
+    const vertexCount = geometry.getAttribute('position').count;
+
+    // --- Frame rows per clip ---
+    const clips = {};
+    let rowCount = 0;
+    Object.entries(clipsByName).forEach(([name, clip]) => {
+        const frameCount = Math.max(1, Math.round(clip.duration * fps));
+        clips[name] = { clip, startRow: rowCount, frameCount, duration: clip.duration };
+        rowCount += frameCount;
+    });
+
+    const positionData = new Float32Array(vertexCount * rowCount * 4);
+    const normalData = new Float32Array(vertexCount * rowCount * 4);
+
+    // --- Pose the model and skin each frame ---
+    const mixer = new THREE.AnimationMixer(root);
+    const skinMatrix = new THREE.Matrix4();
+    const boneMatrix = new THREE.Matrix4();
+    const vertex = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    const normalMatrix = new THREE.Matrix3();
+
+    Object.values(clips).forEach(entry => {
+        mixer.stopAllAction();
+        mixer.clipAction(entry.clip).play();
+
+        for (let frame = 0; frame < entry.frameCount; frame++) {
+            mixer.setTime((frame / entry.frameCount) * entry.duration);
+            root.updateMatrixWorld(true);
+
+            let baseVertex = 0;
+            skinnedMeshes.forEach(mesh => {
+                mesh.skeleton.update();
+                const boneMatrices = mesh.skeleton.boneMatrices;
+                const source = mesh.geometry;
+                const position = source.getAttribute('position');
+                const sourceNormal = source.getAttribute('normal');
+                const skinIndex = source.getAttribute('skinIndex');
+                const skinWeight = source.getAttribute('skinWeight');
+
+                for (let i = 0; i < position.count; i++) {
+                    // skinMatrix = bindMatrixInverse * (sum of weighted bone matrices) * bindMatrix
+                    skinMatrix.set(0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0);
+                    for (let k = 0; k < 4; k++) {
+                        const weight = skinWeight.getComponent(i, k);
+                        if (weight === 0) continue;
+                        boneMatrix.fromArray(boneMatrices, skinIndex.getComponent(i, k) * 16);
+                        for (let e = 0; e < 16; e++) skinMatrix.elements[e] += boneMatrix.elements[e] * weight;
+                    }
+                    skinMatrix.premultiply(mesh.bindMatrixInverse).multiply(mesh.bindMatrix);
+                    skinMatrix.premultiply(mesh.matrixWorld); // Into the model root's space
+
+                    vertex.fromBufferAttribute(position, i).applyMatrix4(skinMatrix);
+                    normalMatrix.getNormalMatrix(skinMatrix);
+                    normal.fromBufferAttribute(sourceNormal, i).applyMatrix3(normalMatrix).normalize();
+
+                    const offset = ((entry.startRow + frame) * vertexCount + baseVertex + i) * 4;
+                    positionData.set([vertex.x, vertex.y, vertex.z, 1], offset);
+                    normalData.set([normal.x, normal.y, normal.z, 0], offset);
+                }
+                baseVertex += position.count;
+            });
+        }
+    });
+    mixer.stopAllAction();
+
+    // Give the static geometry the first idle pose so bounds and raycasts match what's drawn
+    const restRow = (clips.idle || Object.values(clips)[0]).startRow;
+    const restPositions = geometry.getAttribute('position');
+    for (let v = 0; v < vertexCount; v++) {
+        const offset = (restRow * vertexCount + v) * 4;
+        restPositions.setXYZ(v, positionData[offset], positionData[offset + 1], positionData[offset + 2]);
+    }
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+
+    return {
+        geometry,
+        positions: createFloatTexture(positionData, vertexCount, rowCount),
+        normals: createFloatTexture(normalData, vertexCount, rowCount),
+        clips,
+    };
+}
+
+// One static geometry for all skinned parts: positions (replaced by a baked pose, used for bounds),
+// a vertex index into the bake textures, the part's material colour and a tint mask.
+function mergeSkinnedGeometry(skinnedMeshes) {
+    const totalVertices = skinnedMeshes.reduce((sum, mesh) => sum + mesh.geometry.getAttribute('position').count, 0);
+    const positions = new Float32Array(totalVertices * 3);
+    const colors = new Float32Array(totalVertices * 3);
+    const tintMask = new Float32Array(totalVertices);
+    const vertexIndex = new Float32Array(totalVertices);
+    const indices = [];
+
+    let baseVertex = 0;
+    skinnedMeshes.forEach(mesh => {
+        const source = mesh.geometry;
+        const position = source.getAttribute('position');
+        const color = mesh.material.color || new THREE.Color(1, 1, 1);
+        const isTinted = mesh.material.name === TINT_MATERIAL ? 1 : 0;
+
+        for (let i = 0; i < position.count; i++) {
+            const v = baseVertex + i;
+            positions.set([position.getX(i), position.getY(i), position.getZ(i)], v * 3);
+            colors.set([color.r, color.g, color.b], v * 3);
+            tintMask[v] = isTinted;
+            vertexIndex[v] = v;
+        }
+        if (source.index) {
+            for (let i = 0; i < source.index.count; i++) indices.push(source.index.getX(i) + baseVertex);
+        } else {
+            for (let i = 0; i < position.count; i++) indices.push(i + baseVertex);
+        }
+        baseVertex += position.count;
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('tintMask', new THREE.BufferAttribute(tintMask, 1));
+    geometry.setAttribute('vertexIndex', new THREE.BufferAttribute(vertexIndex, 1));
+    geometry.setIndex(indices);
+    return geometry;
+}
+
+function createFloatTexture(data, width, height) {
+    const texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat, THREE.FloatType);
+    texture.minFilter = THREE.NearestFilter;
+    texture.magFilter = THREE.NearestFilter;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+//=============================================================================
+// INSTANCED CROWD
+//=============================================================================
+
+export class InstancedCrowd {
+    // options: { gltf, walkClip, idleClip, scale, baseHeight, lodDistance }
+    constructor(options) {
+        this.scale = options.scale;
+        this.baseHeight = options.baseHeight;
+        this.lodDistance = options.lodDistance ?? 500; // Camera distance beyond which agents use the proxy
+        this.animationTime = 0;
+        this.group = new THREE.Group();
+        this.group.name = 'InstancedCrowd';
+
+        // Instance index -> agent id for each level (for picking); filled every update()
+        this.detailedIds = [];
+        this.proxyIds = [];
+
+        this.bake = bakeAnimationTextures(options.gltf.scene, { walk: options.walkClip, idle: options.idleClip });
+        this.shirtColor = findMaterialColor(options.gltf.scene, TINT_MATERIAL);
+        this.detailedMaterial = createBakedMaterial(this.bake);
+        this.proxyGeometry = createProxyGeometry(this.bake.geometry);
+        this.proxyMaterial = new THREE.MeshStandardMaterial({ roughness: 0.8, metalness: 0.0 });
+
+        this.capacity = 0;
+        this.ensureCapacity(INITIAL_CAPACITY);
+
+        this._matrix = new THREE.Matrix4();
+        this._position = new THREE.Vector3();
+        this._quaternion = new THREE.Quaternion();
+        this._scale = new THREE.Vector3(this.scale, this.scale, this.scale);
+        this._up = new THREE.Vector3(0, 1, 0);
+        this._tint = new THREE.Color();
+    }
+
+    // Updates all instances from a simulation snapshot. An agent's y, if set, raises it off the
+    // ground floor (agents on upper levels).
+    // getTint(agent, color) may set color to the agent's tint and return true; otherwise the shirt colour is used.
+    update(snapshot, camera, delta, getTint) {
+        this.animationTime += delta;
+        this.ensureCapacity(snapshot.agents.length);
+
+        const lodDistanceSq = this.lodDistance * this.lodDistance;
+        let detailedCount = 0, proxyCount = 0;
+
+        snapshot.agents.forEach(agent => {
+            this._position.set(agent.x, this.baseHeight + (agent.y ?? 0), agent.z);
+            this._quaternion.setFromAxisAngle(this._up, agent.heading);
+            this._matrix.compose(this._position, this._quaternion, this._scale);
+
+            if (!(getTint && getTint(agent, this._tint))) this._tint.copy(this.shirtColor);
+
+            if (this._position.distanceToSquared(camera.position) < lodDistanceSq) {
+                this.detailed.setMatrixAt(detailedCount, this._matrix);
+                this.animFrame.setX(detailedCount, this.getAnimationRow(agent));
+                this.agentTint.setXYZ(detailedCount, this._tint.r, this._tint.g, this._tint.b);
+                this.detailedIds[detailedCount] = agent.id;
+                detailedCount++;
+            } else {
+                this.proxy.setMatrixAt(proxyCount, this._matrix);
+                this.proxy.setColorAt(proxyCount, this._tint);
+                this.proxyIds[proxyCount] = agent.id;
+                proxyCount++;
+            }
+        });
+
+        this.detailedIds.length = detailedCount;
+        this.proxyIds.length = proxyCount;
+        this.detailed.count = detailedCount;
+        this.proxy.count = proxyCount;
+        this.detailed.instanceMatrix.needsUpdate = true;
+        this.animFrame.needsUpdate = true;
+        this.agentTint.needsUpdate = true;
+        this.proxy.instanceMatrix.needsUpdate = true;
+        if (this.proxy.instanceColor) this.proxy.instanceColor.needsUpdate = true;
+    }
+
+    // Baked texture row for the agent's pose; each agent gets a stable phase offset so the crowd doesn't march in step
+    getAnimationRow(agent) {
+        const clip = agent.isMoving ? this.bake.clips.walk : this.bake.clips.idle;
+        const phase = hashToUnit(agent.id) * clip.duration;
+        const t = ((this.animationTime + phase) % clip.duration) / clip.duration;
+        return clip.startRow + Math.min(clip.frameCount - 1, Math.floor(t * clip.frameCount));
+    }
+
+    // Agent id of the nearest instance hit by raycaster, or null. Hits are tested against the
+    // bind pose, which is close enough for picking.
+    pickAgent(raycaster) {
+        const meshes = [this.detailed, this.proxy].filter(mesh => mesh.count > 0);
+        meshes.forEach(mesh => mesh.computeBoundingSphere()); // Instances have moved since the bounds were cached
+        const hit = raycaster.intersectObjects(meshes, false)[0];
+        return hit ? this.getAgentIdForHit(hit) : null;
+    }
+
+    // Agent id for a raycast hit on one of the crowd meshes, or null
+    getAgentIdForHit(intersection) {
+        if (intersection.instanceId === undefined) return null;
+        if (intersection.object === this.detailed) return this.detailedIds[intersection.instanceId] ?? null;
+        if (intersection.object === this.proxy) return this.proxyIds[intersection.instanceId] ?? null;
+        return null;
+    }
+
+    // (Re)creates the instanced meshes when more instances are needed than allocated
+    ensureCapacity(count) {
+        if (count <= this.capacity) return;
+        let capacity = Math.max(this.capacity, INITIAL_CAPACITY);
+        while (capacity < count) capacity *= 2;
+
+        if (this.detailed) {
+            this.group.remove(this.detailed, this.proxy);
+            this.detailed.dispose();
+            this.proxy.dispose();
+        }
+
+        const detailedGeometry = this.bake.geometry.clone();
+        this.animFrame = new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1);
+        this.agentTint = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+        this.animFrame.setUsage(THREE.DynamicDrawUsage);
+        this.agentTint.setUsage(THREE.DynamicDrawUsage);
+        detailedGeometry.setAttribute('animFrame', this.animFrame);
+        detailedGeometry.setAttribute('agentTint', this.agentTint);
+
+        this.detailed = new THREE.InstancedMesh(detailedGeometry, this.detailedMaterial, capacity);
+        this.proxy = new THREE.InstancedMesh(this.proxyGeometry, this.proxyMaterial, capacity);
+        [this.detailed, this.proxy].forEach(mesh => {
+            mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+            mesh.frustumCulled = false; // Instances span the whole floor; bounds of the base geometry don't
+            mesh.count = 0;
+            mesh.castShadow = false;   // Shadow passes would need baked depth materials; not worth it for crowds
+            mesh.receiveShadow = true;
+        });
+        this.proxy.setColorAt(0, this.shirtColor); // Allocates instanceColor
+        this.group.add(this.detailed, this.proxy);
+        this.capacity = capacity;
+    }
+
+    dispose() {
+        this.detailed.geometry.dispose();
+        this.detailed.dispose();
+        this.proxy.dispose();
+        this.proxyGeometry.dispose();
+        this.detailedMaterial.dispose();
+        this.proxyMaterial.dispose();
+        this.bake.positions.dispose();
+        this.bake.normals.dispose();
+        this.bake.geometry.dispose();
+    }
+}
+
+//=============================================================================
+// MATERIALS & GEOMETRY
+//=============================================================================
+
+// MeshStandardMaterial whose vertex stage takes position/normal from the bake textures
+function createBakedMaterial(bake) {
+    const material = new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.8, metalness: 0.0 });
+    material.onBeforeCompile = shader => {
+        shader.uniforms.bakedPositions = { value: bake.positions };
+        shader.uniforms.bakedNormals = { value: bake.normals };
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+uniform sampler2D bakedPositions;
+uniform sampler2D bakedNormals;
+attribute float vertexIndex;
+attribute float animFrame;
+attribute float tintMask;
+attribute vec3 agentTint;`)
+            .replace('#include <beginnormal_vertex>',
+                'vec3 objectNormal = texelFetch( bakedNormals, ivec2( int( vertexIndex ), int( animFrame ) ), 0 ).xyz;')
+            .replace('#include <begin_vertex>',
+                'vec3 transformed = texelFetch( bakedPositions, ivec2( int( vertexIndex ), int( animFrame ) ), 0 ).xyz;')
+            .replace('#include <color_vertex>',
+                'vColor = mix( color, agentTint, tintMask );');
+    };
+    material.customProgramCacheKey = () => 'baked-crowd';
+    return material;
+}
+
+// Capsule roughly the size of the model's bind pose, standing on y = 0 in model space
+function createProxyGeometry(modelGeometry) {
+    modelGeometry.computeBoundingBox();
+    const box = modelGeometry.boundingBox;
+    const height = box.max.y - box.min.y;
+    const radius = Math.max(box.max.x - box.min.x, box.max.z - box.min.z) * 0.25;
+    const geometry = new THREE.CapsuleGeometry(radius, Math.max(0.001, height - radius * 2), 2, 6);
+    geometry.translate((box.min.x + box.max.x) / 2, box.min.y + height / 2, (box.min.z + box.max.z) / 2);
+    return geometry;
+}
+
+function findMaterialColor(sourceScene, materialName) {
+    let color = null;
+    sourceScene.traverse(object => {
+        if (!color && object.isMesh && object.material && object.material.name === materialName) {
+            color = object.material.color.clone();
+        }
+    });
+    return color || new THREE.Color(0x555555);
+}
+
+// Deterministic value in [0, 1) from an integer id
+function hashToUnit(id) {
+    let h = Math.imul(id ^ 0x9E3779B9, 0x85EBCA6B);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xC2B2AE35);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+}
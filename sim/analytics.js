@@ -0,0 +1,400 @@
+// Per-department visit analytics: the conversion funnel (attempts → entries → exits),
+// abandoned attempts, dwell times and portal queue waits, per-portal crossing counts, rates
+// and queue waits, plus store-level arrivals,
+// departures and trip times for layouts with doors, per-lane queue waits and service
+// times for layouts with checkouts and per-link rides and queue waits for layouts with
+// escalators and elevators between levels. The simulation reports events as
+// agents move through the state machine; summaries are computed on demand and the raw
+// events are kept (up to EVENT_LOG_LIMIT) for export.
+
+export const VISIT_EVENT = {
+    ATTEMPT: 'attempt',         // Agent picked the department and set off for its entry
+    QUEUE_JOIN: 'queue-join',   // Started waiting at a portal (detail: 'entry' | 'exit')
+    QUEUE_LEAVE: 'queue-leave', // Released from a portal queue (detail: 'entry' | 'exit')
+    ENTERED: 'entered',         // Crossed the entry portal
+    EXITED: 'exited',           // Crossed the exit portal
+    ABANDONED: 'abandoned',     // Gave up on the visit (detail: reason, e.g. 'wall-hit' | 'floor-bounce' | 'department-full')
+};
+
+export const STORE_EVENT = {
+    ARRIVED: 'arrived',   // Came in through an entrance door (detail: door name)
+    DEPARTED: 'departed', // Left through an exit door at the end of the trip (detail: door name)
+};
+
+export const CHECKOUT_EVENT = {
+    QUEUE_JOIN: 'checkout-queue-join', // Joined the back of a lane's line (detail: lane name)
+    SERVICE_START: 'checkout-start',   // Reached the till (detail: lane name)
+    SERVICE_END: 'checkout-end',       // Paid and left the till (detail: lane name)
+};
+
+export const LINK_EVENT = {
+    QUEUE_JOIN: 'link-queue-join', // Joined the line at one end of an escalator or elevator (detail: link name)
+    BOARDED: 'link-board',         // Got on (detail: link name)
+    ARRIVED: 'link-arrive',        // Got off at the other end (detail: link name)
+};
+
+const EVENT_LOG_LIMIT = 500000; // Long runs keep their summaries but stop logging raw events past this many
+
+export const ABANDON_REASON = {
+    WALL_HIT: 'wall-hit',
+    FLOOR_BOUNCE: 'floor-bounce',
+    DEPARTMENT_FULL: 'department-full', // Ran out of patience queuing for a department at its occupancy cap
+};
+
+export function createAnalytics(departments, checkouts = [], links = []) {
+    const analytics = {
+        departments: new Map(), visits: new Map(), store: createStoreStats(),
+        portals: new Map(), lanes: new Map(), checkoutVisits: new Map(),
+        links: new Map(), linkRides: new Map(), events: [], eventsDropped: 0,
+    };
+    departments.forEach(dept => analytics.departments.set(dept.name, createDepartmentStats(dept.name)));
+    departments.forEach(dept => dept.portals.forEach(portal => {
+        analytics.portals.set(portal, createPortalStats(portal.name, dept.name, portal.direction, portal.width, portal.capacity, portal.flowRate));
+    }));
+    checkouts.forEach(zone => zone.lanes.forEach(lane => analytics.lanes.set(lane.name, createLaneStats(lane.name, lane.zone.name, lane.express))));
+    links.forEach(link => analytics.links.set(link.name, createLinkStats(link.name, link.type, link.capacity, link.travelTime)));
+    return analytics;
+}
+
+// Forgets all counts and open visits (e.g. when the population is respawned)
+export function resetAnalytics(analytics) {
+    analytics.departments.forEach((stats, name) => analytics.departments.set(name, createDepartmentStats(name)));
+    analytics.visits.clear();
+    analytics.portals.forEach((stats, portal) => analytics.portals.set(portal, createPortalStats(stats.name, stats.department, stats.direction, stats.width, stats.capacity, stats.flowRate)));
+    analytics.store = createStoreStats();
+    analytics.lanes.forEach((stats, name) => analytics.lanes.set(name, createLaneStats(name, stats.checkout, stats.express)));
+    analytics.checkoutVisits.clear();
+    analytics.links.forEach((stats, name) => analytics.links.set(name, createLinkStats(name, stats.type, stats.capacity, stats.travelTime)));
+    analytics.linkRides.clear();
+    analytics.events = [];
+    analytics.eventsDropped = 0;
+}
+
+function createDepartmentStats(name) {
+    return {
+        name: name,
+        attempts: 0,
+        abandoned: { [ABANDON_REASON.WALL_HIT]: 0, [ABANDON_REASON.FLOOR_BOUNCE]: 0, [ABANDON_REASON.DEPARTMENT_FULL]: 0 }, // Gave up before entering
+        entries: 0,
+        exits: 0,
+        abandonedInside: 0, // Gave up after entering (pushed out before reaching the exit portal)
+        inside: 0,          // Agents currently between entering and leaving
+        dwellTimes: [],     // Seconds from entering to leaving, per completed visit
+        entryQueueWaits: [],
+        exitQueueWaits: [],
+    };
+}
+
+function createPortalStats(name, department, direction, width, capacity, flowRate) {
+    return {
+        name: name,
+        department: department,
+        direction: direction, // 'entry' | 'exit' | 'both' (PORTAL_DIRECTION in sim/departments.js)
+        width: width,
+        capacity: capacity, // Agents crossing at once
+        flowRate: flowRate, // Flow limit, agents per second
+        crossings: 0,
+        entries: 0,         // Crossings into the department
+        exits: 0,           // Crossings out of it
+        crossingTimes: [],  // Seconds from being let in to being through, per crossing
+        perMinute: [],      // Crossings in each minute of the run (index = minute)
+        queueWaits: [],     // Seconds queued before being let in, per agent that queued (either side)
+    };
+}
+
+function createStoreStats() {
+    return {
+        arrivals: 0,
+        departures: 0,
+        tripDurations: [], // Seconds from arriving (or spawning) to leaving, per departed agent
+        personas: new Map(), // Persona name -> { departures, tripDurations } for agents with a persona
+    };
+}
+
+function createLaneStats(name, checkout, express) {
+    return {
+        name: name,
+        checkout: checkout, // Checkout zone the lane belongs to
+        express: express,
+        joined: 0,
+        served: 0,
+        queueWaits: [],   // Seconds from joining the line to reaching the till
+        serviceTimes: [], // Seconds at the till
+    };
+}
+
+function createLinkStats(name, type, capacity, travelTime) {
+    return {
+        name: name,
+        type: type,             // 'escalator' | 'elevator' (LINK_TYPE in sim/levels.js)
+        capacity: capacity,     // Riders at once
+        travelTime: travelTime, // Seconds from one end to the other
+        joined: 0,
+        rides: 0,               // Riders who got off at the other end
+        queueWaits: [],         // Seconds from joining the line to getting on
+        rideTimes: [],          // Seconds from getting on to getting off (elevator riders wait for the car to leave)
+    };
+}
+
+// Records one step of an agent's visit to dept at simulation time `time`
+export function recordVisitEvent(analytics, time, type, agent, dept, detail = null) {
+    const stats = dept && analytics.departments.get(dept.name);
+    if (!stats) return;
+
+    logEvent(analytics, { time, department: dept.name, agentId: agent.id, type, detail });
+
+    let visit = analytics.visits.get(agent.id);
+    switch (type) {
+        case VISIT_EVENT.ATTEMPT:
+            stats.attempts++;
+            analytics.visits.set(agent.id, { department: dept.name, startedAt: time, queuedAt: null, enteredAt: null });
+            break;
+
+        case VISIT_EVENT.QUEUE_JOIN:
+            if (visit) visit.queuedAt = time;
+            break;
+
+        case VISIT_EVENT.QUEUE_LEAVE:
+            if (visit && visit.queuedAt !== null) {
+                (detail === 'exit' ? stats.exitQueueWaits : stats.entryQueueWaits).push(time - visit.queuedAt);
+                visit.queuedAt = null;
+            }
+            break;
+
+        case VISIT_EVENT.ENTERED:
+            stats.entries++;
+            stats.inside++;
+            if (visit) visit.enteredAt = time;
+            break;
+
+        case VISIT_EVENT.EXITED:
+            stats.exits++;
+            stats.inside = Math.max(0, stats.inside - 1);
+            if (visit && visit.enteredAt !== null) stats.dwellTimes.push(time - visit.enteredAt);
+            analytics.visits.delete(agent.id);
+            break;
+
+        case VISIT_EVENT.ABANDONED:
+            if (visit && visit.enteredAt !== null) {
+                stats.abandonedInside++;
+                stats.inside = Math.max(0, stats.inside - 1);
+                stats.dwellTimes.push(time - visit.enteredAt);
+            } else {
+                stats.abandoned[detail] = (stats.abandoned[detail] || 0) + 1;
+            }
+            analytics.visits.delete(agent.id);
+            break;
+    }
+}
+
+// Records an agent getting through portal into (side 'entry') or out of (side 'exit') its
+// department, `duration` seconds after it was let in. Completed crossings are already in the
+// event log as ENTERED / EXITED visit events.
+export function recordPortalCrossing(analytics, time, portal, side, duration) {
+    const stats = analytics.portals.get(portal);
+    if (!stats) return;
+    stats.crossings++;
+    if (side === 'exit') stats.exits++;
+    else stats.entries++;
+    stats.crossingTimes.push(duration);
+    const minute = Math.floor(time / 60);
+    while (stats.perMinute.length <= minute) stats.perMinute.push(0);
+    stats.perMinute[minute]++;
+}
+
+// Records an agent let through portal after `wait` seconds in one of its queues
+export function recordPortalQueueWait(analytics, portal, wait) {
+    const stats = analytics.portals.get(portal);
+    if (stats) stats.queueWaits.push(wait);
+}
+
+// Records an agent arriving at or departing from the store through door
+export function recordStoreEvent(analytics, time, type, agent, door) {
+    const stats = analytics.store;
+    logEvent(analytics, { time, department: null, agentId: agent.id, type, detail: door.name });
+    if (type === STORE_EVENT.ARRIVED) {
+        stats.arrivals++;
+    } else if (type === STORE_EVENT.DEPARTED) {
+        stats.departures++;
+        let personaStats = null;
+        if (agent.persona) {
+            if (!stats.personas.has(agent.persona.name)) stats.personas.set(agent.persona.name, { departures: 0, tripDurations: [] });
+            personaStats = stats.personas.get(agent.persona.name);
+            personaStats.departures++;
+        }
+        if (agent.trip) {
+            stats.tripDurations.push(time - agent.trip.startedAt);
+            if (personaStats) personaStats.tripDurations.push(time - agent.trip.startedAt);
+        }
+    }
+}
+
+// Records one step of an agent's turn at a checkout lane
+export function recordCheckoutEvent(analytics, time, type, agent, lane) {
+    const stats = analytics.lanes.get(lane.name);
+    if (!stats) return;
+    logEvent(analytics, { time, department: null, agentId: agent.id, type, detail: lane.name });
+
+    const visit = analytics.checkoutVisits.get(agent.id);
+    switch (type) {
+        case CHECKOUT_EVENT.QUEUE_JOIN:
+            stats.joined++;
+            analytics.checkoutVisits.set(agent.id, { joinedAt: time, startedAt: null });
+            break;
+
+        case CHECKOUT_EVENT.SERVICE_START:
+            if (visit) {
+                stats.queueWaits.push(time - visit.joinedAt);
+                visit.startedAt = time;
+            }
+            break;
+
+        case CHECKOUT_EVENT.SERVICE_END:
+            stats.served++;
+            if (visit && visit.startedAt !== null) stats.serviceTimes.push(time - visit.startedAt);
+            analytics.checkoutVisits.delete(agent.id);
+            break;
+    }
+}
+
+// Records one step of an agent's ride on an escalator or elevator
+export function recordLinkEvent(analytics, time, type, agent, link) {
+    const stats = analytics.links.get(link.name);
+    if (!stats) return;
+    logEvent(analytics, { time, department: null, agentId: agent.id, type, detail: link.name });
+
+    const ride = analytics.linkRides.get(agent.id);
+    switch (type) {
+        case LINK_EVENT.QUEUE_JOIN:
+            stats.joined++;
+            analytics.linkRides.set(agent.id, { joinedAt: time, boardedAt: null });
+            break;
+
+        case LINK_EVENT.BOARDED:
+            if (ride) {
+                stats.queueWaits.push(time - ride.joinedAt);
+                ride.boardedAt = time;
+            }
+            break;
+
+        case LINK_EVENT.ARRIVED:
+            stats.rides++;
+            if (ride && ride.boardedAt !== null) stats.rideTimes.push(time - ride.boardedAt);
+            analytics.linkRides.delete(agent.id);
+            break;
+    }
+}
+
+function logEvent(analytics, event) {
+    if (analytics.events.length < EVENT_LOG_LIMIT) {
+        analytics.events.push(event);
+    } else {
+        analytics.eventsDropped++;
+    }
+}
+
+// Plain-data summary of every department, in layout order
+export function summarizeAnalytics(analytics) {
+    return Array.from(analytics.departments.values(), summarizeDepartment);
+}
+
+function summarizeDepartment(stats) {
+    const abandoned = Object.values(stats.abandoned).reduce((sum, count) => sum + count, 0);
+    return {
+        name: stats.name,
+        attempts: stats.attempts,
+        abandoned: abandoned,
+        abandonedByReason: { ...stats.abandoned },
+        entries: stats.entries,
+        exits: stats.exits,
+        abandonedInside: stats.abandonedInside,
+        inside: stats.inside,
+        conversion: stats.attempts > 0 ? stats.entries / stats.attempts : null, // Share of attempts that got in
+        dwell: summarizeDurations(stats.dwellTimes),
+        entryQueueWait: summarizeDurations(stats.entryQueueWaits),
+        exitQueueWait: summarizeDurations(stats.exitQueueWaits),
+    };
+}
+
+// Plain-data summary of every portal (in department and then layout order) after `elapsed`
+// simulated seconds: crossings each way, mean and peak crossings per minute, crossing times
+// and queue waits
+export function summarizePortals(analytics, elapsed) {
+    return Array.from(analytics.portals.values(), stats => ({
+        name: stats.name,
+        department: stats.department,
+        direction: stats.direction,
+        width: stats.width,
+        capacity: stats.capacity,
+        flowRate: stats.flowRate,
+        crossings: stats.crossings,
+        entries: stats.entries,
+        exits: stats.exits,
+        perMinute: elapsed > 0 ? stats.crossings / (elapsed / 60) : null,
+        peakPerMinute: Math.max(0, ...stats.perMinute),
+        crossingTime: summarizeDurations(stats.crossingTimes),
+        queueWait: summarizeDurations(stats.queueWaits),
+    }));
+}
+
+// Store-level totals: { arrivals, departures, trip, personas: [{ name, departures, trip }] }
+export function summarizeStore(analytics) {
+    const stats = analytics.store;
+    return {
+        arrivals: stats.arrivals,
+        departures: stats.departures,
+        trip: summarizeDurations(stats.tripDurations),
+        personas: Array.from(stats.personas, ([name, persona]) => ({
+            name: name,
+            departures: persona.departures,
+            trip: summarizeDurations(persona.tripDurations),
+        })),
+    };
+}
+
+// Plain-data summary of every checkout lane, in layout order
+export function summarizeCheckouts(analytics) {
+    return Array.from(analytics.lanes.values(), stats => ({
+        name: stats.name,
+        checkout: stats.checkout,
+        express: stats.express,
+        joined: stats.joined,
+        served: stats.served,
+        queueWait: summarizeDurations(stats.queueWaits),
+        serviceTime: summarizeDurations(stats.serviceTimes),
+    }));
+}
+
+// Plain-data summary of every escalator and elevator, in layout order
+export function summarizeLinks(analytics) {
+    return Array.from(analytics.links.values(), stats => ({
+        name: stats.name,
+        type: stats.type,
+        capacity: stats.capacity,
+        travelTime: stats.travelTime,
+        joined: stats.joined,
+        rides: stats.rides,
+        queueWait: summarizeDurations(stats.queueWaits),
+        rideTime: summarizeDurations(stats.rideTimes),
+    }));
+}
+
+// { count, mean, p50, p90, p95 } in seconds; null statistics when there are no samples
+function summarizeDurations(samples) {
+    if (samples.length === 0) return { count: 0, mean: null, p50: null, p90: null, p95: null };
+    const sorted = samples.slice().sort((a, b) => a - b);
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+    return {
+        count: sorted.length,
+        mean: mean,
+        p50: percentile(sorted, 0.5),
+        p90: percentile(sorted, 0.9),
+        p95: percentile(sorted, 0.95),
+    };
+}
+
+// Nearest-rank percentile of an ascending array
+function percentile(sorted, fraction) {
+    const rank = Math.ceil(fraction * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
@@ -0,0 +1,105 @@
+// Checkout zones: a row of tills, each with its own lane queue and service-time
+// distribution. Shoppers end a trip with items in their basket by picking a lane (shortest
+// queue or nearest, by the zone's laneChoice), joining the back of its line and waiting to
+// be served before they head for an exit door. Express lanes only take small baskets.
+import { Vec2 } from './vec2.js';
+import { sampleDistribution } from './random.js';
+import {
+    CHECKOUT_LANE_SPACING, CHECKOUT_QUEUE_SPACING, CHECKOUT_SERVICE_TIME, CHECKOUT_MIN_SERVICE_TIME, CHECKOUT_EXPRESS_MAX_ITEMS,
+} from './constants.js';
+
+export const LANE_CHOICE = {
+    SHORTEST_QUEUE: 'shortest-queue', // Fewest shoppers in line or on their way to it (nearest on a tie)
+    NEAREST: 'nearest',               // Closest back of the line, however long it is
+};
+
+const QUEUE_DIRECTIONS = { 'x+': [1, 0], 'x-': [-1, 0], 'z+': [0, 1], 'z-': [0, -1] };
+
+//=============================================================================
+// CONSTRUCTION
+//=============================================================================
+
+// Expects a layout that already passed validateLayout(); layouts without checkouts get []
+export function buildCheckouts(layout) {
+    return (layout.checkouts || []).map(config => {
+        const center = new Vec2(config.position[0], config.position[1]);
+        const queueDirection = new Vec2(...QUEUE_DIRECTIONS[config.queueSide]);
+        const zone = {
+            name: config.name,
+            center: center,                 // Middle of the row of tills
+            queueDirection: queueDirection, // From the tills along the lines, towards the back
+            tangent: new Vec2(-queueDirection.z, queueDirection.x), // Along the row of tills
+            laneSpacing: config.laneSpacing ?? CHECKOUT_LANE_SPACING,
+            laneChoice: config.laneChoice ?? LANE_CHOICE.SHORTEST_QUEUE,
+            expressMaxItems: config.expressMaxItems ?? CHECKOUT_EXPRESS_MAX_ITEMS,
+            lanes: [],
+            config: config,
+        };
+        zone.lanes = config.lanes.map((laneConfig, i) => ({
+            name: `${config.name} ${i + 1}`,
+            zone: zone,
+            express: laneConfig.express === true,
+            serviceTime: laneConfig.serviceTime ?? config.serviceTime ?? CHECKOUT_SERVICE_TIME,
+            tillPos: center.clone().addScaledVector(zone.tangent, (i - (config.lanes.length - 1) / 2) * zone.laneSpacing), // Where the shopper being served stands
+            queue: [],   // Shoppers in line, head first; queue[0] is served once it reaches the till
+            incoming: 0, // Shoppers who picked this lane and are still walking to the back of its line
+            served: 0,
+        }));
+        return zone;
+    });
+}
+
+//=============================================================================
+// LANES & QUEUES
+//=============================================================================
+
+// Floor position of place `index` in the lane's line (0 = at the till)
+export function getQueueSlotPosition(lane, index) {
+    return lane.tillPos.clone().addScaledVector(lane.zone.queueDirection, index * CHECKOUT_QUEUE_SPACING);
+}
+
+export function canUseLane(lane, items) {
+    return !lane.express || items <= lane.zone.expressMaxItems;
+}
+
+// Checkout zone with the closest row of tills, or null if the store has none
+export function findNearestCheckout(checkouts, point) {
+    let best = null, bestDistSq = Infinity;
+    checkouts.forEach(zone => {
+        const distSq = zone.center.distanceToSquared(point);
+        if (distSq < bestDistSq) {
+            bestDistSq = distSq;
+            best = zone;
+        }
+    });
+    return best;
+}
+
+// Lane of zone for a shopper at point with `items` in the basket, by zone.laneChoice. Shoppers
+// already walking to a lane count as in its line, so several finishing at once spread out.
+// Validation guarantees every zone has a regular lane, so there is always one.
+export function chooseLane(zone, point, items) {
+    const byQueue = zone.laneChoice === LANE_CHOICE.SHORTEST_QUEUE;
+    let best = null, bestQueue = Infinity, bestDistSq = Infinity;
+    zone.lanes.forEach(lane => {
+        if (!canUseLane(lane, items)) return;
+        const length = lane.queue.length + lane.incoming;
+        const queue = byQueue ? length : 0;
+        const distSq = getQueueSlotPosition(lane, length).distanceToSquared(point);
+        if (queue < bestQueue || (queue === bestQueue && distSq < bestDistSq)) {
+            best = lane;
+            bestQueue = queue;
+            bestDistSq = distSq;
+        }
+    });
+    return best;
+}
+
+//=============================================================================
+// SERVICE TIMES
+//=============================================================================
+
+// Seconds at the till drawn from distribution (see DISTRIBUTION_TYPE in sim/random.js), at least CHECKOUT_MIN_SERVICE_TIME
+export function sampleServiceTime(distribution, random) {
+    return Math.max(CHECKOUT_MIN_SERVICE_TIME, sampleDistribution(distribution, random));
+}
@@ -0,0 +1,127 @@
+// Shared simulation constants. Distances are in floor units (the default floor is 800×500),
+// scaled from the size of the rendered shopper model.
+
+export const MODEL_SCALE = 8;
+
+// --- Floor ---
+export const FLOOR_WIDTH = 800; // Floor for layouts without their own (see sim/floor.js)
+export const FLOOR_DEPTH = 500;
+export const SPAWN_MARGIN = 10; // Spawned agents keep this far from the floor edge
+
+// --- Time Stepping ---
+export const FIXED_TIME_STEP = 1 / 60; // Seconds of simulated time per step
+
+// --- Agent Behavior ---
+export const AGENT_RADIUS = MODEL_SCALE * 0.5; // Agent's approximate radius
+export const MIN_AGENT_SEPARATION = MODEL_SCALE * 1.5; // Base separation on model scale
+export const PORTAL_WIDTH_FACTOR = MODEL_SCALE * 1.8; // How wide portals are relative to scale
+export const PORTAL_LANE_WIDTH = MIN_AGENT_SEPARATION; // Opening width per agent crossing side by side (default portal capacity)
+export const PORTAL_FLOW_PER_LANE = 1.0; // Default portal flow limit: agents per second per unit of capacity
+export const PORTAL_THRESHOLD = MODEL_SCALE * 0.6; // How close agent needs to be to interact with portal center
+export const PORTAL_QUEUE_DISTANCE = MIN_AGENT_SEPARATION * 2; // Agents this close to an occupied portal join its queue
+export const QUEUE_SLOT_SPACING = MIN_AGENT_SEPARATION; // Distance between agents in a portal queue line
+export const QUEUE_HEAD_DISTANCE = MODEL_SCALE * 1.5;  // First slot of a portal queue line, in front of the opening
+export const QUEUE_MAX_SLOTS = 30;                     // Slots laid out per portal queue line; later arrivals wait at the last
+export const QUEUE_SLOT_TOLERANCE = 1;                 // Queued agents step up once their slot is this far off
+export const AGENT_MOVE_SPEED = 1.0 * MODEL_SCALE; // Base speed related to model size
+export const VELOCITY_THRESHOLD_SQ = 0.01 * MODEL_SCALE * 0.01 * MODEL_SCALE; // Threshold to consider agent stopped (squared)
+export const TURN_SMOOTHING = 0.15; // Fraction of the remaining turn applied per step
+export const STATE_HISTORY_LENGTH = 20; // State transitions kept per agent for inspection
+
+// --- Navigation ---
+export const NAV_CELL_SIZE = MODEL_SCALE;     // Navigation grid resolution
+export const NAV_CLEARANCE = MODEL_SCALE;     // How far routes keep from walls and the floor edge
+export const PORTAL_APPROACH_DISTANCE = NAV_CLEARANCE + NAV_CELL_SIZE; // Routes end this far in front of a portal
+export const WAYPOINT_REACHED_DISTANCE = MODEL_SCALE * 0.75;
+export const WAYPOINT_PASS_DISTANCE = MIN_AGENT_SEPARATION * 2; // Waypoints this close count as reached once the agent is past them
+export const MAX_PATH_REPLANS = 3; // Wall hits tolerated per portal approach before giving up
+export const FIXTURE_NAV_CELL_SIZE = MODEL_SCALE * 0.5; // Finer grid for routing between the fixtures in a department
+export const FIXTURE_CLEARANCE = AGENT_RADIUS * 1.5;    // How far those routes keep from fixtures and the department walls
+
+// --- Steering ---
+export const STEERING_MODEL = {
+    BOUNCE: 'bounce',             // Push overlapping agents apart after the fact
+    SOCIAL_FORCE: 'social-force', // Helbing social forces: goal attraction plus agent and wall repulsion
+};
+export const SOCIAL_RELAXATION_TIME = 0.5;                 // Seconds to reach the goal velocity
+export const SOCIAL_AGENT_STRENGTH = AGENT_MOVE_SPEED * 4; // Agent repulsion at MIN_AGENT_SEPARATION (units/s²)
+export const SOCIAL_AGENT_RANGE = MODEL_SCALE * 0.4;       // Falloff distance of agent repulsion
+export const SOCIAL_NEIGHBOR_RADIUS = MIN_AGENT_SEPARATION * 2.5; // Agents farther apart ignore each other
+export const SOCIAL_ANISOTROPY = 0.5;                      // Weight of agents behind relative to ahead (0..1)
+export const SOCIAL_SIDESTEP = 0.5;                        // Sideways push from oncoming agents, relative to their repulsion
+export const SOCIAL_WALL_STRENGTH = AGENT_MOVE_SPEED * 4;  // Wall repulsion at AGENT_RADIUS (units/s²)
+export const SOCIAL_WALL_RANGE = MODEL_SCALE * 0.25;       // Falloff distance of wall repulsion
+export const SOCIAL_WALL_RADIUS = AGENT_RADIUS + MODEL_SCALE * 2; // Walls farther away are ignored
+export const SOCIAL_MAX_SPEED = AGENT_MOVE_SPEED * 1.5;
+
+// --- Store Doors & Shopping Trips ---
+export const DOOR_WIDTH = MODEL_SCALE * 5;        // Default width of a door on the floor boundary
+export const DOOR_REACHED_DISTANCE = MODEL_SCALE; // Leaving agents this close to their door's centre leave the store
+export const TRIP_MIN_VISITS = 1;                 // Department visits per shopping trip (uniform)
+export const TRIP_MAX_VISITS = 4;
+export const TRIP_MAX_DURATION = 30 * 60;         // Seconds; agents head for an exit after this even with visits left
+export const ITEMS_PER_VISIT_MIN = 1;             // Items added to the basket per department visit (uniform)
+export const ITEMS_PER_VISIT_MAX = 6;
+
+// --- Levels & Links ---
+export const LEVEL_HEIGHT = MODEL_SCALE * 15;          // Default floor-to-floor height of a level in multi-level stores
+export const ESCALATOR_CAPACITY = 20;                  // Default riders on an escalator at once
+export const ESCALATOR_TRAVEL_TIME = 20;               // Default seconds from one end of an escalator to the other
+export const ELEVATOR_CAPACITY = 8;                    // Default riders per elevator car
+export const ELEVATOR_TRAVEL_TIME = 15;                // Default seconds for the car to go from one end to the other
+export const ELEVATOR_DOOR_TIME = 5;                   // Seconds the car waits after its first rider gets in before leaving
+export const LINK_RIDER_SPACING = AGENT_RADIUS * 1.5;  // Distance between riders standing in an elevator car
+
+// --- Checkouts ---
+export const CHECKOUT_LANE_SPACING = MODEL_SCALE * 4;        // Default distance between neighbouring tills
+export const CHECKOUT_QUEUE_SPACING = MIN_AGENT_SEPARATION;  // Distance between shoppers in a lane queue
+export const CHECKOUT_COUNTER_LENGTH = MODEL_SCALE * 4;      // Counter beside each till; served shoppers leave past its end
+export const CHECKOUT_SERVICE_TIME = { type: 'normal', mean: 60, sd: 20 }; // Seconds at the till, for lanes without their own
+export const CHECKOUT_MIN_SERVICE_TIME = 5;                  // Floor for sampled service times
+export const CHECKOUT_EXPRESS_MAX_ITEMS = 8;                 // Default basket limit for express lanes
+
+// --- Heatmap ---
+export const HEATMAP_CELL_SIZE = 10;       // Occupancy grid resolution (80×50 cells on the default floor)
+export const HEATMAP_WINDOW_SECONDS = 60;  // Span of the rolling-window view
+export const HEATMAP_WINDOW_BUCKETS = 12;  // Window granularity: it slides in steps of WINDOW/BUCKETS seconds
+
+// --- Export ---
+export const TRAJECTORY_SAMPLE_INTERVAL = 0.5; // Simulated seconds between recorded trajectory samples
+
+// --- Replay ---
+export const REPLAY_POSITION_RESOLUTION = 1 / 32; // Recorded positions are rounded to this (floor units)
+export const REPLAY_MAX_ROWS = 8000000;           // Agent-steps per recording (~185 MB); 25 agents fill it in ~1.5 h
+
+// --- Department Interaction ---
+export const IDLE_CHANCE = 0.002;      // Chance per second to start idling
+export const MIN_IDLE_TIME = 2.0;
+export const MAX_IDLE_TIME = 6.0;
+export const MIN_TIME_IN_DEPT = 8.0;
+export const MAX_TIME_IN_DEPT = 20.0;
+export const MIN_DWELL_TIME = 2.0;     // Floor for persona dwell times (sim/personas.js)
+export const DEPT_VISIT_CHANCE = 0.05; // Chance per second for a wandering agent to pick a department
+export const ENTRY_PATIENCE = 45.0;    // Seconds an agent queues for a full department before trying another
+export const BROWSE_TIME = { type: 'uniform', min: 3, max: 8 }; // Seconds at a product point of interest, for products without their own
+export const PRODUCT_REACHED_DISTANCE = MODEL_SCALE * 0.75;       // Agents this close to a product start browsing it
+export const RANDOM_POINT_ATTEMPTS = 20; // Tries at a random spot in a department that isn't inside one of its fixtures
+
+// --- Agent States (Expanded) ---
+export const AGENT_STATE = {
+    WANDERING: 'WANDERING',         // Moving freely outside departments
+    GOING_TO_DEPT: 'GOING_TO_DEPT', // Moving towards an entry portal
+    WAITING_ENTRY: 'WAITING_ENTRY', // In queue outside an entry portal
+    ENTERING: 'ENTERING',           // Crossing the entry portal threshold
+    INSIDE_DEPT: 'INSIDE_DEPT',     // Moving freely inside a department
+    GOING_TO_EXIT: 'GOING_TO_EXIT', // Moving towards an exit portal
+    WAITING_EXIT: 'WAITING_EXIT',   // In queue inside an exit portal
+    EXITING: 'EXITING',             // Crossing the exit portal threshold
+    IDLE: 'IDLE',                   // Standing still (temporarily)
+    LEAVING: 'LEAVING',             // Trip over, walking to a store exit door
+    GOING_TO_CHECKOUT: 'GOING_TO_CHECKOUT', // Trip over, walking to the back of a checkout lane
+    WAITING_CHECKOUT: 'WAITING_CHECKOUT',   // In a checkout lane queue
+    CHECKING_OUT: 'CHECKING_OUT',           // Being served at a till
+    BROWSING: 'BROWSING',                   // Standing at a product point of interest in a department
+    GOING_TO_LINK: 'GOING_TO_LINK',         // Walking to the back of the line for an escalator or elevator to another level
+    WAITING_LINK: 'WAITING_LINK',           // In the line for an escalator or elevator
+    RIDING_LINK: 'RIDING_LINK',             // On an escalator or in an elevator car
+};
@@ -0,0 +1,260 @@
+// Department boxes and portals as plain data, plus the geometric queries the
+// simulation needs (ray vs. box, point on portal) in place of mesh raycasting.
+import { Vec2 } from './vec2.js';
+import { PORTAL_WIDTH_FACTOR, PORTAL_LANE_WIDTH, PORTAL_FLOW_PER_LANE, BROWSE_TIME } from './constants.js';
+
+export const PORTAL_DIRECTION = {
+    ENTRY: 'entry', // Agents only go in through it
+    EXIT: 'exit',   // Agents only come out through it
+    BOTH: 'both',   // Either way; agents going in and coming out queue on their own side
+};
+
+export const PORTAL_CHOICE = {
+    NEAREST: 'nearest',                 // Closest portal going the agent's way
+    LEAST_CONGESTED: 'least-congested', // Fewest agents crossing or queuing on the agent's side (closest on a tie)
+};
+
+const DEFAULT_PORTAL_NAMES = { [PORTAL_DIRECTION.ENTRY]: 'entry', [PORTAL_DIRECTION.EXIT]: 'exit', [PORTAL_DIRECTION.BOTH]: 'door' };
+
+//=============================================================================
+// CONSTRUCTION
+//=============================================================================
+
+// Expects a layout that already passed validateLayout() (the layout editor also draws
+// layouts that haven't)
+export function buildDepartments(layout) {
+    return layout.departments.map(config => {
+        const { name, size, position } = config;
+        const center = new Vec2(position[0], position[2]);
+        const halfSize = { x: size[0] / 2, y: size[1] / 2, z: size[2] / 2 };
+        const dept = { name, config, center, halfSize };
+        dept.maxOccupancy = config.maxOccupancy ?? null; // Occupancy cap (null = unlimited)
+        dept.occupancy = 0; // Agents let in through the entry portal and not yet out of the exit portal
+        // Only a layout still being edited (drawn but not simulated) can lack a way in or out
+        const portalConfigs = getPortalConfigs(config);
+        dept.portals = portalConfigs.map((portalConfig, i) =>
+            calculatePortalData(portalConfig.name ?? getDefaultPortalName(name, portalConfigs, i), portalConfig, center, halfSize));
+        dept.entryPortals = dept.portals.filter(isEntryPortal);
+        dept.exitPortals = dept.portals.filter(isExitPortal);
+        dept.portalChoice = config.portalChoice ?? PORTAL_CHOICE.NEAREST; // How agents pick among them
+        // Shelves, displays and counters: boxes agents walk around. Positions in the layout are relative to the department centre.
+        dept.fixtures = (config.fixtures || []).map((fixtureConfig, i) => ({
+            name: fixtureConfig.name ?? `${name} fixture ${i + 1}`,
+            center: new Vec2(center.x + fixtureConfig.position[0], center.z + fixtureConfig.position[1]),
+            halfSize: { x: fixtureConfig.size[0] / 2, y: fixtureConfig.size[1] / 2, z: fixtureConfig.size[2] / 2 },
+            config: fixtureConfig,
+        }));
+        // Product points of interest: spots agents inside the department walk to and browse at
+        dept.products = (config.products || []).map(productConfig => ({
+            name: productConfig.name,
+            position: new Vec2(center.x + productConfig.position[0], center.z + productConfig.position[1]),
+            browseTime: productConfig.browseTime ?? BROWSE_TIME, // Seconds (distribution, see sampleDistribution)
+            config: productConfig,
+        }));
+        dept.navGrid = null; // Routes between the fixtures, set up by the simulation for departments that have any
+        return dept;
+    });
+}
+
+// A department's portal configs, each with a direction: its `portals` list, or for layouts
+// written before those the entryPortal / exitPortal pair (an entry and an exit portal)
+export function getPortalConfigs(config) {
+    if (config.portals) return config.portals;
+    return [
+        config.entryPortal && { ...config.entryPortal, direction: PORTAL_DIRECTION.ENTRY },
+        config.exitPortal && { ...config.exitPortal, direction: PORTAL_DIRECTION.EXIT },
+    ].filter(Boolean);
+}
+
+// "Bakery entry", "Bakery exit" or "Bakery door", numbered from the second of a kind ("Bakery entry 2")
+export function getDefaultPortalName(deptName, portalConfigs, index) {
+    const direction = portalConfigs[index].direction;
+    const earlier = portalConfigs.slice(0, index).filter(portalConfig => portalConfig.direction === direction).length;
+    return `${deptName} ${DEFAULT_PORTAL_NAMES[direction]}${earlier > 0 ? ` ${earlier + 1}` : ''}`;
+}
+
+function calculatePortalData(name, portalConfig, deptCenter, halfSize) {
+    const { face, offset, direction } = portalConfig;
+    const width = portalConfig.width ?? PORTAL_WIDTH_FACTOR;
+    // Side-by-side crossings the opening takes, and how fast it lets agents in
+    const capacity = portalConfig.capacity ?? Math.max(1, Math.floor(width / PORTAL_LANE_WIDTH));
+    const flowRate = portalConfig.flowRate ?? capacity * PORTAL_FLOW_PER_LANE;
+    const worldPos = deptCenter.clone(); // Portal position on the wall face
+    const faceNormal = new Vec2();
+    let offsetAxis = 'z'; // Default offset axis
+
+    switch (face) {
+        case 'x+':
+            worldPos.x += halfSize.x;
+            worldPos.z += offset;
+            faceNormal.set(1, 0);
+            offsetAxis = 'z';
+            break;
+        case 'x-':
+            worldPos.x -= halfSize.x;
+            worldPos.z += offset;
+            faceNormal.set(-1, 0);
+            offsetAxis = 'z';
+            break;
+        case 'z+':
+            worldPos.z += halfSize.z;
+            worldPos.x += offset;
+            faceNormal.set(0, 1);
+            offsetAxis = 'x';
+            break;
+        case 'z-':
+            worldPos.z -= halfSize.z;
+            worldPos.x += offset;
+            faceNormal.set(0, -1);
+            offsetAxis = 'x';
+            break;
+    }
+
+    return {
+        name: name,
+        center: deptCenter.clone(), // Department center (for internal targeting maybe)
+        direction: direction,   // PORTAL_DIRECTION
+        face: face,
+        width: width,
+        faceNormal: faceNormal,
+        worldPos: worldPos,     // Center point of the portal line on the wall
+        offsetAxis: offsetAxis, // Which axis (x or z) the portal extends along
+        capacity: capacity,     // Agents crossing at once
+        flowRate: flowRate,     // Agents let in per second, at most
+        crossing: 0,            // Agents in the opening now (up to capacity)
+        nextAdmitTime: 0,       // Simulation time the flow limit lets the next agent in
+        // Queue lines on each side the portal is used from: { queue, slots } (slots laid out by the simulation), or null
+        entryLine: direction !== PORTAL_DIRECTION.EXIT ? { queue: [], slots: [] } : null,
+        exitLine: direction !== PORTAL_DIRECTION.ENTRY ? { queue: [], slots: [] } : null,
+        config: portalConfig // Keep original config if needed
+    };
+}
+
+export function isEntryPortal(portal) {
+    return portal.direction !== PORTAL_DIRECTION.EXIT;
+}
+
+export function isExitPortal(portal) {
+    return portal.direction !== PORTAL_DIRECTION.ENTRY;
+}
+
+// Portal of dept for an agent at point to go in by (side 'entry') or come out of (side 'exit'),
+// by dept.portalChoice, or null if it has none that way
+export function choosePortal(dept, side, point) {
+    const byCongestion = dept.portalChoice === PORTAL_CHOICE.LEAST_CONGESTED;
+    let best = null, bestCongestion = Infinity, bestDistSq = Infinity;
+    (side === 'entry' ? dept.entryPortals : dept.exitPortals).forEach(portal => {
+        const line = side === 'entry' ? portal.entryLine : portal.exitLine;
+        const congestion = byCongestion ? portal.crossing + line.queue.length : 0;
+        const distSq = portal.worldPos.distanceToSquared(point);
+        if (congestion < bestCongestion || (congestion === bestCongestion && distSq < bestDistSq)) {
+            best = portal;
+            bestCongestion = congestion;
+            bestDistSq = distSq;
+        }
+    });
+    return best;
+}
+
+//=============================================================================
+// GEOMETRIC QUERIES
+//=============================================================================
+
+// Casts a ray against the outside of a department box (or a fixture, which has the same
+// center and halfSize) (walls are one-sided, like the
+// front-face-only mesh raycast this replaces). Returns { distance, point, face, normal }
+// for the first wall hit within `far`, or null.
+export function raycastDepartment(dept, origin, direction, far) {
+    const minX = dept.center.x - dept.halfSize.x, maxX = dept.center.x + dept.halfSize.x;
+    const minZ = dept.center.z - dept.halfSize.z, maxZ = dept.center.z + dept.halfSize.z;
+
+    // Origins inside the box never hit (back faces)
+    if (origin.x > minX && origin.x < maxX && origin.z > minZ && origin.z < maxZ) return null;
+
+    let tEnter = -Infinity, tExit = Infinity, face = null;
+    for (const axis of ['x', 'z']) {
+        const min = axis === 'x' ? minX : minZ;
+        const max = axis === 'x' ? maxX : maxZ;
+        const o = origin[axis], d = direction[axis];
+        if (Math.abs(d) < 1e-12) {
+            if (o < min || o > max) return null; // Parallel and outside this slab
+            continue;
+        }
+        const t1 = (min - o) / d, t2 = (max - o) / d;
+        const tNear = Math.min(t1, t2), tFar = Math.max(t1, t2);
+        if (tNear > tEnter) {
+            tEnter = tNear;
+            face = d > 0 ? `${axis}-` : `${axis}+`; // Moving +axis enters through the min face
+        }
+        tExit = Math.min(tExit, tFar);
+    }
+
+    if (face === null || tEnter > tExit || tEnter < 0 || tEnter > far) return null;
+
+    const normal = new Vec2();
+    normal[face[0]] = face[1] === '+' ? 1 : -1;
+    return {
+        distance: tEnter,
+        point: origin.clone().addScaledVector(direction, tEnter),
+        face: face,
+        normal: normal,
+    };
+}
+
+// True if point is inside one of the department's fixtures grown by margin
+export function isInsideFixture(dept, point, margin = 0) {
+    return dept.fixtures.some(fixture =>
+        Math.abs(point.x - fixture.center.x) < fixture.halfSize.x + margin &&
+        Math.abs(point.z - fixture.center.z) < fixture.halfSize.z + margin);
+}
+
+// Checks if a point on a department face lies within the portal opening
+export function isPointOnPortal(point, portal) {
+    const alongAxis = portal.offsetAxis;
+    const acrossAxis = alongAxis === 'z' ? 'x' : 'z';
+    const tolerance = 0.5; // How close the point needs to be to the portal line
+
+    return Math.abs(point[alongAxis] - portal.worldPos[alongAxis]) <= portal.width / 2 &&
+        Math.abs(point[acrossAxis] - portal.worldPos[acrossAxis]) < tolerance;
+}
+
+// Wall segments { start, end, normal } of a department's outline, with gaps left at its
+// portal openings. normal points out of the department.
+export function getDepartmentWalls(dept) {
+    return getBoxWalls(dept, dept.portals);
+}
+
+// The four sides of a fixture as wall segments, normals pointing out of it
+export function getFixtureWalls(fixture) {
+    return getBoxWalls(fixture, []);
+}
+
+// Sides of a box (a department or a fixture), with gaps at the given portals' openings
+function getBoxWalls(box, portals) {
+    const walls = [];
+    ['x+', 'x-', 'z+', 'z-'].forEach(face => {
+        const acrossAxis = face[0];
+        const alongAxis = acrossAxis === 'x' ? 'z' : 'x';
+        const across = box.center[acrossAxis] + (face[1] === '+' ? 1 : -1) * box.halfSize[acrossAxis];
+
+        // Spans along the face (world coordinates), split around each opening on it
+        let spans = [[box.center[alongAxis] - box.halfSize[alongAxis], box.center[alongAxis] + box.halfSize[alongAxis]]];
+        portals.filter(portal => portal.face === face).forEach(portal => {
+            const openingMin = portal.worldPos[alongAxis] - portal.width / 2;
+            const openingMax = portal.worldPos[alongAxis] + portal.width / 2;
+            spans = spans
+                .flatMap(([min, max]) => [[min, Math.min(max, openingMin)], [Math.max(min, openingMax), max]])
+                .filter(([min, max]) => max > min);
+        });
+
+        spans.forEach(([min, max]) => {
+            const start = new Vec2(), end = new Vec2(), normal = new Vec2();
+            start[acrossAxis] = end[acrossAxis] = across;
+            start[alongAxis] = min;
+            end[alongAxis] = max;
+            normal[acrossAxis] = face[1] === '+' ? 1 : -1;
+            walls.push({ start, end, normal });
+        });
+    });
+    return walls;
+}
@@ -0,0 +1,93 @@
+// Store doors on the floor outline and the arrival process that feeds them. Shoppers
+// come in through entrance doors as a Poisson process whose rate follows an hourly curve
+// (layout.arrivals.hourlyRates) and leave through the nearest exit door once their
+// shopping trip is over.
+import { Vec2 } from './vec2.js';
+import { locateDoor } from './floor.js';
+import { DOOR_WIDTH } from './constants.js';
+
+export const DOOR_TYPE = {
+    ENTRANCE: 'entrance',
+    EXIT: 'exit',
+    BOTH: 'both',
+};
+
+//=============================================================================
+// CONSTRUCTION
+//=============================================================================
+
+// floor from createFloor() (sim/floor.js). Expects a layout that already passed validateLayout();
+// layouts without doors get []
+export function buildDoors(layout, floor) {
+    return (layout.doors || []).map(config => {
+        const { edge, along } = locateDoor(floor, config.edge, config.offset);
+        const inwardNormal = edge.normal.clone();
+        return {
+            name: config.name,
+            type: config.type,
+            edge: config.edge,
+            edgeIndex: edge.index,      // Outline edge the door is on
+            width: config.width ?? DOOR_WIDTH,
+            worldPos: edge.start.clone().addScaledVector(edge.direction, along), // Centre of the opening, on the floor edge
+            inwardNormal: inwardNormal, // Into the store
+            tangent: new Vec2(-inwardNormal.z, inwardNormal.x), // Along the edge
+            arrivals: 0,
+            departures: 0,
+            config: config,
+        };
+    });
+}
+
+export function isEntranceDoor(door) {
+    return door.type === DOOR_TYPE.ENTRANCE || door.type === DOOR_TYPE.BOTH;
+}
+
+export function isExitDoor(door) {
+    return door.type === DOOR_TYPE.EXIT || door.type === DOOR_TYPE.BOTH;
+}
+
+// Exit door closest to point (straight-line), or null if the store has none
+export function findNearestExitDoor(doors, point) {
+    let best = null, bestDistSq = Infinity;
+    doors.forEach(door => {
+        if (!isExitDoor(door)) return;
+        const distSq = door.worldPos.distanceToSquared(point);
+        if (distSq < bestDistSq) {
+            bestDistSq = distSq;
+            best = door;
+        }
+    });
+    return best;
+}
+
+//=============================================================================
+// ARRIVAL PROCESS
+//=============================================================================
+
+// Piecewise-constant arrival rate from layout.arrivals, or null if the layout has none.
+// hourlyRates[h] is shoppers per hour during hour h of the run; after the last entry the store is closed.
+export function createArrivalSchedule(layout) {
+    if (!layout.arrivals) return null;
+    const hourlyRates = layout.arrivals.hourlyRates.slice();
+    return { hourlyRates, maxRate: Math.max(0, ...hourlyRates) };
+}
+
+// Shoppers per hour at simulation time `time`
+export function getArrivalRate(schedule, time) {
+    const hour = Math.floor(time / 3600);
+    return hour < schedule.hourlyRates.length ? schedule.hourlyRates[hour] : 0;
+}
+
+// Time of the first arrival after `time` (Infinity once the store has closed). Samples the
+// non-homogeneous Poisson process by thinning: candidates come at the peak rate and each is
+// kept with probability rate(t) / peak.
+export function sampleNextArrival(schedule, time, random) {
+    if (schedule.maxRate <= 0) return Infinity;
+    const closingTime = schedule.hourlyRates.length * 3600;
+    let t = time;
+    for (;;) {
+        t += -Math.log(1 - random.next()) * 3600 / schedule.maxRate;
+        if (t >= closingTime) return Infinity;
+        if (random.next() * schedule.maxRate < getArrivalRate(schedule, t)) return t;
+    }
+}
@@ -0,0 +1,225 @@
+// Store floor: the outline agents walk inside. A layout gives it as a width × depth rectangle
+// centred on the origin or as a polygon of [x, z] corners (an L-shaped store, say); layouts
+// without a floor get the FLOOR_WIDTH × FLOOR_DEPTH rectangle (see buildLevels in sim/levels.js).
+// The outline bounds the nav grid, the floor collision and the social force walls, spawned
+// agents are placed inside it and store doors sit on its edges.
+import { Vec2 } from './vec2.js';
+
+export const FLOOR_SIDES = ['x+', 'x-', 'z+', 'z-']; // Sides of the bounding box, for doors placed by side
+const SIDE_NORMALS = { 'x+': new Vec2(-1, 0), 'x-': new Vec2(1, 0), 'z+': new Vec2(0, -1), 'z-': new Vec2(0, 1) }; // Into the store
+const SAMPLE_ATTEMPTS = 1000; // Rejection sampling tries before sampleFloorPoint settles for a nearby point
+const ON_EDGE_TOLERANCE = 1e-6;
+
+//=============================================================================
+// CONSTRUCTION
+//=============================================================================
+
+// config: { width, depth } or { outline: [[x, z], ...] }. Edge i runs from corner i to corner i + 1.
+export function createFloor(config) {
+    const corners = config.outline
+        ? config.outline.map(([x, z]) => new Vec2(x, z))
+        : getRectangleOutline(config.width, config.depth);
+    const turn = getSignedArea(corners) > 0 ? 1 : -1; // Which side of the edges is inside, by winding order
+    const edges = corners.map((start, i) => {
+        const end = corners[(i + 1) % corners.length];
+        const direction = end.clone().sub(start);
+        const length = direction.length();
+        direction.multiplyScalar(1 / length);
+        return {
+            index: i,
+            start: start,
+            end: end,
+            direction: direction,
+            length: length,
+            normal: new Vec2(-direction.z * turn, direction.x * turn), // Into the store
+        };
+    });
+    const xs = corners.map(corner => corner.x), zs = corners.map(corner => corner.z);
+    const bounds = { minX: Math.min(...xs), maxX: Math.max(...xs), minZ: Math.min(...zs), maxZ: Math.max(...zs) };
+    return {
+        outline: corners,
+        edges: edges,
+        bounds: bounds,
+        width: bounds.maxX - bounds.minX,
+        depth: bounds.maxZ - bounds.minZ,
+        center: new Vec2((bounds.minX + bounds.maxX) / 2, (bounds.minZ + bounds.maxZ) / 2), // Of the bounding box
+        config: config,
+    };
+}
+
+// Corners of a width × depth rectangle centred on the origin; edges 0..3 are the z-, x+, z+ and x- sides
+function getRectangleOutline(width, depth) {
+    const halfWidth = width / 2, halfDepth = depth / 2;
+    return [
+        new Vec2(-halfWidth, -halfDepth), new Vec2(halfWidth, -halfDepth),
+        new Vec2(halfWidth, halfDepth), new Vec2(-halfWidth, halfDepth),
+    ];
+}
+
+// Shoelace area; the sign gives the winding order
+export function getSignedArea(corners) {
+    let area = 0;
+    corners.forEach((corner, i) => {
+        const next = corners[(i + 1) % corners.length];
+        area += corner.x * next.z - next.x * corner.z;
+    });
+    return area / 2;
+}
+
+// True if two edges of the outline cross or touch (neighbouring edges may share their corner)
+export function isSelfIntersecting(corners) {
+    const count = corners.length;
+    for (let i = 0; i < count; i++) {
+        for (let j = i + 1; j < count; j++) {
+            const neighbours = j === i + 1 || (i === 0 && j === count - 1);
+            if (neighbours) continue;
+            if (segmentsIntersect(corners[i], corners[(i + 1) % count], corners[j], corners[(j + 1) % count])) return true;
+        }
+    }
+    return false;
+}
+
+function segmentsIntersect(a, b, c, d) {
+    const cross = (o, p, q) => (p.x - o.x) * (q.z - o.z) - (p.z - o.z) * (q.x - o.x);
+    const onSegment = (o, p, q) => Math.min(o.x, p.x) <= q.x && q.x <= Math.max(o.x, p.x) && Math.min(o.z, p.z) <= q.z && q.z <= Math.max(o.z, p.z);
+    const d1 = cross(c, d, a), d2 = cross(c, d, b), d3 = cross(a, b, c), d4 = cross(a, b, d);
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return true;
+    return (d1 === 0 && onSegment(c, d, a)) || (d2 === 0 && onSegment(c, d, b)) ||
+        (d3 === 0 && onSegment(a, b, c)) || (d4 === 0 && onSegment(a, b, d));
+}
+
+//=============================================================================
+// QUERIES
+//=============================================================================
+
+// True if point is inside the outline and at least margin from every edge
+export function isInsideFloor(floor, point, margin = 0) {
+    if (!isInsideOutline(floor, point)) return false;
+    return margin <= 0 || floor.edges.every(edge => getDistanceToEdge(edge, point) >= margin);
+}
+
+// Even-odd ray cast along +x
+function isInsideOutline(floor, point) {
+    let inside = false;
+    floor.edges.forEach(({ start, end }) => {
+        if ((start.z > point.z) === (end.z > point.z)) return;
+        const crossingX = start.x + (point.z - start.z) / (end.z - start.z) * (end.x - start.x);
+        if (point.x < crossingX) inside = !inside;
+    });
+    return inside;
+}
+
+function getDistanceToEdge(edge, point) {
+    const offset = point.clone().sub(edge.start);
+    const along = offset.dot(edge.direction);
+    if (along <= 0) return point.distanceTo(edge.start);
+    if (along >= edge.length) return point.distanceTo(edge.end);
+    return Math.abs(offset.dot(edge.normal));
+}
+
+// Moves point (in place) back to at least margin inside the outline. Returns the inward
+// normals of the edges it was pushed off, or [] if it was already clear of them.
+export function pushInsideFloor(floor, point, margin) {
+    const normals = [];
+    let crossedEdge = null;
+    if (!isInsideOutline(floor, point)) {
+        // Off the floor: back across the nearest edge
+        floor.edges.forEach(edge => {
+            if (!crossedEdge || getDistanceToEdge(edge, point) < getDistanceToEdge(crossedEdge, point)) crossedEdge = edge;
+        });
+        const offset = point.clone().sub(crossedEdge.start);
+        const along = offset.dot(crossedEdge.direction);
+        if (along <= 0) point.copy(crossedEdge.start);
+        else if (along >= crossedEdge.length) point.copy(crossedEdge.end);
+        else point.addScaledVector(crossedEdge.normal, -offset.dot(crossedEdge.normal));
+        point.addScaledVector(crossedEdge.normal, margin);
+        normals.push(crossedEdge.normal);
+    }
+    floor.edges.forEach(edge => {
+        if (edge === crossedEdge) return;
+        const offset = point.clone().sub(edge.start);
+        const along = offset.dot(edge.direction);
+        const distance = offset.dot(edge.normal);
+        // Edges behind the point (distance < 0) belong to another part of a concave outline
+        if (along < 0 || along > edge.length || distance < 0 || distance >= margin) return;
+        point.addScaledVector(edge.normal, margin - distance);
+        normals.push(edge.normal);
+    });
+    return normals;
+}
+
+// Uniformly random point at least margin inside the outline, by rejection sampling over the
+// bounding box (a thin outline that keeps missing gets the last try pushed inside)
+export function sampleFloorPoint(floor, random, margin) {
+    let point = null;
+    for (let attempt = 0; attempt < SAMPLE_ATTEMPTS; attempt++) {
+        point = new Vec2(
+            floor.center.x + random.floatSpread(floor.width - margin * 2),
+            floor.center.z + random.floatSpread(floor.depth - margin * 2),
+        );
+        if (isInsideFloor(floor, point, margin)) return point;
+    }
+    pushInsideFloor(floor, point, margin);
+    return point;
+}
+
+//-----------------------------------------------------------------------------
+// Doors
+//-----------------------------------------------------------------------------
+
+// Where a door with this edge and offset sits: { edge, along } (the outline edge and the
+// distance of the door centre from its start), or null if that isn't on the outline.
+// edge is an outline edge index (offset from the middle of that edge, along it) or a side of
+// the bounding box, x+, x-, z+ or z- (offset from the middle of the side, along +z or +x).
+export function locateDoor(floor, edge, offset) {
+    if (Number.isInteger(edge)) {
+        const outlineEdge = floor.edges[edge];
+        return outlineEdge ? { edge: outlineEdge, along: outlineEdge.length / 2 + offset } : null;
+    }
+    const { bounds, center } = floor;
+    const point = {
+        'x+': new Vec2(bounds.maxX, center.z + offset),
+        'x-': new Vec2(bounds.minX, center.z + offset),
+        'z+': new Vec2(center.x + offset, bounds.maxZ),
+        'z-': new Vec2(center.x + offset, bounds.minZ),
+    }[edge];
+    for (const outlineEdge of floor.edges) {
+        if (!outlineEdge.normal.equals(SIDE_NORMALS[edge])) continue;
+        const fromStart = point.clone().sub(outlineEdge.start);
+        const along = fromStart.dot(outlineEdge.direction);
+        if (Math.abs(fromStart.dot(outlineEdge.normal)) < ON_EDGE_TOLERANCE && along >= 0 && along <= outlineEdge.length) {
+            return { edge: outlineEdge, along: along };
+        }
+    }
+    return null;
+}
+
+// True if the box lies on the floor: its centre is inside the outline and no edge cuts through
+// it (edges along the box's sides are fine, so departments can stand against a wall)
+export function isBoxOnFloor(floor, minX, minZ, maxX, maxZ) {
+    if (!isInsideOutline(floor, new Vec2((minX + maxX) / 2, (minZ + maxZ) / 2))) return false;
+    return floor.edges.every(edge => {
+        const piece = clipToBox(edge.start, edge.end, minX, minZ, maxX, maxZ);
+        if (!piece) return true;
+        const middleX = (piece[0].x + piece[1].x) / 2, middleZ = (piece[0].z + piece[1].z) / 2;
+        return !(middleX > minX && middleX < maxX && middleZ > minZ && middleZ < maxZ);
+    });
+}
+
+// Part of segment a-b inside the box as [from, to], or null (Liang-Barsky)
+function clipToBox(a, b, minX, minZ, maxX, maxZ) {
+    const dx = b.x - a.x, dz = b.z - a.z;
+    let t0 = 0, t1 = 1;
+    const checks = [[-dx, a.x - minX], [dx, maxX - a.x], [-dz, a.z - minZ], [dz, maxZ - a.z]];
+    for (const [p, q] of checks) {
+        if (p === 0) {
+            if (q < 0) return null;
+            continue;
+        }
+        const t = q / p;
+        if (p < 0) t0 = Math.max(t0, t);
+        else t1 = Math.min(t1, t);
+        if (t0 > t1) return null;
+    }
+    return [new Vec2(a.x + dx * t0, a.z + dz * t0), new Vec2(a.x + dx * t1, a.z + dz * t1)];
+}
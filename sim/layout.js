@@ -0,0 +1,842 @@
+// Store layout validation. Layouts are plain JSON (see layouts/layout.schema.json);
+// everything here is pure so the same checks can run in the browser or in Node.
+import { BUILT_IN_PERSONAS } from './personas.js';
+import { getPortalConfigs, getDefaultPortalName } from './departments.js';
+import { FLOOR_SIDES, createFloor, getSignedArea, isSelfIntersecting, isInsideFloor, isBoxOnFloor, locateDoor } from './floor.js';
+
+export const LAYOUT_SCHEMA_VERSION = 1;
+
+const PORTAL_FACES = ['x+', 'x-', 'z+', 'z-'];
+const PORTAL_DIRECTIONS = ['entry', 'exit', 'both'];
+const PORTAL_CHOICES = ['nearest', 'least-congested'];
+const DOOR_TYPES = ['entrance', 'exit', 'both'];
+const LINK_TYPES = ['escalator', 'elevator'];
+const LANE_CHOICES = ['shortest-queue', 'nearest'];
+const DURATION_TYPES = ['normal', 'exponential', 'uniform'];
+const VISIT_ORDERS = ['nearest', 'random', 'listed'];
+const PERSONA_FIELDS = ['listSize', 'departments', 'visitOrder', 'dwellTime', 'speedFactor', 'visitChance', 'impulseShare', 'patience'];
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+//=============================================================================
+// VALIDATION
+//=============================================================================
+
+// Returns a list of human readable error strings; an empty list means the layout is usable.
+// options.floorWidth / options.floorDepth give the floor for layouts (or ground levels) without
+// their own; with neither, departments, doors, tills and link landings aren't checked against it.
+// options.defaultPortalWidth / options.defaultDoorWidth are used for portals / doors that don't set their own width,
+// options.defaultLaneSpacing for checkouts that don't set their own laneSpacing.
+export function validateLayout(layout, options = {}) {
+    const errors = [];
+    if (!isObject(layout)) {
+        return ['Layout must be a JSON object.'];
+    }
+
+    // --- Top-level fields ---
+    if (layout.schemaVersion !== LAYOUT_SCHEMA_VERSION) {
+        errors.push(`schemaVersion: expected ${LAYOUT_SCHEMA_VERSION}, got ${JSON.stringify(layout.schemaVersion)}.`);
+    }
+    if (!Number.isInteger(layout.version) || layout.version < 1) {
+        errors.push('version: must be a positive integer.');
+    }
+    if (typeof layout.name !== 'string' || layout.name.length === 0) {
+        errors.push('name: must be a non-empty string.');
+    }
+    const levels = validateLevels(layout, errors);
+    if (!levels) return errors;
+
+    // --- Per-department fields (names are unique across levels) ---
+    const names = new Set();
+    const portalNames = new Map();        // Custom portal name -> path of the portal
+    const defaultPortalNames = new Set(); // Generated names of the portals without one
+    levels.forEach(level => level.config.departments.forEach((dept, i) => {
+        const path = `${level.path}departments[${i}]${dept && typeof dept.name === 'string' ? ` (${dept.name})` : ''}`;
+        if (!isObject(dept)) {
+            errors.push(`${path}: must be an object.`);
+            return;
+        }
+        if (typeof dept.name !== 'string' || dept.name.length === 0) {
+            errors.push(`${path}.name: must be a non-empty string.`);
+        } else if (names.has(dept.name)) {
+            errors.push(`${path}.name: duplicate department name.`);
+        } else {
+            names.add(dept.name);
+        }
+        if (!isVec3(dept.size) || dept.size.some(v => v <= 0)) {
+            errors.push(`${path}.size: must be [width, height, depth] with positive numbers.`);
+        }
+        if (!isVec3(dept.position)) {
+            errors.push(`${path}.position: must be [x, y, z] numbers.`);
+        }
+        if (typeof dept.color !== 'string' || !COLOR_PATTERN.test(dept.color)) {
+            errors.push(`${path}.color: must be a hex colour like "#aabbcc".`);
+        }
+        validateDepartmentPortals(dept, path, portalNames, defaultPortalNames, errors);
+        if (dept.maxOccupancy !== undefined && (!Number.isInteger(dept.maxOccupancy) || dept.maxOccupancy < 1)) {
+            errors.push(`${path}.maxOccupancy: must be a positive integer.`);
+        }
+        validateFixtures(dept, path, errors);
+        validateProducts(dept, path, errors);
+    }));
+    // A custom name can't be one another portal gets by default: the two would share a row in the portal analytics
+    portalNames.forEach((path, name) => {
+        if (defaultPortalNames.has(name)) errors.push(`${path}.name: "${name}" is the default name of another portal.`);
+    });
+    // A level without a floor of its own has the one below it (as in buildLevels, sim/levels.js)
+    levels.forEach((level, i) => {
+        level.floor = (i > 0 && level.config.floor === undefined)
+            ? levels[i - 1].floor
+            : validateFloor(level.config.floor, `${level.path}floor`, options, errors);
+    });
+    const floor = levels[0].floor; // Doors and checkouts are on the ground level
+    validateDoors(layout, floor, options, errors);
+    validateArrivals(layout, errors);
+    validateCheckouts(layout, errors);
+    validateLinks(layout, levels, errors);
+    validatePersonas(layout, names, errors);
+    if (errors.length > 0) return errors; // Geometry checks below assume well-formed fields
+
+    // --- Geometry: portals on their face, floor bounds, overlapping departments and portals ---
+    levels.forEach(level => validateLevelGeometry(level, options, errors));
+    const groundLevel = levels[0];
+    const footprints = groundLevel.config.departments.map(getFootprint);
+    (layout.checkouts || []).forEach((checkout, i) => {
+        // Every till has to stand on the floor, outside the departments
+        const path = `checkouts[${i}] (${checkout.name})`;
+        const spacing = checkout.laneSpacing ?? options.defaultLaneSpacing ?? 0;
+        const [tangentX, tangentZ] = getCheckoutTangent(checkout.queueSide);
+        checkout.lanes.forEach((lane, j) => {
+            const offset = (j - (checkout.lanes.length - 1) / 2) * spacing;
+            const x = checkout.position[0] + tangentX * offset;
+            const z = checkout.position[1] + tangentZ * offset;
+            if (floor && !isInsideFloor(floor, { x, z })) {
+                errors.push(`${path}.lanes[${j}]: till at (${x}, ${z}) is off the ${describeFloor(floor)}.`);
+            }
+            const inside = footprints.findIndex(fp => x > fp.minX && x < fp.maxX && z > fp.minZ && z < fp.maxZ);
+            if (inside >= 0) {
+                errors.push(`${path}.lanes[${j}]: till at (${x}, ${z}) is inside ${groundLevel.path}departments[${inside}] (${groundLevel.config.departments[inside].name}).`);
+            }
+        });
+    });
+    (layout.links || []).forEach((link, i) => {
+        // Both landings have to be on their level's floor, outside its departments
+        [['from', link.from], ['to', link.to]].forEach(([key, end]) => {
+            const level = levels.find(candidate => candidate.config.name === end.level);
+            const [x, z] = end.position;
+            const path = `links[${i}] (${link.name}).${key}.position`;
+            if (level.floor && !isInsideFloor(level.floor, { x, z })) {
+                errors.push(`${path}: (${x}, ${z}) is off the ${describeFloor(level.floor)} of level ${level.config.name}.`);
+            }
+            const depts = level.config.departments;
+            const inside = depts.map(getFootprint).findIndex(fp => x > fp.minX && x < fp.maxX && z > fp.minZ && z < fp.maxZ);
+            if (inside >= 0) {
+                errors.push(`${path}: (${x}, ${z}) is inside ${level.path}departments[${inside}] (${depts[inside].name}).`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+// The levels whose departments and floors get checked, as [{ path, config }] with path the
+// prefix of their error messages: the layout itself for single-floor layouts (no prefix), or
+// each of its levels ('levels[1] (First floor).'). Returns null if there are none to check.
+function validateLevels(layout, errors) {
+    if (layout.levels === undefined) {
+        if (layout.links !== undefined) {
+            errors.push('links: only layouts with levels have escalators and elevators between them.');
+        }
+        if (!Array.isArray(layout.departments) || layout.departments.length === 0) {
+            errors.push('departments: must be a non-empty array.');
+            return null;
+        }
+        return [{ path: '', config: layout }];
+    }
+    if (layout.floor !== undefined || layout.departments !== undefined) {
+        errors.push('levels: give either levels or a floor and departments, not both (each level has its own).');
+    }
+    if (!Array.isArray(layout.levels) || layout.levels.length === 0) {
+        errors.push('levels: must be a non-empty array (ground level first).');
+        return null;
+    }
+    const names = new Set();
+    const levels = [];
+    layout.levels.forEach((level, i) => {
+        const path = `levels[${i}]${level && typeof level.name === 'string' ? ` (${level.name})` : ''}`;
+        if (!isObject(level)) {
+            errors.push(`${path}: must be an object.`);
+            return;
+        }
+        if (typeof level.name !== 'string' || level.name.length === 0) {
+            errors.push(`${path}.name: must be a non-empty string.`);
+        } else if (names.has(level.name)) {
+            errors.push(`${path}.name: duplicate level name.`);
+        } else {
+            names.add(level.name);
+        }
+        if (level.height !== undefined && (typeof level.height !== 'number' || !(level.height > 0))) {
+            errors.push(`${path}.height: must be a positive number (up to the next level's floor).`);
+        }
+        if (!Array.isArray(level.departments) || level.departments.length === 0) {
+            errors.push(`${path}.departments: must be a non-empty array.`);
+            return;
+        }
+        levels.push({ path: `${path}.`, config: level });
+    });
+    return levels.length === layout.levels.length ? levels : null;
+}
+
+// Portals on their faces, departments on the level's floor and clear of each other, fixtures
+// and products inside their departments
+function validateLevelGeometry(level, options, errors) {
+    const departments = level.config.departments;
+    const floor = level.floor;
+    departments.forEach((dept, i) => {
+        listPortals(dept).forEach(([key, portal]) => {
+            // The whole portal opening has to fit on its face
+            const faceLength = getFaceLength(dept.size, portal.face);
+            const width = portal.width ?? options.defaultPortalWidth ?? 0;
+            if (Math.abs(portal.offset) + width / 2 > faceLength / 2) {
+                errors.push(`${level.path}departments[${i}] (${dept.name}).${key}.offset: portal (offset ${portal.offset}, width ${width}) runs off face ${portal.face}, which is ${faceLength} long.`);
+            }
+        });
+    });
+    const footprints = departments.map(getFootprint);
+    if (floor) {
+        footprints.forEach((fp, i) => {
+            if (!isBoxOnFloor(floor, fp.minX, fp.minZ, fp.maxX, fp.maxZ)) {
+                errors.push(`${level.path}departments[${i}] (${departments[i].name}): extends outside the ${describeFloor(floor)}.`);
+            }
+        });
+    }
+    for (let i = 0; i < footprints.length; i++) {
+        for (let j = i + 1; j < footprints.length; j++) {
+            const a = footprints[i], b = footprints[j];
+            if (a.minX < b.maxX && a.maxX > b.minX && a.minZ < b.maxZ && a.maxZ > b.minZ) {
+                errors.push(`${level.path}departments[${i}] (${departments[i].name}) overlaps departments[${j}] (${departments[j].name}).`);
+            }
+        }
+    }
+    departments.forEach((dept, i) => {
+        // Fixtures stand inside their department, clear of its portal openings; products inside it, clear of the fixtures
+        const path = `${level.path}departments[${i}] (${dept.name})`;
+        const fixtureFootprints = (dept.fixtures || []).map(getFixtureFootprint);
+        const halfWidth = dept.size[0] / 2, halfDepth = dept.size[2] / 2;
+        fixtureFootprints.forEach((fp, j) => {
+            if (fp.minX < -halfWidth || fp.maxX > halfWidth || fp.minZ < -halfDepth || fp.maxZ > halfDepth) {
+                errors.push(`${path}.fixtures[${j}]: extends outside the department.`);
+            }
+            listPortals(dept).forEach(([key, portal]) => {
+                const clearArea = getPortalClearArea(dept, portal, portal.width ?? options.defaultPortalWidth ?? 0);
+                if (fp.minX < clearArea.maxX && fp.maxX > clearArea.minX && fp.minZ < clearArea.maxZ && fp.maxZ > clearArea.minZ) {
+                    errors.push(`${path}.fixtures[${j}]: blocks the ${key} opening.`);
+                }
+            });
+        });
+        (dept.products || []).forEach((product, j) => {
+            const [x, z] = product.position;
+            if (Math.abs(x) >= halfWidth || Math.abs(z) >= halfDepth) {
+                errors.push(`${path}.products[${j}] (${product.name}): outside the department.`);
+            }
+            const inside = fixtureFootprints.findIndex(fp => x > fp.minX && x < fp.maxX && z > fp.minZ && z < fp.maxZ);
+            if (inside >= 0) {
+                errors.push(`${path}.products[${j}] (${product.name}): inside fixtures[${inside}].`);
+            }
+        });
+    });
+    departments.forEach((dept, i) => {
+        const portals = listPortals(dept);
+        portals.forEach(([keyA, a], j) => portals.slice(j + 1).forEach(([keyB, b]) => {
+            if (a.face !== b.face) return;
+            const widthA = a.width ?? options.defaultPortalWidth ?? 0;
+            const widthB = b.width ?? options.defaultPortalWidth ?? 0;
+            if (Math.abs(a.offset - b.offset) < (widthA + widthB) / 2) {
+                errors.push(`${level.path}departments[${i}] (${dept.name}): ${keyA} and ${keyB} overlap on face ${a.face}.`);
+            }
+        }));
+    });
+}
+
+// Either a portals list (at least one way in and one way out) or, as in layouts written before
+// departments could have more than two portals, an entryPortal and an exitPortal
+function validateDepartmentPortals(dept, deptPath, portalNames, defaultPortalNames, errors) {
+    if (dept.portalChoice !== undefined && !PORTAL_CHOICES.includes(dept.portalChoice)) {
+        errors.push(`${deptPath}.portalChoice: must be one of ${PORTAL_CHOICES.join(', ')}.`);
+    }
+    if (dept.portals === undefined) {
+        validatePortal(dept.entryPortal, `${deptPath}.entryPortal`, errors);
+        validatePortal(dept.exitPortal, `${deptPath}.exitPortal`, errors);
+        addDefaultPortalNames(dept, defaultPortalNames);
+        return;
+    }
+    if (dept.entryPortal !== undefined || dept.exitPortal !== undefined) {
+        errors.push(`${deptPath}: has both portals and entryPortal / exitPortal; use portals only.`);
+    }
+    if (!Array.isArray(dept.portals) || dept.portals.length === 0) {
+        errors.push(`${deptPath}.portals: must be a non-empty array.`);
+        return;
+    }
+    dept.portals.forEach((portal, k) => {
+        const path = `${deptPath}.portals[${k}]`;
+        validatePortal(portal, path, errors);
+        if (!isObject(portal)) return;
+        if (!PORTAL_DIRECTIONS.includes(portal.direction)) {
+            errors.push(`${path}.direction: must be one of ${PORTAL_DIRECTIONS.join(', ')}.`);
+        }
+        if (portal.name !== undefined) {
+            if (typeof portal.name !== 'string' || portal.name.length === 0) {
+                errors.push(`${path}.name: must be a non-empty string.`);
+            } else if (portalNames.has(portal.name)) {
+                errors.push(`${path}.name: duplicate portal name.`);
+            } else {
+                portalNames.set(portal.name, path);
+            }
+        }
+    });
+    addDefaultPortalNames(dept, defaultPortalNames);
+    const directions = dept.portals.map(portal => isObject(portal) ? portal.direction : null);
+    if (!directions.some(direction => direction === 'entry' || direction === 'both')) {
+        errors.push(`${deptPath}.portals: needs a portal agents can go in by (direction entry or both).`);
+    }
+    if (!directions.some(direction => direction === 'exit' || direction === 'both')) {
+        errors.push(`${deptPath}.portals: needs a portal agents can come out of (direction exit or both).`);
+    }
+}
+
+// The names buildDepartments (sim/departments.js) gives dept's portals that have none of their own
+function addDefaultPortalNames(dept, defaultPortalNames) {
+    const portalConfigs = getPortalConfigs(dept).filter(isObject);
+    portalConfigs.forEach((portalConfig, i) => {
+        if (portalConfig.name === undefined) defaultPortalNames.add(getDefaultPortalName(dept.name, portalConfigs, i));
+    });
+}
+
+function validatePortal(portal, path, errors) {
+    if (!isObject(portal)) {
+        errors.push(`${path}: must be an object.`);
+        return;
+    }
+    if (!PORTAL_FACES.includes(portal.face)) {
+        errors.push(`${path}.face: must be one of ${PORTAL_FACES.join(', ')}.`);
+        return;
+    }
+    if (typeof portal.offset !== 'number' || !Number.isFinite(portal.offset)) {
+        errors.push(`${path}.offset: must be a number.`);
+        return;
+    }
+    if (portal.width !== undefined && (typeof portal.width !== 'number' || !(portal.width > 0))) {
+        errors.push(`${path}.width: must be a positive number.`);
+    }
+    if (portal.capacity !== undefined && (!Number.isInteger(portal.capacity) || portal.capacity < 1)) {
+        errors.push(`${path}.capacity: must be a positive integer.`);
+    }
+    if (portal.flowRate !== undefined && (typeof portal.flowRate !== 'number' || !(portal.flowRate > 0))) {
+        errors.push(`${path}.flowRate: must be a positive number (agents per second).`);
+    }
+}
+
+// Optional fixtures: [{ name?, size: [width, height, depth], position: [x, z], color? }], positions
+// relative to the department centre
+function validateFixtures(dept, deptPath, errors) {
+    if (dept.fixtures === undefined) return;
+    if (!Array.isArray(dept.fixtures)) {
+        errors.push(`${deptPath}.fixtures: must be an array.`);
+        return;
+    }
+    dept.fixtures.forEach((fixture, j) => {
+        const path = `${deptPath}.fixtures[${j}]`;
+        if (!isObject(fixture)) {
+            errors.push(`${path}: must be an object.`);
+            return;
+        }
+        if (fixture.name !== undefined && (typeof fixture.name !== 'string' || fixture.name.length === 0)) {
+            errors.push(`${path}.name: must be a non-empty string.`);
+        }
+        if (!isVec3(fixture.size) || fixture.size.some(v => v <= 0)) {
+            errors.push(`${path}.size: must be [width, height, depth] with positive numbers.`);
+        }
+        if (!isVec2(fixture.position)) {
+            errors.push(`${path}.position: must be [x, z] numbers (relative to the department centre).`);
+        }
+        if (fixture.color !== undefined && (typeof fixture.color !== 'string' || !COLOR_PATTERN.test(fixture.color))) {
+            errors.push(`${path}.color: must be a hex colour like "#aabbcc".`);
+        }
+    });
+}
+
+// Optional product points of interest: [{ name, position: [x, z], browseTime? }], positions
+// relative to the department centre
+function validateProducts(dept, deptPath, errors) {
+    if (dept.products === undefined) return;
+    if (!Array.isArray(dept.products)) {
+        errors.push(`${deptPath}.products: must be an array.`);
+        return;
+    }
+    dept.products.forEach((product, j) => {
+        const path = `${deptPath}.products[${j}]`;
+        if (!isObject(product)) {
+            errors.push(`${path}: must be an object.`);
+            return;
+        }
+        if (typeof product.name !== 'string' || product.name.length === 0) {
+            errors.push(`${path}.name: must be a non-empty string.`);
+        }
+        if (!isVec2(product.position)) {
+            errors.push(`${path}.position: must be [x, z] numbers (relative to the department centre).`);
+        }
+        if (product.browseTime !== undefined) validateDuration(product.browseTime, `${path}.browseTime`, errors);
+    });
+}
+
+// Optional floor (of the layout or of a level, at `path`): { width, depth } (a rectangle centred
+// on the origin) or { outline: [[x, z], ...] } (a polygon, corners in order). Returns the floor
+// the geometry checks use (createFloor() in sim/floor.js): the config's own, the options'
+// default rectangle, or null.
+function validateFloor(config, path, options, errors) {
+    if (config === undefined) {
+        return options.floorWidth && options.floorDepth ? createFloor({ width: options.floorWidth, depth: options.floorDepth }) : null;
+    }
+    if (!isObject(config)) {
+        errors.push(`${path}: must be an object.`);
+        return null;
+    }
+    if (config.outline === undefined) {
+        const before = errors.length;
+        ['width', 'depth'].forEach(key => {
+            if (typeof config[key] !== 'number' || !Number.isFinite(config[key]) || !(config[key] > 0)) {
+                errors.push(`${path}.${key}: must be a positive number (or give the floor an outline instead).`);
+            }
+        });
+        return errors.length === before ? createFloor(config) : null;
+    }
+    if (config.width !== undefined || config.depth !== undefined) {
+        errors.push(`${path}: give either an outline or a width and depth, not both.`);
+        return null;
+    }
+    const outline = config.outline;
+    if (!Array.isArray(outline) || outline.length < 3 || !outline.every(isVec2)) {
+        errors.push(`${path}.outline: must be an array of at least 3 [x, z] corners.`);
+        return null;
+    }
+    const repeated = outline.findIndex((corner, i) => {
+        const next = outline[(i + 1) % outline.length];
+        return corner[0] === next[0] && corner[1] === next[1];
+    });
+    if (repeated >= 0) {
+        errors.push(`${path}.outline[${repeated}]: same point as the next corner.`);
+        return null;
+    }
+    const floor = createFloor(config);
+    if (getSignedArea(floor.outline) === 0) {
+        errors.push(`${path}.outline: corners must enclose an area.`);
+        return null;
+    }
+    if (isSelfIntersecting(floor.outline)) {
+        errors.push(`${path}.outline: edges must not cross or touch each other.`);
+        return null;
+    }
+    return floor;
+}
+
+// Optional store doors: [{ name, edge, offset, width?, type }] on the floor outline. edge is a
+// side of the floor (x+, x-, z+, z-) or the index of an outline edge (see locateDoor in sim/floor.js).
+function validateDoors(layout, floor, options, errors) {
+    if (layout.doors === undefined) return;
+    if (!Array.isArray(layout.doors)) {
+        errors.push('doors: must be an array.');
+        return;
+    }
+    const names = new Set();
+    const placed = []; // Well-formed doors, for the overlap check
+    layout.doors.forEach((door, i) => {
+        const path = `doors[${i}]${door && typeof door.name === 'string' ? ` (${door.name})` : ''}`;
+        if (!isObject(door)) {
+            errors.push(`${path}: must be an object.`);
+            return;
+        }
+        if (typeof door.name !== 'string' || door.name.length === 0) {
+            errors.push(`${path}.name: must be a non-empty string.`);
+        } else if (names.has(door.name)) {
+            errors.push(`${path}.name: duplicate door name.`);
+        } else {
+            names.add(door.name);
+        }
+        if (!DOOR_TYPES.includes(door.type)) {
+            errors.push(`${path}.type: must be one of ${DOOR_TYPES.join(', ')}.`);
+        }
+        if (door.width !== undefined && (typeof door.width !== 'number' || !(door.width > 0))) {
+            errors.push(`${path}.width: must be a positive number.`);
+            return;
+        }
+        if (!FLOOR_SIDES.includes(door.edge) && !(Number.isInteger(door.edge) && door.edge >= 0)) {
+            errors.push(`${path}.edge: must be one of ${FLOOR_SIDES.join(', ')} or the index of a floor outline edge.`);
+            return;
+        }
+        if (typeof door.offset !== 'number' || !Number.isFinite(door.offset)) {
+            errors.push(`${path}.offset: must be a number.`);
+            return;
+        }
+        if (!floor) return;
+
+        // The whole opening has to fit on its outline edge, without overlapping another door
+        const location = locateDoor(floor, door.edge, door.offset);
+        if (!location) {
+            errors.push(Number.isInteger(door.edge)
+                ? `${path}.edge: the floor outline only has ${floor.edges.length} edges (0 to ${floor.edges.length - 1}).`
+                : `${path}.offset: no floor edge runs along side ${door.edge} at offset ${door.offset}.`);
+            return;
+        }
+        const width = door.width ?? options.defaultDoorWidth ?? 0;
+        const { edge, along } = location;
+        if (along - width / 2 < 0 || along + width / 2 > edge.length) {
+            errors.push(`${path}.offset: door (offset ${door.offset}, width ${width}) runs off its floor edge, which is ${edge.length} long.`);
+        }
+        placed.forEach(other => {
+            if (other.edge === edge && Math.abs(other.along - along) < (other.width + width) / 2) {
+                errors.push(`${path}: overlaps ${other.path} on floor edge ${edge.index}.`);
+            }
+        });
+        placed.push({ path, edge, along, width });
+    });
+}
+
+// Optional arrival process: { hourlyRates: [shoppers per hour, ...] }, which needs doors to come in and leave by
+function validateArrivals(layout, errors) {
+    if (layout.arrivals === undefined) return;
+    if (!isObject(layout.arrivals)) {
+        errors.push('arrivals: must be an object.');
+        return;
+    }
+    const rates = layout.arrivals.hourlyRates;
+    if (!Array.isArray(rates) || rates.length === 0 || !rates.every(rate => typeof rate === 'number' && Number.isFinite(rate) && rate >= 0)) {
+        errors.push('arrivals.hourlyRates: must be a non-empty array of shoppers per hour (numbers >= 0).');
+    }
+    const doors = Array.isArray(layout.doors) ? layout.doors.filter(isObject) : [];
+    if (!doors.some(door => door.type === 'entrance' || door.type === 'both')) {
+        errors.push('arrivals: needs at least one door with type "entrance" or "both".');
+    }
+    if (!doors.some(door => door.type === 'exit' || door.type === 'both')) {
+        errors.push('arrivals: needs at least one door with type "exit" or "both", or shoppers could never leave.');
+    }
+}
+
+// Optional checkout zones: [{ name, position: [x, z], queueSide, lanes: [{ express?, serviceTime? }], ... }]
+function validateCheckouts(layout, errors) {
+    if (layout.checkouts === undefined) return;
+    if (!Array.isArray(layout.checkouts)) {
+        errors.push('checkouts: must be an array.');
+        return;
+    }
+    const names = new Set();
+    layout.checkouts.forEach((checkout, i) => {
+        const path = `checkouts[${i}]${checkout && typeof checkout.name === 'string' ? ` (${checkout.name})` : ''}`;
+        if (!isObject(checkout)) {
+            errors.push(`${path}: must be an object.`);
+            return;
+        }
+        if (typeof checkout.name !== 'string' || checkout.name.length === 0) {
+            errors.push(`${path}.name: must be a non-empty string.`);
+        } else if (names.has(checkout.name)) {
+            errors.push(`${path}.name: duplicate checkout name.`);
+        } else {
+            names.add(checkout.name);
+        }
+        if (!isVec2(checkout.position)) {
+            errors.push(`${path}.position: must be [x, z] numbers.`);
+        }
+        if (!PORTAL_FACES.includes(checkout.queueSide)) {
+            errors.push(`${path}.queueSide: must be one of ${PORTAL_FACES.join(', ')}.`);
+        }
+        if (checkout.laneChoice !== undefined && !LANE_CHOICES.includes(checkout.laneChoice)) {
+            errors.push(`${path}.laneChoice: must be one of ${LANE_CHOICES.join(', ')}.`);
+        }
+        if (checkout.laneSpacing !== undefined && (typeof checkout.laneSpacing !== 'number' || !(checkout.laneSpacing > 0))) {
+            errors.push(`${path}.laneSpacing: must be a positive number.`);
+        }
+        if (checkout.expressMaxItems !== undefined && (!Number.isInteger(checkout.expressMaxItems) || checkout.expressMaxItems < 1)) {
+            errors.push(`${path}.expressMaxItems: must be a positive integer.`);
+        }
+        if (checkout.serviceTime !== undefined) validateDuration(checkout.serviceTime, `${path}.serviceTime`, errors);
+        if (!Array.isArray(checkout.lanes) || checkout.lanes.length === 0) {
+            errors.push(`${path}.lanes: must be a non-empty array.`);
+            return;
+        }
+        checkout.lanes.forEach((lane, j) => {
+            if (!isObject(lane)) {
+                errors.push(`${path}.lanes[${j}]: must be an object.`);
+                return;
+            }
+            if (lane.express !== undefined && typeof lane.express !== 'boolean') {
+                errors.push(`${path}.lanes[${j}].express: must be true or false.`);
+            }
+            if (lane.serviceTime !== undefined) validateDuration(lane.serviceTime, `${path}.lanes[${j}].serviceTime`, errors);
+        });
+        if (checkout.lanes.every(lane => isObject(lane) && lane.express === true)) {
+            errors.push(`${path}.lanes: needs at least one lane that isn't express, or big baskets could never pay.`);
+        }
+    });
+    const doors = Array.isArray(layout.doors) ? layout.doors.filter(isObject) : [];
+    if (layout.checkouts.length > 0 && !doors.some(door => door.type === 'exit' || door.type === 'both')) {
+        errors.push('checkouts: shoppers check out at the end of a trip, which needs at least one door with type "exit" or "both".');
+    }
+}
+
+// Optional escalators and elevators between levels: [{ name, type, from: { level, position: [x, z],
+// queueSide? }, to: { ... }, capacity?, travelTime? }]. Escalators only go from `from` to `to`,
+// elevators both ways. Every level has to be reachable from the ground level and back.
+function validateLinks(layout, levels, errors) {
+    if (layout.links === undefined) {
+        if (levels.length > 1) errors.push('links: a layout with several levels needs escalators or elevators between them.');
+        return;
+    }
+    if (!Array.isArray(layout.links)) {
+        errors.push('links: must be an array.');
+        return;
+    }
+    const levelNames = levels.map(level => level.config.name);
+    const names = new Set();
+    const connections = []; // [fromIndex, toIndex] per way a well-formed link goes
+    layout.links.forEach((link, i) => {
+        const path = `links[${i}]${link && typeof link.name === 'string' ? ` (${link.name})` : ''}`;
+        if (!isObject(link)) {
+            errors.push(`${path}: must be an object.`);
+            return;
+        }
+        if (typeof link.name !== 'string' || link.name.length === 0) {
+            errors.push(`${path}.name: must be a non-empty string.`);
+        } else if (names.has(link.name)) {
+            errors.push(`${path}.name: duplicate link name.`);
+        } else {
+            names.add(link.name);
+        }
+        if (!LINK_TYPES.includes(link.type)) {
+            errors.push(`${path}.type: must be one of ${LINK_TYPES.join(', ')}.`);
+        }
+        if (link.capacity !== undefined && (!Number.isInteger(link.capacity) || link.capacity < 1)) {
+            errors.push(`${path}.capacity: must be a positive integer (riders at once).`);
+        }
+        if (link.travelTime !== undefined && (typeof link.travelTime !== 'number' || !(link.travelTime > 0))) {
+            errors.push(`${path}.travelTime: must be a positive number (seconds).`);
+        }
+        const ends = ['from', 'to'].map(key => {
+            const end = link[key];
+            if (!isObject(end)) {
+                errors.push(`${path}.${key}: must be an object.`);
+                return null;
+            }
+            const valid = levelNames.includes(end.level);
+            if (!valid) errors.push(`${path}.${key}.level: no level named ${JSON.stringify(end.level)}.`);
+            if (!isVec2(end.position)) {
+                errors.push(`${path}.${key}.position: must be [x, z] numbers.`);
+                return null;
+            }
+            if (end.queueSide !== undefined && !PORTAL_FACES.includes(end.queueSide)) {
+                errors.push(`${path}.${key}.queueSide: must be one of ${PORTAL_FACES.join(', ')}.`);
+            }
+            return valid ? end : null;
+        });
+        if (!ends[0] || !ends[1]) return;
+        if (ends[0].level === ends[1].level) {
+            errors.push(`${path}: from and to must be on different levels.`);
+            return;
+        }
+        if (link.type === 'escalator' && ends[0].position[0] === ends[1].position[0] && ends[0].position[1] === ends[1].position[1]) {
+            errors.push(`${path}: an escalator's ends can't be one above the other (give them different positions).`);
+        }
+        const from = levelNames.indexOf(ends[0].level), to = levelNames.indexOf(ends[1].level);
+        connections.push([from, to]);
+        if (link.type === 'elevator') connections.push([to, from]);
+    });
+    // Shoppers come in and leave on the ground level, so they have to get from it to every level and back
+    const reachable = (start, forward) => {
+        const seen = new Set([start]);
+        const open = [start];
+        while (open.length > 0) {
+            const current = open.pop();
+            connections.forEach(([from, to]) => {
+                const [a, b] = forward ? [from, to] : [to, from];
+                if (a === current && !seen.has(b)) {
+                    seen.add(b);
+                    open.push(b);
+                }
+            });
+        }
+        return seen;
+    };
+    const up = reachable(0, true), down = reachable(0, false);
+    levels.forEach((level, i) => {
+        if (!up.has(i)) errors.push(`${level.path.slice(0, -1)}: no escalators or elevators lead to it from the ground level.`);
+        else if (!down.has(i)) errors.push(`${level.path.slice(0, -1)}: no escalators or elevators lead back to the ground level from it.`);
+    });
+}
+
+// Optional shopper personas: { mix: { name: weight }, definitions?: { name: { ...persona fields } } }.
+// Mix names are built-in personas (sim/personas.js) or ones defined here; definitions of a
+// built-in name override its fields. departmentNames are the layout's (valid) department names.
+function validatePersonas(layout, departmentNames, errors) {
+    if (layout.personas === undefined) return;
+    const personas = layout.personas;
+    if (!isObject(personas)) {
+        errors.push('personas: must be an object.');
+        return;
+    }
+    const definitions = personas.definitions ?? {};
+    if (!isObject(definitions)) {
+        errors.push('personas.definitions: must be an object of persona name -> fields.');
+        return;
+    }
+    Object.entries(definitions).forEach(([name, persona]) => {
+        const path = `personas.definitions.${name}`;
+        if (!isObject(persona)) {
+            errors.push(`${path}: must be an object.`);
+            return;
+        }
+        Object.keys(persona).filter(key => !PERSONA_FIELDS.includes(key)).forEach(key => {
+            errors.push(`${path}.${key}: unknown field (expected ${PERSONA_FIELDS.join(', ')}).`);
+        });
+        if (persona.listSize !== undefined && !isRange(persona.listSize, Number.isInteger, 1)) {
+            errors.push(`${path}.listSize: must be [min, max] whole numbers with 1 <= min <= max.`);
+        }
+        if (persona.speedFactor !== undefined && !isRange(persona.speedFactor, Number.isFinite, Number.MIN_VALUE)) {
+            errors.push(`${path}.speedFactor: must be [min, max] numbers with 0 < min <= max.`);
+        }
+        if (persona.departments !== undefined) {
+            if (!Array.isArray(persona.departments) || persona.departments.length === 0) {
+                errors.push(`${path}.departments: must be a non-empty array of department names.`);
+            } else {
+                persona.departments.forEach((deptName, j) => {
+                    const first = persona.departments.indexOf(deptName);
+                    if (!departmentNames.has(deptName)) {
+                        errors.push(`${path}.departments: no department named ${JSON.stringify(deptName)}.`);
+                    } else if (first < j) {
+                        errors.push(`${path}.departments[${j}]: ${JSON.stringify(deptName)} is already departments[${first}].`);
+                    }
+                });
+            }
+        }
+        if (persona.visitOrder !== undefined && !VISIT_ORDERS.includes(persona.visitOrder)) {
+            errors.push(`${path}.visitOrder: must be one of ${VISIT_ORDERS.join(', ')}.`);
+        }
+        if (persona.dwellTime !== undefined) validateDuration(persona.dwellTime, `${path}.dwellTime`, errors);
+        if (persona.visitChance !== undefined && (typeof persona.visitChance !== 'number' || !(persona.visitChance > 0))) {
+            errors.push(`${path}.visitChance: must be a positive number (chance per second).`);
+        }
+        if (persona.impulseShare !== undefined && (typeof persona.impulseShare !== 'number' || !(persona.impulseShare >= 0 && persona.impulseShare <= 1))) {
+            errors.push(`${path}.impulseShare: must be a number from 0 to 1.`);
+        }
+        if (persona.patience !== undefined && (typeof persona.patience !== 'number' || !(persona.patience > 0))) {
+            errors.push(`${path}.patience: must be a positive number (seconds).`);
+        }
+    });
+
+    if (!isObject(personas.mix) || Object.keys(personas.mix).length === 0) {
+        errors.push('personas.mix: must be an object of persona name -> weight.');
+        return;
+    }
+    let totalWeight = 0;
+    Object.entries(personas.mix).forEach(([name, weight]) => {
+        if (!(name in BUILT_IN_PERSONAS) && !(name in definitions)) {
+            errors.push(`personas.mix.${name}: unknown persona (built in: ${Object.keys(BUILT_IN_PERSONAS).join(', ')}; others go in personas.definitions).`);
+        }
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+            errors.push(`personas.mix.${name}: weight must be a number >= 0.`);
+        } else {
+            totalWeight += weight;
+        }
+    });
+    if (totalWeight <= 0) errors.push('personas.mix: at least one persona needs a weight above 0.');
+}
+
+// { type: 'normal', mean, sd } | { type: 'exponential', mean } | { type: 'uniform', min, max }, in seconds
+function validateDuration(duration, path, errors) {
+    if (!isObject(duration) || !DURATION_TYPES.includes(duration.type)) {
+        errors.push(`${path}: must be an object with type ${DURATION_TYPES.join(', ')}.`);
+        return;
+    }
+    const isSeconds = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    const valid = {
+        normal: () => isSeconds(duration.mean) && isSeconds(duration.sd),
+        exponential: () => isSeconds(duration.mean) && duration.mean > 0,
+        uniform: () => isSeconds(duration.min) && isSeconds(duration.max) && duration.min <= duration.max,
+    }[duration.type];
+    if (!valid()) {
+        const fields = { normal: 'mean and sd', exponential: 'a positive mean', uniform: 'min <= max' }[duration.type];
+        errors.push(`${path}: a ${duration.type} duration needs ${fields} (seconds >= 0).`);
+    }
+}
+
+//=============================================================================
+// HELPERS
+//=============================================================================
+
+// Length of a face along the axis a portal on it extends (z for x faces, x for z faces)
+export function getFaceLength(size, face) {
+    return (face === 'x+' || face === 'x-') ? size[2] : size[0];
+}
+
+// Direction along a checkout's row of tills, lane 0 first (matches buildCheckouts in sim/checkouts.js)
+function getCheckoutTangent(queueSide) {
+    return { 'x+': [0, 1], 'x-': [0, -1], 'z+': [-1, 0], 'z-': [1, 0] }[queueSide];
+}
+
+// "800×500 floor" for rectangles, "floor outline" otherwise, for error messages
+function describeFloor(floor) {
+    return floor.config.outline ? 'floor outline' : `${floor.width}×${floor.depth} floor`;
+}
+
+function getFootprint(dept) {
+    return {
+        minX: dept.position[0] - dept.size[0] / 2,
+        maxX: dept.position[0] + dept.size[0] / 2,
+        minZ: dept.position[2] - dept.size[2] / 2,
+        maxZ: dept.position[2] + dept.size[2] / 2,
+    };
+}
+
+// [path, portal] for each of a department's portals, path relative to the department
+// ('portals[1]', or 'entryPortal' / 'exitPortal' in older layouts)
+function listPortals(dept) {
+    if (dept.portals !== undefined) return dept.portals.map((portal, k) => [`portals[${k}]`, portal]);
+    return [['entryPortal', dept.entryPortal], ['exitPortal', dept.exitPortal]];
+}
+
+// Fixture footprint relative to its department's centre
+function getFixtureFootprint(fixture) {
+    return {
+        minX: fixture.position[0] - fixture.size[0] / 2,
+        maxX: fixture.position[0] + fixture.size[0] / 2,
+        minZ: fixture.position[1] - fixture.size[2] / 2,
+        maxZ: fixture.position[1] + fixture.size[2] / 2,
+    };
+}
+
+// Square just inside a portal opening (as wide and as deep as the opening, relative to the
+// department centre) that fixtures have to leave free
+function getPortalClearArea(dept, portal, width) {
+    const half = width / 2;
+    const halfWidth = dept.size[0] / 2, halfDepth = dept.size[2] / 2;
+    return {
+        'x+': { minX: halfWidth - width, maxX: halfWidth, minZ: portal.offset - half, maxZ: portal.offset + half },
+        'x-': { minX: -halfWidth, maxX: -halfWidth + width, minZ: portal.offset - half, maxZ: portal.offset + half },
+        'z+': { minX: portal.offset - half, maxX: portal.offset + half, minZ: halfDepth - width, maxZ: halfDepth },
+        'z-': { minX: portal.offset - half, maxX: portal.offset + half, minZ: -halfDepth, maxZ: -halfDepth + width },
+    }[portal.face];
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// [min, max] with isValid(min) and isValid(max) and lowest <= min <= max
+function isRange(value, isValid, lowest) {
+    return Array.isArray(value) && value.length === 2 && value.every(v => typeof v === 'number' && isValid(v)) &&
+        value[0] >= lowest && value[0] <= value[1];
+}
+
+function isVec2(value) {
+    return Array.isArray(value) && value.length === 2 && value.every(v => typeof v === 'number' && Number.isFinite(v));
+}
+
+function isVec3(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(v => typeof v === 'number' && Number.isFinite(v));
+}
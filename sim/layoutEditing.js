@@ -0,0 +1,141 @@
+// Edits to a layout document (the JSON in layouts/) for the in-browser layout editor. Each
+// function changes the layout in place. The editor re-validates (validateLayout) and redraws
+// after every edit, so an edit may leave the layout invalid for a while (two boxes
+// overlapping mid-drag, say) and validation says what's wrong.
+import { getFaceLength } from './layout.js';
+import { PORTAL_DIRECTION, getPortalConfigs } from './departments.js';
+import { getLevelConfigs } from './levels.js';
+
+const MIN_DEPARTMENT_SIZE = 20; // Smallest width, height or depth a resize leaves a department
+const NEW_DEPARTMENT_SIZE = [100, 80, 80];
+const NEW_DEPARTMENT_COLORS = ['#aec6cf', '#98fb98', '#ffe4c4', '#f4a6c6', '#c3b1e1', '#fdfd96', '#ffb347', '#b0e0e6'];
+const OPPOSITE_FACES = { 'x+': 'x-', 'x-': 'x+', 'z+': 'z-', 'z-': 'z+' };
+
+export function cloneLayout(layout) {
+    return JSON.parse(JSON.stringify(layout));
+}
+
+// Nearest multiple of gridSize (no snapping for gridSize <= 0)
+export function snapToGrid(value, gridSize) {
+    return gridSize > 0 ? Math.round(value / gridSize) * gridSize : value;
+}
+
+//=============================================================================
+// DEPARTMENTS
+//=============================================================================
+
+// Appends a department centred on (x, z) to `level` (one of getLevelConfigs(layout)), with an
+// entry and an exit portal on its z+ face. Returns the new department.
+export function addDepartment(layout, level, x, z, portalWidth) {
+    const [width, height, depth] = NEW_DEPARTMENT_SIZE;
+    const dept = {
+        name: getUniqueDepartmentName(layout, 'Department'),
+        size: [width, height, depth],
+        position: [x, height / 2, z],
+        color: NEW_DEPARTMENT_COLORS[level.departments.length % NEW_DEPARTMENT_COLORS.length],
+        portals: [
+            { face: 'z+', offset: -width / 4, direction: PORTAL_DIRECTION.ENTRY },
+            { face: 'z+', offset: width / 4, direction: PORTAL_DIRECTION.EXIT },
+        ],
+    };
+    level.departments.push(dept);
+    fitPortalsToFaces(dept, portalWidth);
+    return dept;
+}
+
+// Removes dept and drops it from persona department lists (lists left empty go too)
+export function removeDepartment(layout, dept) {
+    const departments = getLevelConfigs(layout).find(level => level.departments.includes(dept)).departments;
+    departments.splice(departments.indexOf(dept), 1);
+    forEachPersona(layout, persona => {
+        if (!Array.isArray(persona.departments)) return;
+        persona.departments = persona.departments.filter(name => name !== dept.name);
+        if (persona.departments.length === 0) delete persona.departments;
+    });
+}
+
+// Renames dept, updating persona department lists that refer to it by name
+export function renameDepartment(layout, dept, name) {
+    const oldName = dept.name;
+    dept.name = name;
+    forEachPersona(layout, persona => {
+        if (!Array.isArray(persona.departments)) return;
+        persona.departments = persona.departments.map(deptName => deptName === oldName ? name : deptName);
+    });
+}
+
+export function moveDepartment(dept, x, z) {
+    dept.position[0] = x;
+    dept.position[2] = z;
+}
+
+// New [width, height, depth] (at least MIN_DEPARTMENT_SIZE each), keeping the box on the floor
+// and its portals on their faces
+export function resizeDepartment(dept, size, portalWidth) {
+    dept.size = size.map(value => Math.max(MIN_DEPARTMENT_SIZE, value));
+    dept.position[1] = dept.size[1] / 2;
+    fitPortalsToFaces(dept, portalWidth);
+}
+
+// A name not used by any department on any level: base, or base followed by the first free number
+function getUniqueDepartmentName(layout, base) {
+    const names = new Set(getLevelConfigs(layout).flatMap(level => level.departments.map(dept => dept.name)));
+    for (let i = 1; ; i++) {
+        const name = i === 1 ? base : `${base} ${i}`;
+        if (!names.has(name)) return name;
+    }
+}
+
+function forEachPersona(layout, fn) {
+    if (layout.personas && layout.personas.definitions) Object.values(layout.personas.definitions).forEach(fn);
+}
+
+//=============================================================================
+// PORTALS
+//=============================================================================
+
+// Portals are edited by their index in getPortalConfigs(dept) (sim/departments.js). Editing a
+// department from an older layout first turns its entryPortal / exitPortal into a portals list.
+
+// Appends a portal going `direction` (PORTAL_DIRECTION): on the face opposite the last
+// portal, or on z+ if dept has none
+export function addPortal(dept, direction, portalWidth) {
+    const portals = usePortalList(dept);
+    const last = portals[portals.length - 1];
+    portals.push({ face: last ? OPPOSITE_FACES[last.face] : 'z+', offset: 0, direction });
+    fitPortalsToFaces(dept, portalWidth);
+}
+
+export function removePortal(dept, index) {
+    usePortalList(dept).splice(index, 1);
+}
+
+// Applies { direction?, face?, offset?, width? } to one of dept's portals, sliding it back onto
+// its face if it now runs off the end. A width of null goes back to the default portal width.
+export function updatePortal(dept, index, changes, portalWidth) {
+    const portal = usePortalList(dept)[index];
+    Object.assign(portal, changes);
+    if (portal.width === null) delete portal.width;
+    fitPortalsToFaces(dept, portalWidth);
+}
+
+// dept.portals, made from the entryPortal / exitPortal pair first if dept still has those
+function usePortalList(dept) {
+    if (!dept.portals) {
+        dept.portals = getPortalConfigs(dept);
+        delete dept.entryPortal;
+        delete dept.exitPortal;
+    }
+    return dept.portals;
+}
+
+// Clamps portal offsets so each whole opening fits on its face
+function fitPortalsToFaces(dept, portalWidth) {
+    const portals = dept.portals ?? [dept.entryPortal, dept.exitPortal];
+    portals.forEach(portal => {
+        if (!portal) return;
+        const width = portal.width ?? portalWidth;
+        const maxOffset = Math.max(0, (getFaceLength(dept.size, portal.face) - width) / 2);
+        portal.offset = Math.min(maxOffset, Math.max(-maxOffset, portal.offset));
+    });
+}
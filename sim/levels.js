@@ -0,0 +1,223 @@
+// Levels and the links between them. A layout either has a single floor (its `floor` and
+// `departments`) or a stack of `levels`, ground level first, each with its own floor outline
+// and departments, joined by escalators and elevators (`links`). Store doors and checkouts are
+// on the ground level. Agents change level by walking to a link, joining its line and riding
+// it; this module keeps track of the links, the simulation moves the agents (processLinks in
+// sim/simulation.js).
+import { Vec2 } from './vec2.js';
+import { createFloor } from './floor.js';
+import { buildDepartments } from './departments.js';
+import {
+    FLOOR_WIDTH, FLOOR_DEPTH, LEVEL_HEIGHT, AGENT_MOVE_SPEED,
+    ESCALATOR_CAPACITY, ESCALATOR_TRAVEL_TIME, ELEVATOR_CAPACITY, ELEVATOR_TRAVEL_TIME, ELEVATOR_DOOR_TIME, LINK_RIDER_SPACING,
+} from './constants.js';
+
+export const LINK_TYPE = {
+    ESCALATOR: 'escalator', // One way, from its `from` end to its `to` end; riders step on one after another
+    ELEVATOR: 'elevator',   // Both ways; a car takes up to capacity riders at a time from one end to the other
+};
+
+const QUEUE_DIRECTIONS = { 'x+': [1, 0], 'x-': [-1, 0], 'z+': [0, 1], 'z-': [0, -1] };
+const DEFAULT_LEVEL_NAME = 'Ground';
+
+//=============================================================================
+// CONSTRUCTION
+//=============================================================================
+
+// The layout's levels, ground level first: its `levels`, or for single-floor layouts one level
+// made of the layout's floor and departments
+export function getLevelConfigs(layout) {
+    return layout.levels ?? [{ name: DEFAULT_LEVEL_NAME, floor: layout.floor, departments: layout.departments }];
+}
+
+// Expects a layout that already passed validateLayout(). A level without a floor of its own has
+// the one below it (the ground level falls back to the FLOOR_WIDTH × FLOOR_DEPTH rectangle).
+// Each department gets dept.level.
+export function buildLevels(layout) {
+    let floorConfig = { width: FLOOR_WIDTH, depth: FLOOR_DEPTH };
+    let elevation = 0;
+    return getLevelConfigs(layout).map((config, index) => {
+        floorConfig = config.floor ?? floorConfig;
+        const level = {
+            index: index,
+            name: config.name,
+            height: config.height ?? LEVEL_HEIGHT, // Up to the next level's floor
+            elevation: elevation,                  // Of this level's floor above the ground level's
+            floor: createFloor(floorConfig),
+            departments: buildDepartments(config),
+            navGrid: null,      // Routes around the departments, set up by the simulation
+            wallSegments: null, // Repelling walls for the social force model, set up by the simulation
+            config: config,
+        };
+        level.departments.forEach(dept => { dept.level = level; });
+        elevation += level.height;
+        return level;
+    });
+}
+
+// Expects a layout that already passed validateLayout(); layouts without links get []
+export function buildLinks(layout, levels) {
+    return (layout.links || []).map(config => {
+        const isElevator = config.type === LINK_TYPE.ELEVATOR;
+        const link = {
+            name: config.name,
+            type: config.type,
+            capacity: config.capacity ?? (isElevator ? ELEVATOR_CAPACITY : ESCALATOR_CAPACITY),
+            travelTime: config.travelTime ?? (isElevator ? ELEVATOR_TRAVEL_TIME : ESCALATOR_TRAVEL_TIME),
+            ends: [],
+            riders: [],       // Rides under way (see boardLink), in boarding order
+            nextBoardTime: 0, // Escalators: when the next rider may step on
+            // Elevators: the end the car is at (or on its way to), when it leaves there (null until
+            // someone gets in) and when it gets there (null while it's standing at an end)
+            car: isElevator ? { end: 0, departsAt: null, arrivesAt: null } : null,
+            config: config,
+        };
+        const endConfigs = [config.from, config.to];
+        link.ends = endConfigs.map((endConfig, index) => ({
+            link: link,
+            index: index,
+            level: levels.find(level => level.name === endConfig.level),
+            worldPos: new Vec2(endConfig.position[0], endConfig.position[1]), // Where riders get on and off
+            queueDirection: null,
+            // Line riders wait in (slots laid out by the simulation); escalators only board at their `from` end
+            line: (index === 0 || isElevator) ? { queue: [], slots: [] } : null,
+        }));
+        link.ends.forEach((end, index) => {
+            const side = endConfigs[index].queueSide;
+            end.queueDirection = side ? new Vec2(...QUEUE_DIRECTIONS[side]) : getDefaultQueueDirection(link, end);
+        });
+        return link;
+    });
+}
+
+// Away from the other end for escalators (the line forms behind the foot, riders step off
+// straight ahead at the top), z+ for elevators
+function getDefaultQueueDirection(link, end) {
+    if (link.type === LINK_TYPE.ELEVATOR) return new Vec2(...QUEUE_DIRECTIONS['z+']);
+    return end.worldPos.clone().sub(link.ends[1 - end.index].worldPos).normalize();
+}
+
+//=============================================================================
+// ROUTES
+//=============================================================================
+
+// Boarding end of the first link on the quickest way from position on level `from` to level
+// `to`, or null if there is none. Walks are timed as straight lines at AGENT_MOVE_SPEED, rides
+// by getRideTime().
+export function findLinkRoute(links, from, position, to) {
+    const boardingEnds = links.flatMap(link => link.ends.filter(end => end.line));
+    // Best known time to each boarding end, and the first end boarded on the way there
+    const routes = new Map(boardingEnds
+        .filter(end => end.level === from)
+        .map(end => [end, { time: position.distanceTo(end.worldPos) / AGENT_MOVE_SPEED, first: end }]));
+    const done = new Set();
+    let best = null;
+    for (;;) {
+        let current = null;
+        routes.forEach((route, end) => {
+            if (!done.has(end) && (!current || route.time < routes.get(current).time)) current = end;
+        });
+        if (!current) return best ? best.first : null;
+        done.add(current);
+        const route = routes.get(current);
+        const arrival = current.link.ends[1 - current.index];
+        const arrivalTime = route.time + getRideTime(current.link);
+        if (arrival.level === to) {
+            if (!best || arrivalTime < best.time) best = { time: arrivalTime, first: route.first };
+            continue;
+        }
+        boardingEnds.forEach(end => {
+            if (end.level !== arrival.level || done.has(end)) return;
+            const time = arrivalTime + arrival.worldPos.distanceTo(end.worldPos) / AGENT_MOVE_SPEED;
+            if (!routes.has(end) || time < routes.get(end).time) routes.set(end, { time: time, first: route.first });
+        });
+    }
+}
+
+// Seconds from getting on to getting off, counting an elevator's wait for more riders
+export function getRideTime(link) {
+    return link.travelTime + (link.type === LINK_TYPE.ELEVATOR ? ELEVATOR_DOOR_TIME : 0);
+}
+
+//=============================================================================
+// RIDES
+//=============================================================================
+
+// Room for another rider at `end` now: escalators take one every travelTime / capacity seconds,
+// elevators while the car stands there with its doors open and isn't full
+export function canBoardLink(link, end, time) {
+    if (link.riders.length >= link.capacity) return false;
+    if (link.type === LINK_TYPE.ESCALATOR) return time >= link.nextBoardTime;
+    const car = link.car;
+    return car.end === end.index && car.arrivesAt === null && (car.departsAt === null || time < car.departsAt);
+}
+
+// Agent gets on at `end` (check canBoardLink first). Returns the ride: { agent, link, from, to,
+// boardedAt, departsAt, arrivesAt, offset, startPos }, where departsAt / arrivesAt stay null
+// until the elevator car leaves, offset is the rider's place in the car relative to the end and
+// startPos is left for the simulation (where the rider was when the ride got under way).
+export function boardLink(link, end, agent, time) {
+    const ride = {
+        agent: agent,
+        link: link,
+        from: end,
+        to: link.ends[1 - end.index],
+        boardedAt: time,
+        departsAt: null,
+        arrivesAt: null,
+        offset: new Vec2(),
+        startPos: null,
+    };
+    if (link.type === LINK_TYPE.ESCALATOR) {
+        ride.departsAt = time;
+        ride.arrivesAt = time + link.travelTime;
+        link.nextBoardTime = time + link.travelTime / link.capacity;
+    } else {
+        // Riders stand in a 3 × 3 grid around the middle of the car
+        const place = link.riders.length % 9;
+        ride.offset.set((place % 3 - 1) * LINK_RIDER_SPACING, (Math.floor(place / 3) - 1) * LINK_RIDER_SPACING);
+        const car = link.car;
+        car.departsAt = car.departsAt ?? time + ELEVATOR_DOOR_TIME;
+        if (link.riders.length + 1 >= link.capacity) car.departsAt = time; // Full: off it goes
+    }
+    link.riders.push(ride);
+    return ride;
+}
+
+// Moves the link on to `time` and returns the rides that have arrived (taken off link.riders).
+// An elevator car leaves once its door time is up (or it's full) and, standing empty, goes to
+// the other end if riders are waiting there and none here.
+export function advanceLink(link, time) {
+    if (link.type === LINK_TYPE.ESCALATOR) {
+        const arrived = link.riders.filter(ride => time >= ride.arrivesAt);
+        if (arrived.length > 0) link.riders = link.riders.filter(ride => time < ride.arrivesAt);
+        return arrived;
+    }
+    const car = link.car;
+    if (car.arrivesAt !== null) {
+        if (time < car.arrivesAt) return [];
+        car.arrivesAt = null;
+        car.departsAt = null;
+        const arrived = link.riders;
+        link.riders = [];
+        return arrived;
+    }
+    const isCalled = link.riders.length === 0 &&
+        link.ends[car.end].line.queue.length === 0 && link.ends[1 - car.end].line.queue.length > 0;
+    if ((link.riders.length > 0 && time >= car.departsAt) || isCalled) {
+        car.end = 1 - car.end;
+        car.departsAt = null;
+        car.arrivesAt = time + link.travelTime;
+        link.riders.forEach(ride => {
+            ride.departsAt = time;
+            ride.arrivesAt = car.arrivesAt;
+        });
+    }
+    return [];
+}
+
+// Share of the ride done, 0 (not under way yet) to 1 (there)
+export function getRideProgress(ride, time) {
+    if (ride.departsAt === null) return 0;
+    return Math.min(1, (time - ride.departsAt) / (ride.arrivesAt - ride.departsAt));
+}
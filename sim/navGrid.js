@@ -0,0 +1,233 @@
+// Navigation grid over the floor for routing agents around departments. Cells covered by
+// a department box (grown by a clearance so agents don't scrape walls), off the floor or too
+// close to its edge are blocked; paths are found with 8-connected A* and then shortened by
+// dropping waypoints that have a clear line of sight.
+import { Vec2 } from './vec2.js';
+import { isInsideFloor } from './floor.js';
+
+const SQRT2 = Math.SQRT2;
+const NEIGHBOR_OFFSETS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, SQRT2], [1, -1, SQRT2], [-1, 1, SQRT2], [-1, -1, SQRT2],
+];
+
+export class NavGrid {
+    // departments: the boxes ({ center, halfSize }) to route around (fixtures, for the grid
+    // inside a department). options: { floor, cellSize, clearance }; the grid covers the
+    // bounding box of the floor outline (sim/floor.js), with cells off the floor blocked
+    constructor(departments, options) {
+        const { bounds } = options.floor;
+        this.cellSize = options.cellSize;
+        this.clearance = options.clearance;
+        this.originX = bounds.minX;
+        this.originZ = bounds.minZ;
+        this.cols = Math.ceil(options.floor.width / this.cellSize);
+        this.rows = Math.ceil(options.floor.depth / this.cellSize);
+        this.blocked = new Uint8Array(this.cols * this.rows);
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const center = this.cellCenter(col, row);
+                const offFloor = !isInsideFloor(options.floor, center, this.clearance);
+                if (offFloor || departments.some(dept => this.isInsideDepartment(dept, center, this.clearance))) {
+                    this.blocked[row * this.cols + col] = 1;
+                }
+            }
+        }
+    }
+
+    // Waypoints from start to goal (goal included, start excluded), or null if unreachable
+    findPath(start, goal) {
+        const startCell = this.nearestFreeCell(this.cellOf(start));
+        const goalCell = this.nearestFreeCell(this.cellOf(goal));
+        if (startCell === null || goalCell === null) return null;
+        if (startCell === goalCell || this.hasLineOfSight(start, goal)) return [goal.clone()];
+
+        const cellPath = this.searchCells(startCell, goalCell);
+        if (!cellPath) return null;
+
+        const points = cellPath.map(index => this.cellCenter(index % this.cols, Math.floor(index / this.cols)));
+        points[points.length - 1] = goal.clone();
+        return this.smoothPath(start, points);
+    }
+
+    //-------------------------------------------------------------------------
+    // A* over cell indices
+    //-------------------------------------------------------------------------
+
+    searchCells(startCell, goalCell) {
+        const cellCount = this.cols * this.rows;
+        const gScore = new Float32Array(cellCount).fill(Infinity);
+        const cameFrom = new Int32Array(cellCount).fill(-1);
+        const closed = new Uint8Array(cellCount);
+        const open = new MinHeap();
+        const goalCol = goalCell % this.cols, goalRow = Math.floor(goalCell / this.cols);
+        const heuristic = index => {
+            const dc = Math.abs(index % this.cols - goalCol), dr = Math.abs(Math.floor(index / this.cols) - goalRow);
+            return (dc + dr) + (SQRT2 - 2) * Math.min(dc, dr); // Octile distance
+        };
+
+        gScore[startCell] = 0;
+        open.push(startCell, heuristic(startCell));
+
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === goalCell) {
+                const path = [];
+                for (let index = goalCell; index !== startCell; index = cameFrom[index]) path.push(index);
+                return path.reverse();
+            }
+            if (closed[current]) continue;
+            closed[current] = 1;
+
+            const col = current % this.cols, row = Math.floor(current / this.cols);
+            for (const [dc, dr, cost] of NEIGHBOR_OFFSETS) {
+                const nc = col + dc, nr = row + dr;
+                if (!this.isFree(nc, nr)) continue;
+                // No corner cutting past blocked cells on diagonals
+                if (dc !== 0 && dr !== 0 && (!this.isFree(col + dc, row) || !this.isFree(col, row + dr))) continue;
+
+                const neighbor = nr * this.cols + nc;
+                const tentative = gScore[current] + cost;
+                if (tentative < gScore[neighbor]) {
+                    gScore[neighbor] = tentative;
+                    cameFrom[neighbor] = current;
+                    open.push(neighbor, tentative + heuristic(neighbor));
+                }
+            }
+        }
+        return null;
+    }
+
+    // Drops every waypoint the agent can skip with a straight, unblocked walk
+    smoothPath(start, points) {
+        const smoothed = [];
+        let from = start;
+        let i = 0;
+        while (i < points.length) {
+            let farthest = i;
+            for (let j = points.length - 1; j > i; j--) {
+                if (this.hasLineOfSight(from, points[j])) {
+                    farthest = j;
+                    break;
+                }
+            }
+            smoothed.push(points[farthest]);
+            from = points[farthest];
+            i = farthest + 1;
+        }
+        return smoothed;
+    }
+
+    //-------------------------------------------------------------------------
+    // Cell helpers
+    //-------------------------------------------------------------------------
+
+    // True if the straight segment only crosses free cells (sampled at quarter-cell steps)
+    hasLineOfSight(a, b) {
+        const distance = a.distanceTo(b);
+        const steps = Math.max(1, Math.ceil(distance / (this.cellSize * 0.25)));
+        for (let s = 0; s <= steps; s++) {
+            const t = s / steps;
+            const cell = this.cellOf(new Vec2(a.x + (b.x - a.x) * t, a.z + (b.z - a.z) * t));
+            if (this.blocked[cell]) return false;
+        }
+        return true;
+    }
+
+    // Closest unblocked cell by ring search, or null if the grid has none nearby
+    nearestFreeCell(index) {
+        if (!this.blocked[index]) return index;
+        const col = index % this.cols, row = Math.floor(index / this.cols);
+        const maxRadius = Math.max(this.cols, this.rows);
+        for (let radius = 1; radius < maxRadius; radius++) {
+            let best = null, bestDistSq = Infinity;
+            for (let dr = -radius; dr <= radius; dr++) {
+                for (let dc = -radius; dc <= radius; dc++) {
+                    if (Math.max(Math.abs(dc), Math.abs(dr)) !== radius) continue; // Ring only
+                    if (!this.isFree(col + dc, row + dr)) continue;
+                    const distSq = dc * dc + dr * dr;
+                    if (distSq < bestDistSq) {
+                        bestDistSq = distSq;
+                        best = (row + dr) * this.cols + col + dc;
+                    }
+                }
+            }
+            if (best !== null) return best;
+        }
+        return null;
+    }
+
+    isFree(col, row) {
+        return col >= 0 && row >= 0 && col < this.cols && row < this.rows && !this.blocked[row * this.cols + col];
+    }
+
+    isBlockedAt(point) {
+        return this.blocked[this.cellOf(point)] === 1;
+    }
+
+    cellOf(point) {
+        const col = Math.min(this.cols - 1, Math.max(0, Math.floor((point.x - this.originX) / this.cellSize)));
+        const row = Math.min(this.rows - 1, Math.max(0, Math.floor((point.z - this.originZ) / this.cellSize)));
+        return row * this.cols + col;
+    }
+
+    cellCenter(col, row) {
+        return new Vec2(this.originX + (col + 0.5) * this.cellSize, this.originZ + (row + 0.5) * this.cellSize);
+    }
+
+    isInsideDepartment(dept, point, margin = 0) {
+        return Math.abs(point.x - dept.center.x) < dept.halfSize.x + margin &&
+            Math.abs(point.z - dept.center.z) < dept.halfSize.z + margin;
+    }
+}
+
+// Binary min-heap of (item, priority) pairs for the A* open set
+class MinHeap {
+    constructor() {
+        this.items = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item, priority) {
+        this.items.push(item);
+        this.priorities.push(priority);
+        let i = this.items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.priorities[parent] <= this.priorities[i]) break;
+            this.swap(i, parent);
+            i = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const lastItem = this.items.pop();
+        const lastPriority = this.priorities.pop();
+        if (this.items.length > 0) {
+            this.items[0] = lastItem;
+            this.priorities[0] = lastPriority;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1, right = left + 1;
+                let smallest = i;
+                if (left < this.items.length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+                if (right < this.items.length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+                if (smallest === i) break;
+                this.swap(i, smallest);
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    swap(a, b) {
+        [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+        [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+    }
+}
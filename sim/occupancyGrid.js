@@ -0,0 +1,89 @@
+// Time-weighted occupancy of the floor for heatmaps: seconds of agent presence per grid
+// cell, kept separately for every agent state so views can be filtered after the fact.
+// Cumulative totals cover the whole run; the rolling window keeps the last windowSeconds
+// in a ring of time buckets.
+import { AGENT_STATE } from './constants.js';
+
+export const OCCUPANCY_MODE = {
+    CUMULATIVE: 'cumulative',
+    ROLLING: 'rolling',
+};
+
+const STATES = Object.values(AGENT_STATE);
+
+export class OccupancyGrid {
+    // options: { floor, cellSize, windowSeconds, bucketCount, level? }; the grid covers the bounding
+    // box of the floor outline (sim/floor.js). With a level (from sim.levels) it only counts agents
+    // on that level.
+    constructor(options) {
+        this.level = options.level ?? null;
+        this.cellSize = options.cellSize;
+        this.originX = options.floor.bounds.minX;
+        this.originZ = options.floor.bounds.minZ;
+        this.cols = Math.ceil(options.floor.width / this.cellSize);
+        this.rows = Math.ceil(options.floor.depth / this.cellSize);
+        this.cellCount = this.cols * this.rows;
+        this.bucketDuration = options.windowSeconds / options.bucketCount;
+
+        // Per state, cellCount values each: index = stateIndex * cellCount + cell
+        this.cumulative = new Float32Array(STATES.length * this.cellCount);
+        this.buckets = Array.from({ length: options.bucketCount }, () => new Float32Array(STATES.length * this.cellCount));
+        this.bucketIndex = 0;
+        this.bucketElapsed = 0;
+        this.recordedTime = 0;
+    }
+
+    // Adds delta seconds of presence for every agent at its current position
+    record(agents, delta) {
+        this.bucketElapsed += delta;
+        if (this.bucketElapsed >= this.bucketDuration) {
+            // Oldest bucket drops out of the window and starts collecting the newest slice
+            this.bucketIndex = (this.bucketIndex + 1) % this.buckets.length;
+            this.buckets[this.bucketIndex].fill(0);
+            this.bucketElapsed -= this.bucketDuration;
+        }
+        this.recordedTime += delta;
+
+        const bucket = this.buckets[this.bucketIndex];
+        for (const agent of agents) {
+            if (this.level && agent.level !== this.level) continue;
+            const cell = this.cellOf(agent.position.x, agent.position.z);
+            const stateIndex = STATES.indexOf(agent.state);
+            if (cell < 0 || stateIndex < 0) continue;
+            const index = stateIndex * this.cellCount + cell;
+            this.cumulative[index] += delta;
+            bucket[index] += delta;
+        }
+    }
+
+    // Seconds of presence per cell (row-major, row 0 at -z) for mode (OCCUPANCY_MODE), counting
+    // only agents in `state`, or all agents when state is null. Writes into target if given.
+    getValues(mode, state = null, target = new Float32Array(this.cellCount)) {
+        target.fill(0);
+        const sources = mode === OCCUPANCY_MODE.ROLLING ? this.buckets : [this.cumulative];
+        const stateIndices = state === null ? STATES.map((_, i) => i) : [STATES.indexOf(state)].filter(i => i >= 0);
+        for (const source of sources) {
+            for (const stateIndex of stateIndices) {
+                const offset = stateIndex * this.cellCount;
+                for (let cell = 0; cell < this.cellCount; cell++) target[cell] += source[offset + cell];
+            }
+        }
+        return target;
+    }
+
+    clear() {
+        this.cumulative.fill(0);
+        this.buckets.forEach(bucket => bucket.fill(0));
+        this.bucketIndex = 0;
+        this.bucketElapsed = 0;
+        this.recordedTime = 0;
+    }
+
+    // Cell index for a floor position, or -1 off the floor
+    cellOf(x, z) {
+        const col = Math.floor((x - this.originX) / this.cellSize);
+        const row = Math.floor((z - this.originZ) / this.cellSize);
+        if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return -1;
+        return row * this.cols + col;
+    }
+}
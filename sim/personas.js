@@ -0,0 +1,138 @@
+// Shopper personas. Each agent in a layout with a `personas` section gets one, drawn from
+// the layout's mix, and works through a shopping list of departments instead of picking
+// departments at random: how long the list is, the order it is walked in, how long the
+// shopper stays in each department and how fast it walks all come from the persona.
+// Layouts can tweak the built-in personas or define their own under personas.definitions.
+import { sampleDistribution } from './random.js';
+import { DEPT_VISIT_CHANCE, MIN_TIME_IN_DEPT, MAX_TIME_IN_DEPT, TRIP_MIN_VISITS, TRIP_MAX_VISITS, MIN_DWELL_TIME, ENTRY_PATIENCE } from './constants.js';
+
+export const VISIT_ORDER = {
+    NEAREST: 'nearest', // Closest department left on the list next
+    RANDOM: 'random',   // Any department left on the list
+    LISTED: 'listed',   // In the order of the persona's departments (layout order if it has none)
+};
+
+// Fields a persona doesn't set: the same shopper as in layouts without personas
+const PERSONA_DEFAULTS = {
+    listSize: [TRIP_MIN_VISITS, TRIP_MAX_VISITS], // Departments on the list (uniform, capped at the departments available)
+    departments: null,                            // Names the list is drawn from; null = every department
+    visitOrder: VISIT_ORDER.RANDOM,
+    dwellTime: { type: 'uniform', min: MIN_TIME_IN_DEPT, max: MAX_TIME_IN_DEPT }, // Seconds per department
+    speedFactor: [1, 1],                          // Walking speed multiplier (uniform)
+    visitChance: DEPT_VISIT_CHANCE,               // Chance per second for a wandering shopper to set off for the next department
+    impulseShare: 0,                              // Share of visits to a department that isn't on the list
+    patience: ENTRY_PATIENCE,                     // Seconds queued for a full department before trying another
+};
+
+export const BUILT_IN_PERSONAS = {
+    'quick-trip': {
+        listSize: [1, 2],
+        visitOrder: VISIT_ORDER.NEAREST,
+        dwellTime: { type: 'uniform', min: 4, max: 10 },
+        speedFactor: [1.1, 1.3],
+        visitChance: 0.5,
+        patience: 15,
+    },
+    'weekly-shop': {
+        listSize: [3, 6],
+        visitOrder: VISIT_ORDER.LISTED,
+        dwellTime: { type: 'normal', mean: 25, sd: 8 },
+        speedFactor: [0.85, 1.05],
+        visitChance: 0.2,
+        impulseShare: 0.1,
+        patience: 90,
+    },
+    'browser': {
+        listSize: [1, 3],
+        visitOrder: VISIT_ORDER.RANDOM,
+        dwellTime: { type: 'exponential', mean: 30 },
+        speedFactor: [0.6, 0.85],
+        visitChance: 0.03,
+        impulseShare: 0.5,
+    },
+};
+
+//=============================================================================
+// CONSTRUCTION
+//=============================================================================
+
+// { personas: [{ name, weight, ...fields }] } for the layout's mix, or null if the layout
+// has no personas section. Expects a layout that already passed validateLayout().
+export function buildPersonaMix(layout, departments) {
+    if (!layout.personas) return null;
+    const definitions = layout.personas.definitions || {};
+    const personas = Object.entries(layout.personas.mix)
+        .filter(([, weight]) => weight > 0)
+        .map(([name, weight]) => {
+            const persona = { ...PERSONA_DEFAULTS, ...BUILT_IN_PERSONAS[name], ...definitions[name], name, weight };
+            // Department names to department objects, in the order the persona lists them
+            persona.departments = persona.departments
+                ? persona.departments.map(deptName => departments.find(dept => dept.name === deptName))
+                : departments.slice();
+            return persona;
+        });
+    return { personas, totalWeight: personas.reduce((sum, persona) => sum + persona.weight, 0) };
+}
+
+//=============================================================================
+// SHOPPERS
+//=============================================================================
+
+// Persona for a new shopper, weighted by the mix
+export function pickPersona(mix, random) {
+    let roll = random.next() * mix.totalWeight;
+    for (const persona of mix.personas) {
+        roll -= persona.weight;
+        if (roll < 0) return persona;
+    }
+    return mix.personas[mix.personas.length - 1];
+}
+
+export function sampleSpeedFactor(persona, random) {
+    return random.float(persona.speedFactor[0], persona.speedFactor[1]);
+}
+
+// A fresh shopping list: listSize departments drawn from the persona's, kept in the persona's order
+export function createShoppingList(persona, random) {
+    const [minSize, maxSize] = persona.listSize;
+    const size = Math.min(persona.departments.length, minSize + random.int(maxSize - minSize + 1));
+    const pool = persona.departments.slice();
+    const chosen = new Set();
+    while (chosen.size < size) {
+        chosen.add(pool.splice(random.int(pool.length), 1)[0]);
+    }
+    return persona.departments.filter(dept => chosen.has(dept));
+}
+
+// Department the shopper sets off for next: usually the next one on its list by the persona's
+// visitOrder, sometimes (impulseShare) one that isn't on it. Call with a non-empty list.
+// `level` is the shopper's: the nearest department is looked for there first.
+export function pickNextDepartment(persona, list, allDepartments, position, level, random) {
+    if (persona.impulseShare > 0 && random.next() < persona.impulseShare) {
+        const offList = allDepartments.filter(dept => !list.includes(dept));
+        if (offList.length > 0) return random.pick(offList);
+    }
+    switch (persona.visitOrder) {
+        case VISIT_ORDER.NEAREST: {
+            const sameLevel = list.filter(dept => dept.level === level);
+            let best = list[0], bestDistSq = Infinity;
+            (sameLevel.length > 0 ? sameLevel : list).forEach(dept => {
+                const distSq = Math.min(...dept.entryPortals.map(portal => portal.worldPos.distanceToSquared(position)));
+                if (distSq < bestDistSq) {
+                    bestDistSq = distSq;
+                    best = dept;
+                }
+            });
+            return best;
+        }
+        case VISIT_ORDER.RANDOM:
+            return random.pick(list);
+        default:
+            return list[0];
+    }
+}
+
+// Seconds the shopper spends in a department, at least MIN_DWELL_TIME
+export function sampleDwellTime(persona, random) {
+    return Math.max(MIN_DWELL_TIME, sampleDistribution(persona.dwellTime, random));
+}
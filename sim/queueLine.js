@@ -0,0 +1,50 @@
+// Queue lines: the ordered slots agents wait in while a portal is busy. A line starts just
+// in front of the opening and runs straight out along the portal's normal; where the next
+// slot would be blocked (a wall, another department, the floor edge) it turns to whichever
+// side leaves more room. Agents walk to their slot and move up as the head goes through.
+import { Vec2 } from './vec2.js';
+
+const LOOKAHEAD_SLOTS = 4; // Slots looked ahead when choosing which way to turn
+
+// Up to maxSlots points `spacing` apart, the first at start, heading along direction.
+// isFree(point) says whether an agent may stand at point. The line stops early if it is boxed in.
+export function buildQueueLine(start, direction, spacing, maxSlots, isFree) {
+    const slots = [start.clone()];
+    let heading = direction.clone().normalize();
+    while (slots.length < maxSlots) {
+        const last = slots[slots.length - 1];
+        if (!isStepFree(slots, last, heading, spacing, isFree)) {
+            const left = new Vec2(-heading.z, heading.x);
+            const right = new Vec2(heading.z, -heading.x);
+            const leftRoom = countFreeSteps(slots, last, left, spacing, isFree);
+            const rightRoom = countFreeSteps(slots, last, right, spacing, isFree);
+            if (leftRoom === 0 && rightRoom === 0) break;
+            heading = leftRoom >= rightRoom ? left : right;
+        }
+        slots.push(last.clone().addScaledVector(heading, spacing));
+    }
+    return slots;
+}
+
+// Free to step from `from` along heading: the step's midpoint and end are free and the end
+// doesn't land on the line itself
+function isStepFree(slots, from, heading, spacing, isFree) {
+    const end = from.clone().addScaledVector(heading, spacing);
+    const middle = from.clone().addScaledVector(heading, spacing / 2);
+    if (!isFree(middle) || !isFree(end)) return false;
+    const minDistSq = spacing * spacing * 0.5;
+    return slots.every(slot => slot.distanceToSquared(end) >= minDistSq);
+}
+
+// Free steps in a straight line from `from` along heading, up to LOOKAHEAD_SLOTS
+function countFreeSteps(slots, from, heading, spacing, isFree) {
+    const line = slots.slice();
+    let point = from;
+    let steps = 0;
+    while (steps < LOOKAHEAD_SLOTS && isStepFree(line, point, heading, spacing, isFree)) {
+        point = point.clone().addScaledVector(heading, spacing);
+        line.push(point);
+        steps++;
+    }
+    return steps;
+}
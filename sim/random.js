@@ -0,0 +1,57 @@
+// Seedable pseudo-random number generator (mulberry32). Every stochastic choice in
+// the simulation draws from one of these so runs can be reproduced from their seed.
+
+export const DEFAULT_SEED = 1;
+
+// Duration distributions used by layouts (checkout service times, persona dwell times)
+export const DISTRIBUTION_TYPE = {
+    NORMAL: 'normal',           // { mean, sd }
+    EXPONENTIAL: 'exponential', // { mean }
+    UNIFORM: 'uniform',         // { min, max }
+};
+
+export function createRandom(seed = DEFAULT_SEED) {
+    let state = normalizeSeed(seed);
+
+    // Uniform float in [0, 1)
+    function next() {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    return {
+        seed: normalizeSeed(seed),
+        next,
+        // Same semantics as THREE.MathUtils.randFloat / randFloatSpread
+        float: (low, high) => low + next() * (high - low),
+        floatSpread: range => range * (0.5 - next()),
+        // Integer in [0, n)
+        int: n => Math.floor(next() * n),
+        pick: list => list[Math.floor(next() * list.length)],
+    };
+}
+
+// One draw from distribution (see DISTRIBUTION_TYPE) using random; may be negative for wide normals
+export function sampleDistribution(distribution, random) {
+    switch (distribution.type) {
+        case DISTRIBUTION_TYPE.NORMAL: {
+            // Box-Muller
+            const u = 1 - random.next(), v = random.next();
+            return distribution.mean + distribution.sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        }
+        case DISTRIBUTION_TYPE.EXPONENTIAL:
+            return -Math.log(1 - random.next()) * distribution.mean;
+        case DISTRIBUTION_TYPE.UNIFORM:
+            return random.float(distribution.min, distribution.max);
+    }
+    return NaN;
+}
+
+// Seeds are unsigned 32-bit integers; anything else is truncated/wrapped into that range
+export function normalizeSeed(seed) {
+    const value = Number(seed);
+    return Number.isFinite(value) ? (Math.trunc(value) >>> 0) : DEFAULT_SEED;
+}
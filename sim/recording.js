@@ -0,0 +1,238 @@
+// Step-by-step run recording for replay. Every recorded step stores each agent's position,
+// level and elevation, heading, state, target department and animation action (walk/idle) in quantized typed
+// arrays, so a jam at a portal can be scrubbed back to and watched again. Agents only turn
+// about the vertical axis, so the heading fully determines the rendered quaternion.
+// Recordings serialize to a compact binary file (little-endian typed arrays behind a JSON header).
+import { AGENT_STATE, REPLAY_POSITION_RESOLUTION, REPLAY_MAX_ROWS } from './constants.js';
+import { isAgentMoving } from './simulation.js';
+
+const STATES = Object.values(AGENT_STATE);
+const FILE_MAGIC = 0x43525243; // 'CRRC'
+const FILE_VERSION = 3; // 2 added levels and elevations, 3 widened positions to Int32; older files still load
+const WIDE_POSITIONS_VERSION = 3;
+const INITIAL_FRAME_CAPACITY = 1024;
+const INITIAL_ROW_CAPACITY = 16384;
+const HEADING_SCALE = 32767 / Math.PI;
+const MAX_POSITION = 2147483647 * REPLAY_POSITION_RESOLUTION; // Int32 range of a quantized coordinate
+
+// Per-row arrays, in file order, with the file version each first appeared in and, for positions,
+// the narrower type files before WIDE_POSITIONS_VERSION store them as (Int16 only reaches ±1024 units)
+const ROW_ARRAYS = [
+    ['ids', Uint32Array, 1],
+    ['xs', Int32Array, 1, Int16Array],
+    ['zs', Int32Array, 1, Int16Array],
+    ['headings', Int16Array, 1],
+    ['states', Uint8Array, 1],
+    ['moving', Uint8Array, 1],                 // Animation action: 1 = walk, 0 = idle
+    ['targets', Int16Array, 1],                // Index into departmentNames, -1 for none
+    ['levels', Uint8Array, 2],                 // Level index (sim.levels)
+    ['elevations', Int32Array, 2, Int16Array], // Quantized like xs / zs
+];
+
+//=============================================================================
+// RECORDING
+//=============================================================================
+
+export class RunRecording {
+    constructor() {
+        this.clear();
+    }
+
+    // header: { layoutId, layout, seed, agentCount, steeringModel, timeStep } - whatever the
+    // caller needs to rebuild the scene; departmentNames is filled in by start()
+    clear(header = {}) {
+        this.header = { ...header, departmentNames: [] };
+        this.frameCount = 0;
+        this.rowCount = 0;
+        this.isFull = false;
+        this.frameCapacity = INITIAL_FRAME_CAPACITY;
+        this.frameStarts = new Uint32Array(this.frameCapacity + 1); // Frame i owns rows [frameStarts[i], frameStarts[i + 1])
+        this.frameTimes = new Float64Array(this.frameCapacity);
+        this.rowCapacity = INITIAL_ROW_CAPACITY;
+        ROW_ARRAYS.forEach(([key, Type]) => { this[key] = new Type(this.rowCapacity); });
+    }
+
+    // Begins a new recording of sim; records its current state as frame 0
+    start(sim, header = {}) {
+        this.clear(header);
+        this.header.departmentNames = sim.departments.map(dept => dept.name);
+        this.record(sim);
+    }
+
+    get duration() {
+        return this.frameCount > 0 ? this.frameTimes[this.frameCount - 1] : 0;
+    }
+
+    // Call after every step. Returns false once REPLAY_MAX_ROWS is reached and recording stops.
+    record(sim) {
+        if (this.isFull) return false;
+        if (this.rowCount + sim.agents.length > REPLAY_MAX_ROWS) {
+            this.isFull = true;
+            sim.log(`Recording stopped at ${this.duration.toFixed(1)} s: reached ${REPLAY_MAX_ROWS} agent rows.`);
+            return false;
+        }
+        this.ensureCapacity(this.frameCount + 1, this.rowCount + sim.agents.length);
+
+        const departmentIndex = new Map(sim.departments.map((dept, i) => [dept, i]));
+        this.frameTimes[this.frameCount] = sim.time;
+        sim.agents.forEach(agent => {
+            const row = this.rowCount++;
+            this.ids[row] = agent.id;
+            this.xs[row] = quantizePosition(agent.position.x);
+            this.zs[row] = quantizePosition(agent.position.z);
+            this.levels[row] = agent.level.index;
+            this.elevations[row] = quantizePosition(agent.elevation);
+            this.headings[row] = Math.round(wrapAngle(agent.heading) * HEADING_SCALE);
+            this.states[row] = STATES.indexOf(agent.state);
+            this.moving[row] = isAgentMoving(agent) ? 1 : 0;
+            this.targets[row] = agent.targetDepartment ? departmentIndex.get(agent.targetDepartment) : -1;
+        });
+        this.frameCount++;
+        this.frameStarts[this.frameCount] = this.rowCount;
+        return true;
+    }
+
+    ensureCapacity(frames, rows) {
+        if (frames > this.frameCapacity) {
+            while (this.frameCapacity < frames) this.frameCapacity *= 2;
+            this.frameStarts = grow(this.frameStarts, this.frameCapacity + 1);
+            this.frameTimes = grow(this.frameTimes, this.frameCapacity);
+        }
+        if (rows > this.rowCapacity) {
+            while (this.rowCapacity < rows) this.rowCapacity *= 2;
+            ROW_ARRAYS.forEach(([key]) => { this[key] = grow(this[key], this.rowCapacity); });
+        }
+    }
+
+    //-------------------------------------------------------------------------
+    // Playback
+    //-------------------------------------------------------------------------
+
+    // Last frame recorded at or before time (binary search)
+    frameAt(time) {
+        let low = 0, high = this.frameCount - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.frameTimes[mid] <= time) low = mid;
+            else high = mid - 1;
+        }
+        return Math.max(0, low);
+    }
+
+    // Same shape as getSnapshot() in simulation.js, so the renderer can't tell replay from live.
+    // alpha interpolates towards the next frame for agents present in both.
+    getSnapshot(frame, alpha = 0) {
+        const start = this.frameStarts[frame], end = this.frameStarts[frame + 1];
+        const hasNext = alpha > 0 && frame + 1 < this.frameCount;
+        const nextStart = hasNext ? this.frameStarts[frame + 1] : 0;
+        const nextEnd = hasNext ? this.frameStarts[frame + 2] : 0;
+        const names = this.header.departmentNames;
+
+        const agents = [];
+        for (let row = start; row < end; row++) {
+            let x = this.xs[row] * REPLAY_POSITION_RESOLUTION;
+            let z = this.zs[row] * REPLAY_POSITION_RESOLUTION;
+            let elevation = this.elevations[row] * REPLAY_POSITION_RESOLUTION;
+            let heading = this.headings[row] / HEADING_SCALE;
+            // Agents keep their order between steps unless some were added or removed
+            const next = nextStart + (row - start);
+            if (hasNext && next < nextEnd && this.ids[next] === this.ids[row]) {
+                x += (this.xs[next] * REPLAY_POSITION_RESOLUTION - x) * alpha;
+                z += (this.zs[next] * REPLAY_POSITION_RESOLUTION - z) * alpha;
+                elevation += (this.elevations[next] * REPLAY_POSITION_RESOLUTION - elevation) * alpha;
+                heading += wrapAngle(this.headings[next] / HEADING_SCALE - heading) * alpha;
+            }
+            agents.push({
+                id: this.ids[row],
+                x: x,
+                z: z,
+                heading: heading,
+                level: this.levels[row],
+                elevation: elevation,
+                state: STATES[this.states[row]],
+                isMoving: this.moving[row] === 1,
+                targetDepartment: this.targets[row] >= 0 ? names[this.targets[row]] : null,
+            });
+        }
+        const time = hasNext
+            ? this.frameTimes[frame] + (this.frameTimes[frame + 1] - this.frameTimes[frame]) * alpha
+            : this.frameTimes[frame];
+        return { time: time, agents: agents };
+    }
+
+    //-------------------------------------------------------------------------
+    // Files
+    //-------------------------------------------------------------------------
+
+    // Binary file contents: magic, version, header length, JSON header, then the arrays
+    serialize() {
+        const header = new TextEncoder().encode(JSON.stringify({
+            ...this.header, frameCount: this.frameCount, rowCount: this.rowCount,
+        }));
+        const sections = [
+            new Uint32Array([FILE_MAGIC, FILE_VERSION, header.byteLength]),
+            header,
+            this.frameStarts.subarray(0, this.frameCount + 1),
+            this.frameTimes.subarray(0, this.frameCount),
+            ...ROW_ARRAYS.map(([key]) => this[key].subarray(0, this.rowCount)),
+        ];
+        const bytes = new Uint8Array(sections.reduce((sum, section) => sum + section.byteLength, 0));
+        let offset = 0;
+        sections.forEach(section => {
+            bytes.set(new Uint8Array(section.buffer, section.byteOffset, section.byteLength), offset);
+            offset += section.byteLength;
+        });
+        return bytes.buffer;
+    }
+
+    // Throws an Error with a readable message if buffer isn't a recording this version can read
+    static deserialize(buffer) {
+        if (buffer.byteLength < 12) throw new Error('Not a recording file (too short).');
+        const [magic, version, headerLength] = new Uint32Array(buffer.slice(0, 12));
+        if (magic !== FILE_MAGIC) throw new Error('Not a recording file.');
+        if (version < 1 || version > FILE_VERSION) {
+            throw new Error(`Unsupported recording version ${version} (expected ${FILE_VERSION} or older).`);
+        }
+
+        let offset = 12;
+        const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, offset, headerLength)));
+        offset += headerLength;
+        // slice() copies each section into its own buffer, which keeps typed array alignment
+        const read = (Type, length) => {
+            const byteLength = length * Type.BYTES_PER_ELEMENT;
+            if (offset + byteLength > buffer.byteLength) throw new Error('Recording file is truncated.');
+            const array = new Type(buffer.slice(offset, offset + byteLength));
+            offset += byteLength;
+            return array;
+        };
+
+        const { frameCount, rowCount, ...rest } = header;
+        const recording = new RunRecording();
+        recording.header = rest;
+        recording.frameCount = recording.frameCapacity = frameCount;
+        recording.rowCount = recording.rowCapacity = rowCount;
+        recording.frameStarts = read(Uint32Array, frameCount + 1);
+        recording.frameTimes = read(Float64Array, frameCount);
+        ROW_ARRAYS.forEach(([key, Type, since, NarrowType]) => {
+            if (since > version) recording[key] = new Type(rowCount);
+            else if (NarrowType && version < WIDE_POSITIONS_VERSION) recording[key] = Type.from(read(NarrowType, rowCount));
+            else recording[key] = read(Type, rowCount);
+        });
+        recording.isFull = true; // Loaded recordings are read-only
+        return recording;
+    }
+}
+
+function grow(array, length) {
+    const grown = new array.constructor(length);
+    grown.set(array);
+    return grown;
+}
+
+function quantizePosition(value) {
+    return Math.round(Math.max(-MAX_POSITION, Math.min(MAX_POSITION, value)) / REPLAY_POSITION_RESOLUTION);
+}
+
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
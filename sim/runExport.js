@@ -0,0 +1,179 @@
+// Getting run data out for analysis: a sampled trajectory recorder plus CSV/JSON builders
+// for trajectories, the per-department visit event log (sim/analytics.js) and aggregate
+// KPIs. Everything returns plain strings/objects; saving them is up to the caller.
+import { AGENT_STATE } from './constants.js';
+import { summarizeAnalytics, summarizePortals, summarizeStore, summarizeCheckouts, summarizeLinks } from './analytics.js';
+
+const STATES = Object.values(AGENT_STATE);
+const INITIAL_CAPACITY = 4096; // Rows; buffers double when full
+
+//=============================================================================
+// TRAJECTORY RECORDING
+//=============================================================================
+
+// Samples every agent's position, level and state every sampleInterval seconds of simulated
+// time into growable typed arrays (one row per agent per sample).
+export class TrajectoryRecorder {
+    constructor(sampleInterval) {
+        this.sampleInterval = sampleInterval;
+        this.departmentNames = [];
+        this.clear();
+    }
+
+    clear() {
+        this.rowCount = 0;
+        this.capacity = INITIAL_CAPACITY;
+        this.steps = new Uint32Array(this.capacity);
+        this.times = new Float64Array(this.capacity);
+        this.ids = new Uint32Array(this.capacity);
+        this.xs = new Float32Array(this.capacity);
+        this.zs = new Float32Array(this.capacity);
+        this.levels = new Uint8Array(this.capacity);  // Index into sim.levels
+        this.states = new Uint8Array(this.capacity);
+        this.targets = new Int16Array(this.capacity); // Index into departmentNames, -1 for none
+        this.nextSampleTime = 0;
+    }
+
+    // Call after every step; records a sample once sampleInterval has passed since the last one
+    record(sim) {
+        if (sim.time + 1e-9 < this.nextSampleTime) return;
+        this.nextSampleTime = sim.time + this.sampleInterval;
+        this.departmentNames = sim.departments.map(dept => dept.name);
+
+        this.ensureCapacity(this.rowCount + sim.agents.length);
+        sim.agents.forEach(agent => {
+            const row = this.rowCount++;
+            this.steps[row] = sim.stepCount;
+            this.times[row] = sim.time;
+            this.ids[row] = agent.id;
+            this.xs[row] = agent.position.x;
+            this.zs[row] = agent.position.z;
+            this.levels[row] = agent.level.index;
+            this.states[row] = STATES.indexOf(agent.state);
+            this.targets[row] = agent.targetDepartment ? sim.departments.indexOf(agent.targetDepartment) : -1;
+        });
+    }
+
+    ensureCapacity(rows) {
+        if (rows <= this.capacity) return;
+        while (this.capacity < rows) this.capacity *= 2;
+        ['steps', 'times', 'ids', 'xs', 'zs', 'levels', 'states', 'targets'].forEach(key => {
+            const grown = new this[key].constructor(this.capacity);
+            grown.set(this[key]);
+            this[key] = grown;
+        });
+    }
+
+    // Row i as { timestep, time, id, x, z, level, state, targetDepartment }
+    getRow(i) {
+        return {
+            timestep: this.steps[i],
+            time: this.times[i],
+            id: this.ids[i],
+            x: this.xs[i],
+            z: this.zs[i],
+            level: this.levels[i],
+            state: STATES[this.states[i]],
+            targetDepartment: this.targets[i] >= 0 ? this.departmentNames[this.targets[i]] : null,
+        };
+    }
+}
+
+//=============================================================================
+// KPIs
+//=============================================================================
+
+// Run-level totals plus the per-department and per-portal summaries from sim/analytics.js. store, doors,
+// checkouts and links are only filled in for layouts with doors / checkouts / links.
+export function buildKpis(sim) {
+    const departments = summarizeAnalytics(sim.analytics);
+    const total = key => departments.reduce((sum, dept) => sum + dept[key], 0);
+    const hours = sim.time / 3600;
+    const entries = total('entries');
+    const attempts = total('attempts');
+    return {
+        run: {
+            layout: sim.layout.name,
+            seed: sim.seed,
+            steeringModel: sim.steeringModel,
+            agents: sim.agents.length,
+            steps: sim.stepCount,
+            simulatedSeconds: sim.time,
+            attempts: attempts,
+            abandoned: total('abandoned'),
+            entries: entries,
+            exits: total('exits'),
+            conversion: attempts > 0 ? entries / attempts : null,
+            entriesPerHour: hours > 0 ? entries / hours : null,
+            eventsDropped: sim.analytics.eventsDropped,
+        },
+        departments: departments,
+        portals: summarizePortals(sim.analytics, sim.time),
+        store: sim.doors.length > 0 ? summarizeStore(sim.analytics) : null,
+        doors: sim.doors.map(door => ({
+            name: door.name, type: door.type, arrivals: door.arrivals, departures: door.departures,
+        })),
+        checkouts: summarizeCheckouts(sim.analytics),
+        links: summarizeLinks(sim.analytics),
+    };
+}
+
+//=============================================================================
+// CSV / JSON
+//=============================================================================
+
+export function trajectoriesToCSV(recorder) {
+    const lines = ['timestep,time,id,x,z,level,state,targetDepartment'];
+    for (let i = 0; i < recorder.rowCount; i++) {
+        const row = recorder.getRow(i);
+        lines.push(toCSVLine([row.timestep, row.time.toFixed(3), row.id, row.x.toFixed(2), row.z.toFixed(2), row.level, row.state, row.targetDepartment]));
+    }
+    return lines.join('\n') + '\n';
+}
+
+export function eventsToCSV(analytics) {
+    const lines = ['time,department,agentId,event,detail'];
+    analytics.events.forEach(event => {
+        lines.push(toCSVLine([event.time.toFixed(3), event.department, event.agentId, event.type, event.detail]));
+    });
+    return lines.join('\n') + '\n';
+}
+
+// One row per department, flattening the duration summaries into columns
+export function kpisToCSV(kpis) {
+    const durationKeys = ['dwell', 'entryQueueWait', 'exitQueueWait'];
+    const statKeys = ['count', 'mean', 'p50', 'p90', 'p95'];
+    const header = ['department', 'attempts', 'abandoned', 'entries', 'exits', 'abandonedInside', 'inside', 'conversion'];
+    durationKeys.forEach(key => statKeys.forEach(stat => header.push(`${key}_${stat}`)));
+
+    const lines = [toCSVLine(header)];
+    kpis.departments.forEach(dept => {
+        const values = [dept.name, dept.attempts, dept.abandoned, dept.entries, dept.exits, dept.abandonedInside, dept.inside, dept.conversion];
+        durationKeys.forEach(key => statKeys.forEach(stat => values.push(dept[key][stat])));
+        lines.push(toCSVLine(values));
+    });
+    return lines.join('\n') + '\n';
+}
+
+// Everything in one document: { kpis, events, trajectories: { columns, rows } }
+export function buildRunJSON(sim, recorder) {
+    const columns = ['timestep', 'time', 'id', 'x', 'z', 'level', 'state', 'targetDepartment'];
+    const rows = [];
+    for (let i = 0; i < recorder.rowCount; i++) {
+        const row = recorder.getRow(i);
+        rows.push([row.timestep, +row.time.toFixed(3), row.id, +row.x.toFixed(2), +row.z.toFixed(2), row.level, row.state, row.targetDepartment]);
+    }
+    return JSON.stringify({
+        kpis: buildKpis(sim),
+        events: sim.analytics.events,
+        trajectories: { sampleInterval: recorder.sampleInterval, columns, rows },
+    });
+}
+
+function toCSVLine(values) {
+    return values.map(value => {
+        if (value === null || value === undefined) return '';
+        const text = typeof value === 'number' && !Number.isInteger(value) ? String(+value.toFixed(4)) : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
@@ -0,0 +1,1392 @@
+// Headless simulation core: agent state machine, movement and collisions on the
+// floor plane of each level. No Three.js, DOM or model assets — the renderer only reads snapshots
+// (getSnapshot), so the same code runs in the browser and in Node batch runs.
+import { Vec2 } from './vec2.js';
+import { createRandom, normalizeSeed, sampleDistribution, DEFAULT_SEED } from './random.js';
+import { SpatialHash } from './spatialHash.js';
+import { NavGrid } from './navGrid.js';
+import { createFloor, pushInsideFloor, sampleFloorPoint } from './floor.js';
+import { buildWallSegments, getSocialForceVelocity } from './socialForce.js';
+import { buildLevels, buildLinks, findLinkRoute, canBoardLink, boardLink, advanceLink, getRideProgress } from './levels.js';
+import { choosePortal, raycastDepartment, isPointOnPortal, isInsideFixture } from './departments.js';
+import { buildDoors, isEntranceDoor, isExitDoor, findNearestExitDoor, createArrivalSchedule, sampleNextArrival } from './doors.js';
+import { buildPersonaMix, pickPersona, sampleSpeedFactor, createShoppingList, pickNextDepartment, sampleDwellTime } from './personas.js';
+import { buildCheckouts, findNearestCheckout, chooseLane, getQueueSlotPosition, sampleServiceTime } from './checkouts.js';
+import { buildQueueLine } from './queueLine.js';
+import {
+    createAnalytics, resetAnalytics, recordVisitEvent, recordStoreEvent, recordCheckoutEvent, recordPortalCrossing, recordPortalQueueWait, recordLinkEvent,
+    VISIT_EVENT, STORE_EVENT, CHECKOUT_EVENT, LINK_EVENT, ABANDON_REASON,
+} from './analytics.js';
+import {
+    MODEL_SCALE, SPAWN_MARGIN,
+    AGENT_RADIUS, MIN_AGENT_SEPARATION, PORTAL_THRESHOLD, PORTAL_QUEUE_DISTANCE, AGENT_MOVE_SPEED, VELOCITY_THRESHOLD_SQ, TURN_SMOOTHING, STATE_HISTORY_LENGTH,
+    IDLE_CHANCE, MIN_IDLE_TIME, MAX_IDLE_TIME, MIN_TIME_IN_DEPT, MAX_TIME_IN_DEPT, DEPT_VISIT_CHANCE, ENTRY_PATIENCE,
+    NAV_CELL_SIZE, NAV_CLEARANCE, PORTAL_APPROACH_DISTANCE, WAYPOINT_REACHED_DISTANCE, WAYPOINT_PASS_DISTANCE, MAX_PATH_REPLANS, FIXTURE_NAV_CELL_SIZE, FIXTURE_CLEARANCE,
+    PRODUCT_REACHED_DISTANCE, RANDOM_POINT_ATTEMPTS,
+    DOOR_REACHED_DISTANCE, TRIP_MIN_VISITS, TRIP_MAX_VISITS, TRIP_MAX_DURATION, ITEMS_PER_VISIT_MIN, ITEMS_PER_VISIT_MAX,
+    QUEUE_SLOT_SPACING, QUEUE_HEAD_DISTANCE, QUEUE_MAX_SLOTS, QUEUE_SLOT_TOLERANCE,
+    CHECKOUT_QUEUE_SPACING, CHECKOUT_COUNTER_LENGTH,
+    STEERING_MODEL, AGENT_STATE,
+} from './constants.js';
+
+//=============================================================================
+// SETUP
+//=============================================================================
+
+// layout must already have passed validateLayout().
+// options.seed seeds the run's PRNG (same seed + layout + agent count + step sizes = same trajectories).
+// options.log receives the simulation's per-agent debug messages (dropped by default; pass console.log to see them).
+// options.steeringModel picks how agents avoid each other (STEERING_MODEL, default BOUNCE).
+export function createSimulation(layout, options = {}) {
+    const seed = normalizeSeed(options.seed ?? DEFAULT_SEED);
+    const levels = buildLevels(layout);
+    const departments = levels.flatMap(level => level.departments);
+    const doors = buildDoors(layout, levels[0].floor); // Doors and checkouts are on the ground level
+    const checkouts = buildCheckouts(layout);
+    levels.forEach(level => {
+        level.navGrid = new NavGrid(level.departments, { floor: level.floor, cellSize: NAV_CELL_SIZE, clearance: NAV_CLEARANCE });
+        level.wallSegments = buildWallSegments(level.floor, level.departments, level.index === 0 ? doors : []);
+        buildFixtureNavGrids(level.departments);
+        buildPortalQueueLines(level.departments, level.navGrid);
+    });
+    const links = buildLinks(layout, levels);
+    buildLinkQueueLines(links);
+    return {
+        time: 0,
+        stepCount: 0,  // Steps taken since the last spawn
+        seed: seed,
+        random: createRandom(seed),
+        layout: layout,
+        levels: levels,                             // Floors of the store, ground level first, each with its outline, departments and nav grid (sim/levels.js)
+        links: links,                               // Escalators and elevators between levels ([] = a single-level store)
+        departments: departments,                   // Every level's, in level order
+        doors: doors,                               // Store doors on the floor boundary ([] = closed population)
+        arrivals: createArrivalSchedule(layout),    // null = no arrivals
+        nextArrivalTime: Infinity,
+        checkouts: checkouts,                       // Checkout zones, each with its lanes ([] = shoppers leave without paying)
+        personaMix: buildPersonaMix(layout, departments), // Shopper personas and their weights (null = random department choice)
+        agents: [],
+        agentGrid: new SpatialHash(MIN_AGENT_SEPARATION), // Neighbour lookups, rebuilt every step
+        steeringModel: options.steeringModel ?? STEERING_MODEL.BOUNCE,
+        analytics: createAnalytics(departments, checkouts, links), // Per-department visit funnel, dwell and queue times
+        nextAgentId: 0,
+        log: options.log || (() => {}),
+    };
+}
+
+// Changes the seed; takes effect from the next spawnAgents()
+export function setSeed(sim, seed) {
+    sim.seed = normalizeSeed(seed);
+}
+
+// Switches the steering model mid-run; agents keep heading where they were going
+export function setSteeringModel(sim, steeringModel) {
+    sim.steeringModel = steeringModel;
+    sim.agents.forEach(agent => agent.preferredVelocity.copy(agent.velocity));
+}
+
+// Replaces the current population with n wandering agents at random positions on the floor
+// (of a random level, in multi-level stores).
+// Restarts the PRNG from sim.seed so every respawn with the same seed replays identically.
+// In stores with exit doors these agents are on shopping trips too, and the arrival
+// process (if the layout has one) starts over.
+export function spawnAgents(sim, n) {
+    clearAgents(sim);
+    sim.time = 0;
+    sim.stepCount = 0;
+    sim.random = createRandom(sim.seed);
+    const random = sim.random;
+    for (let i = 0; i < n; i++) {
+        const level = sim.levels.length > 1 ? random.pick(sim.levels) : sim.levels[0];
+        const position = sampleFloorPoint(level.floor, random, SPAWN_MARGIN);
+        // Initial velocity
+        const velocity = new Vec2(random.floatSpread(1), random.floatSpread(1)).normalize().multiplyScalar(AGENT_MOVE_SPEED * random.float(0.8, 1.2));
+        const agent = createAgent(sim.nextAgentId++, level, position, velocity, sim.time);
+        assignPersona(sim, agent);
+        agent.trip = createTrip(sim, agent);
+        sim.agents.push(agent);
+    }
+    sim.nextArrivalTime = sim.arrivals ? sampleNextArrival(sim.arrivals, sim.time, random) : Infinity;
+}
+
+// Removes all agents, empties every portal, checkout and link queue (and every escalator and
+// elevator) and resets the analytics and door counts
+export function clearAgents(sim) {
+    sim.agents = [];
+    sim.nextAgentId = 0;
+    resetAnalytics(sim.analytics);
+    sim.doors.forEach(door => {
+        door.arrivals = 0;
+        door.departures = 0;
+    });
+    sim.departments.forEach(dept => {
+        dept.occupancy = 0;
+        dept.portals.forEach(portal => {
+            if (portal.entryLine) portal.entryLine.queue = [];
+            if (portal.exitLine) portal.exitLine.queue = [];
+            portal.crossing = 0;
+            portal.nextAdmitTime = 0;
+        });
+    });
+    sim.checkouts.forEach(zone => {
+        zone.lanes.forEach(lane => {
+            lane.queue = [];
+            lane.incoming = 0;
+            lane.served = 0;
+        });
+    });
+    sim.links.forEach(link => {
+        link.riders = [];
+        link.nextBoardTime = 0;
+        if (link.car) Object.assign(link.car, { end: 0, departsAt: null, arrivesAt: null });
+        link.ends.forEach(end => {
+            if (end.line) end.line.queue = [];
+        });
+    });
+}
+
+function createAgent(id, level, position, velocity, time) {
+    return {
+        id: id, // Simple ID for debugging
+        level: level,           // Level the agent is on (the one it got on at while RIDING_LINK)
+        elevation: level.elevation, // Height above the ground level's floor; between levels while riding
+        prevElevation: level.elevation,
+        position: position,
+        velocity: velocity,
+        preferredVelocity: velocity.clone(), // Goal velocity from the state machine (social force steering)
+        heading: 0,             // Yaw in radians; 0 faces -z
+        prevPosition: position.clone(), // Position/heading before the last step, for render interpolation
+        prevHeading: 0,
+        state: AGENT_STATE.WANDERING,
+        idleTimer: 0,
+        timeInDepartment: 0,
+        targetDepartment: null, // Reference to the department object
+        portalTarget: null,     // Reference to the specific portal object (one of dept.portals)
+        targetPosition: null,   // Specific floor coordinate target (e.g., inside dept)
+        path: null,             // Waypoints around departments towards portalTarget (null = straight line)
+        pathIndex: 0,
+        pathReplans: 0,
+        crossingStartedAt: null, // When the agent was let into the portal it is crossing (ENTERING / EXITING)
+        queueJoinedAt: null,    // When the agent joined the portal queue it is WAITING_ENTRY / WAITING_EXIT in
+        occupiedDepartment: null, // Department whose occupancy the agent counts towards (see occupyDepartment)
+        previousState: null,    // For resuming after idle
+        persona: null,          // Shopper persona (sim/personas.js); null = picks departments at random
+        shoppingList: null,     // Departments the persona still has to visit, in its order
+        speedFactor: 1,         // Walking speed multiplier (from the persona)
+        trip: null,             // { startedAt, visitsLeft, deadline, items } while on a shopping trip; null = stays forever.
+                                // visitsLeft is null for agents with a persona, whose trip ends with their list
+        checkoutLane: null,     // Checkout lane the agent is heading for, queuing in or being served at
+        serviceTimer: 0,        // Seconds left at the till (CHECKING_OUT)
+        browseProduct: null,    // Product point of interest the agent is walking to or BROWSING (null = a random spot)
+        browseTimer: 0,         // Seconds left at browseProduct (BROWSING)
+        productsBrowsed: [],    // Products browsed during the current department visit
+        levelGoal: null,        // { level, department } while on the way to another level (department null = to end the trip)
+        linkEnd: null,          // End of the escalator or elevator the agent is walking to or queuing at
+        ride: null,             // Escalator or elevator ride under way (RIDING_LINK, see boardLink in sim/levels.js)
+        exitDoor: null,         // Store door the agent is LEAVING through
+        hasLeft: false,         // Reached exitDoor; removed at the end of the step
+        // Recent transitions, oldest first: { time, from, to, department } (see recordStateChanges)
+        stateHistory: [{ time: time, from: null, to: AGENT_STATE.WANDERING, department: null }],
+    };
+}
+
+//=============================================================================
+// STEP & SNAPSHOT
+//=============================================================================
+
+// Advances the simulation by delta seconds of simulated time. Callers should use a
+// fixed delta (FIXED_TIME_STEP): results depend on step size, and large steps let
+// agents tunnel through walls and past portal thresholds.
+export function stepSimulation(sim, delta) {
+    if (sim.departments.length === 0) return;
+
+    const effectiveSpeedFactor = delta; // Factor to scale base speed
+    sim.time += delta;
+    sim.stepCount++;
+
+    // --- Arrivals ---
+    while (sim.nextArrivalTime <= sim.time) {
+        spawnArrival(sim);
+        sim.nextArrivalTime = sampleNextArrival(sim.arrivals, sim.nextArrivalTime, sim.random);
+    }
+
+    sim.agents.forEach(agent => {
+        agent.prevPosition.copy(agent.position);
+        agent.prevHeading = agent.heading;
+        agent.prevElevation = agent.elevation;
+    });
+
+    rebuildAgentGrid(sim);
+    const useSocialForce = sim.steeringModel === STEERING_MODEL.SOCIAL_FORCE;
+    if (useSocialForce) {
+        // --- Social Forces ---
+        // Every agent picks its goal velocity first, so all steer from the same positions.
+        // Agents crossing a portal have right of way: they walk straight through while others yield.
+        sim.agents.forEach(agent => updatePreferredVelocity(sim, agent, delta));
+        sim.agents.forEach(agent => {
+            agent.velocity = (isAgentStopped(agent) || isAgentWaiting(agent) || isAgentCrossingPortal(agent))
+                ? agent.preferredVelocity.clone()
+                : getSocialForceVelocity(sim, agent, delta);
+        });
+    } else {
+        // --- Agent-Agent Collision (Simple Bounce) ---
+        handleAgentAgentCollisions(sim);
+    }
+
+    // --- Update Each Agent ---
+    sim.agents.forEach(agent => {
+        // 1. Update State Machine (Handles decisions, target changes, timers)
+        if (!useSocialForce) updateAgentState(sim, agent, delta);
+
+        // 2. Handle Movement (Based on state and velocity)
+        updateAgentMovement(agent, effectiveSpeedFactor);
+
+        // 3. Handle Collisions (Walls, Portals) - Modifies position/velocity if needed
+        handleAgentEnvironmentCollisions(sim, agent, effectiveSpeedFactor);
+    });
+
+    // --- Process Portal Queues ---
+    // (Could be done less frequently, but per step is safest for now)
+    processPortalQueues(sim);
+
+    // --- Escalators & Elevators ---
+    processLinks(sim, delta);
+
+    removeDepartedAgents(sim);
+    recordStateChanges(sim);
+}
+
+// Plain-data view of the current state; this is all the renderer needs per frame.
+// alpha in [0, 1] interpolates positions between the previous and the latest step.
+export function getSnapshot(sim, alpha = 1) {
+    return {
+        time: sim.time,
+        agents: sim.agents.map(agent => ({
+            id: agent.id,
+            x: agent.prevPosition.x + (agent.position.x - agent.prevPosition.x) * alpha,
+            z: agent.prevPosition.z + (agent.position.z - agent.prevPosition.z) * alpha,
+            heading: agent.prevHeading + wrapAngle(agent.heading - agent.prevHeading) * alpha,
+            level: agent.level.index,
+            elevation: agent.prevElevation + (agent.elevation - agent.prevElevation) * alpha,
+            state: agent.state,
+            isMoving: isAgentMoving(agent),
+            targetDepartment: agent.targetDepartment ? agent.targetDepartment.name : null,
+        })),
+    };
+}
+
+// Everything known about one agent, as plain data for inspection; null if it no longer exists
+export function getAgentDetails(sim, id) {
+    const agent = sim.agents.find(a => a.id === id);
+    if (!agent) return null;
+    const portal = agent.portalTarget;
+    const dept = agent.targetDepartment;
+    const lane = agent.checkoutLane;
+    const linkEnd = agent.linkEnd;
+    const queue = lane ? lane.queue
+        : linkEnd ? linkEnd.line.queue
+        : (portal && isAgentWaiting(agent) ? getPortalLine(agent).queue : null);
+    const queueIndex = queue ? queue.indexOf(agent) : -1;
+    return {
+        id: agent.id,
+        state: agent.state,
+        previousState: agent.previousState,
+        targetDepartment: dept ? dept.name : null,
+        portal: portal ? portal.name : null,
+        queuePosition: queueIndex >= 0 ? queueIndex + 1 : null,
+        level: agent.level.name,
+        levelGoal: agent.levelGoal ? agent.levelGoal.level.name : null,
+        link: linkEnd ? linkEnd.link.name : (agent.ride ? agent.ride.link.name : null),
+        persona: agent.persona ? agent.persona.name : null,
+        shoppingList: agent.shoppingList ? agent.shoppingList.map(dept => dept.name) : null,
+        checkoutLane: lane ? lane.name : null,
+        basketItems: agent.trip ? agent.trip.items : null,
+        timeInDepartment: agent.timeInDepartment,
+        idleTimer: agent.idleTimer,
+        serviceTimer: agent.serviceTimer,
+        browseProduct: agent.browseProduct ? agent.browseProduct.name : null,
+        browseTimer: agent.browseTimer,
+        position: { x: agent.position.x, z: agent.position.z },
+        velocity: { x: agent.velocity.x, z: agent.velocity.z },
+        speed: agent.velocity.length(),
+        stateHistory: agent.stateHistory.map(entry => ({ ...entry })),
+    };
+}
+
+export function isAgentMoving(agent) {
+    return agent.velocity.lengthSq() > VELOCITY_THRESHOLD_SQ && !isAgentStopped(agent);
+}
+
+// In a portal, checkout or link queue (or at the till): holds its place rather than being pushed around
+function isAgentWaiting(agent) {
+    return agent.state === AGENT_STATE.WAITING_ENTRY || agent.state === AGENT_STATE.WAITING_EXIT ||
+        agent.state === AGENT_STATE.WAITING_CHECKOUT || agent.state === AGENT_STATE.CHECKING_OUT ||
+        agent.state === AGENT_STATE.WAITING_LINK;
+}
+
+function isAgentCrossingPortal(agent) {
+    return agent.state === AGENT_STATE.ENTERING || agent.state === AGENT_STATE.EXITING;
+}
+
+// Riders stand still too: processLinks() carries them
+function isAgentStopped(agent) {
+    return agent.state === AGENT_STATE.IDLE || agent.state === AGENT_STATE.BROWSING || agent.state === AGENT_STATE.RIDING_LINK;
+}
+
+//=============================================================================
+// AGENT UPDATE LOGIC
+//=============================================================================
+
+function updateAgentState(sim, agent, delta) {
+    const walkSpeed = getWalkSpeed(agent);
+    switch (agent.state) {
+        case AGENT_STATE.IDLE:
+            agent.idleTimer -= delta;
+            if (agent.idleTimer <= 0) {
+                agent.state = agent.previousState || AGENT_STATE.WANDERING;
+                // Restore velocity if applicable (e.g., if was heading to a portal)
+                if (agent.portalTarget) {
+                    agent.velocity = agent.portalTarget.worldPos.clone().sub(agent.position).normalize().multiplyScalar(walkSpeed);
+                } else if (agent.targetPosition) { // Or heading to internal point
+                    agent.velocity = agent.targetPosition.clone().sub(agent.position).normalize().multiplyScalar(walkSpeed * 0.7);
+                } else if (agent.state === AGENT_STATE.WANDERING) { // Or just start wandering again
+                    agent.velocity = randomDirection(sim).multiplyScalar(walkSpeed);
+                }
+            }
+            break;
+
+        case AGENT_STATE.WANDERING:
+            // Shopping trip over?
+            if (isTripOver(sim, agent)) {
+                endTrip(sim, agent);
+            }
+            // Chance to visit a department (the next on the agent's list, if it has a persona)?
+            else if (sim.random.next() < (agent.persona ? agent.persona.visitChance : DEPT_VISIT_CHANCE) * delta) {
+                setOffForDepartment(sim, agent, agent.persona
+                    ? pickNextDepartment(agent.persona, agent.shoppingList, sim.departments, agent.position, agent.level, sim.random)
+                    : sim.random.pick(sim.departments), walkSpeed);
+            }
+            // Chance to go idle?
+            else if (sim.random.next() < IDLE_CHANCE * delta) {
+                startIdling(sim, agent, AGENT_STATE.WANDERING);
+            }
+            break;
+
+        case AGENT_STATE.GOING_TO_DEPT:
+            if (!agent.portalTarget || !agent.targetDepartment) { agent.state = AGENT_STATE.WANDERING; break; } // Safety check
+            // Check proximity to portal
+            const distToEntryPortal = agent.position.distanceTo(agent.portalTarget.worldPos);
+            const entryLine = agent.portalTarget.entryLine;
+            const isEntryQueueForming = isPortalBusy(sim, agent.portalTarget, entryLine) || !hasRoomInDepartment(agent.targetDepartment);
+            if (distToEntryPortal < PORTAL_THRESHOLD && !isEntryQueueForming) {
+                // Portal is free, start entering
+                admitToPortal(sim, agent, agent.portalTarget);
+                occupyDepartment(agent, agent.targetDepartment);
+                agent.state = AGENT_STATE.ENTERING;
+                agent.velocity = agent.portalTarget.faceNormal.clone().negate().multiplyScalar(walkSpeed * 0.8); // Move into dept
+            } else if ((isEntryQueueForming && isAtBackOfQueue(agent, entryLine, distToEntryPortal)) || isAtPortalApproach(agent, agent.portalTarget)) {
+                // Portal busy, department full or the agent has reached the end of its route: join the back of the line
+                agent.state = AGENT_STATE.WAITING_ENTRY;
+                entryLine.queue.push(agent); // Add to queue
+                agent.queueJoinedAt = sim.time;
+                recordVisit(sim, VISIT_EVENT.QUEUE_JOIN, agent, 'entry');
+                agent.velocity = getQueueStepVelocity(agent, getQueueLineSlot(entryLine, entryLine.queue.length - 1), walkSpeed);
+            } else {
+                // Still moving towards portal (around departments), or the back of its line once the route is walked
+                agent.velocity = getPathVelocity(agent, walkSpeed,
+                    isEntryQueueForming ? getQueueLineSlot(entryLine, entryLine.queue.length) : agent.portalTarget.worldPos);
+            }
+            break;
+
+        case AGENT_STATE.ENTERING: {
+            if (!agent.portalTarget || !agent.targetDepartment) { agent.state = AGENT_STATE.WANDERING; break; }
+            // Signed distance to the portal plane: positive is outside, negative inside
+            const distToPortalPlane = agent.position.clone().sub(agent.portalTarget.worldPos).dot(agent.portalTarget.faceNormal);
+            if (distToPortalPlane < -MODEL_SCALE * 0.5) { // Agent center is now sufficiently inside
+                // Finished entering
+                agent.state = AGENT_STATE.INSIDE_DEPT;
+                recordVisit(sim, VISIT_EVENT.ENTERED, agent);
+                finishCrossing(sim, agent, agent.portalTarget, 'entry'); // Free the agent's place in the opening
+                agent.portalTarget = null; // No longer targeting this portal
+                agent.timeInDepartment = agent.persona
+                    ? sampleDwellTime(agent.persona, sim.random)
+                    : sim.random.float(MIN_TIME_IN_DEPT, MAX_TIME_IN_DEPT);
+                // Head for a product (or a random spot) inside
+                agent.productsBrowsed = [];
+                pickDepartmentTarget(sim, agent);
+                if (agent.targetPosition) {
+                    agent.velocity = getPathVelocity(agent, walkSpeed * 0.7, agent.targetPosition); // Slower inside
+                } else { // Or just wander slowly
+                    agent.velocity = randomDirection(sim).multiplyScalar(walkSpeed * 0.5);
+                }
+            } else {
+                // Keep heading through the opening; collision pushes would otherwise carry
+                // the agent away while it still holds the portal
+                agent.velocity = getPortalCrossingVelocity(agent, agent.portalTarget, -1, walkSpeed * 0.8);
+            }
+            break;
+        }
+
+        case AGENT_STATE.INSIDE_DEPT:
+            agent.timeInDepartment -= delta;
+            // Chance to go idle?
+            if (agent.idleTimer <= 0 && sim.random.next() < IDLE_CHANCE * delta * 1.5) { // Slightly higher chance inside
+                startIdling(sim, agent, AGENT_STATE.INSIDE_DEPT);
+                break;
+            }
+
+            // Move towards internal target or wander
+            if (agent.targetPosition) {
+                const distToTarget = agent.position.distanceTo(agent.targetPosition);
+                if (agent.browseProduct && distToTarget < PRODUCT_REACHED_DISTANCE && agent.timeInDepartment > 0) {
+                    startBrowsing(sim, agent);
+                    break;
+                }
+                if (!agent.browseProduct && distToTarget < MODEL_SCALE) {
+                    pickDepartmentTarget(sim, agent); // Pick new target
+                }
+                // Update velocity if target exists
+                if (agent.targetPosition) agent.velocity = getPathVelocity(agent, walkSpeed * 0.7, agent.targetPosition);
+            }
+
+            // Time to leave?
+            if (agent.timeInDepartment <= 0 && agent.targetDepartment.exitPortals.length > 0) {
+                setPortalTarget(sim, agent, choosePortal(agent.targetDepartment, 'exit', agent.position));
+                agent.state = AGENT_STATE.GOING_TO_EXIT;
+                agent.velocity = getPathVelocity(agent, walkSpeed);
+                agent.targetPosition = null; // Clear internal target
+                agent.browseProduct = null;
+            }
+            break;
+
+        // Looking over a product, then on to the next one (or out, once the agent's time is up)
+        case AGENT_STATE.BROWSING:
+            agent.timeInDepartment -= delta;
+            agent.browseTimer -= delta;
+            agent.velocity.set(0, 0);
+            if (agent.browseTimer <= 0) {
+                agent.state = AGENT_STATE.INSIDE_DEPT;
+                pickDepartmentTarget(sim, agent);
+                if (agent.targetPosition) agent.velocity = getPathVelocity(agent, walkSpeed * 0.7, agent.targetPosition);
+            }
+            break;
+
+        case AGENT_STATE.GOING_TO_EXIT:
+            if (!agent.portalTarget || !agent.targetDepartment) { agent.state = AGENT_STATE.WANDERING; break; }
+            // Check proximity
+            const distToExitPortal = agent.position.distanceTo(agent.portalTarget.worldPos);
+            const exitLine = agent.portalTarget.exitLine;
+            const isExitQueueForming = isPortalBusy(sim, agent.portalTarget, exitLine);
+            if (distToExitPortal < PORTAL_THRESHOLD && !isExitQueueForming) {
+                // Portal free, start exiting
+                admitToPortal(sim, agent, agent.portalTarget);
+                agent.state = AGENT_STATE.EXITING;
+                agent.velocity = agent.portalTarget.faceNormal.clone().multiplyScalar(walkSpeed); // Move out along normal
+            } else if (isExitQueueForming && isAtBackOfQueue(agent, exitLine, distToExitPortal)) {
+                // Portal busy, join the back of the line
+                agent.state = AGENT_STATE.WAITING_EXIT;
+                exitLine.queue.push(agent);
+                agent.queueJoinedAt = sim.time;
+                recordVisit(sim, VISIT_EVENT.QUEUE_JOIN, agent, 'exit');
+                agent.velocity = getQueueStepVelocity(agent, getQueueLineSlot(exitLine, exitLine.queue.length - 1), walkSpeed);
+            } else {
+                // Still moving towards portal, or the back of its line
+                agent.velocity = getPathVelocity(agent, walkSpeed,
+                    isExitQueueForming ? getQueueLineSlot(exitLine, exitLine.queue.length) : agent.portalTarget.worldPos);
+            }
+            break;
+
+        case AGENT_STATE.EXITING: {
+            if (!agent.portalTarget || !agent.targetDepartment) { agent.state = AGENT_STATE.WANDERING; break; }
+            const distToExitPortalPlane = agent.position.clone().sub(agent.portalTarget.worldPos).dot(agent.portalTarget.faceNormal);
+            // Agent needs to be sufficiently outside (dot product positive and large enough)
+            if (distToExitPortalPlane > MODEL_SCALE * 0.5) {
+                // Finished exiting
+                recordVisit(sim, VISIT_EVENT.EXITED, agent);
+                if (agent.shoppingList) crossOffShoppingList(sim, agent, agent.targetDepartment);
+                if (agent.trip) {
+                    if (!agent.persona) agent.trip.visitsLeft--;
+                    agent.trip.items += ITEMS_PER_VISIT_MIN + sim.random.int(ITEMS_PER_VISIT_MAX - ITEMS_PER_VISIT_MIN + 1);
+                }
+                agent.state = AGENT_STATE.WANDERING;
+                finishCrossing(sim, agent, agent.portalTarget, 'exit'); // Free the agent's place in the opening
+                vacateDepartment(agent);
+                agent.portalTarget = null;
+                agent.targetDepartment = null;
+                // Assign new wandering velocity
+                agent.velocity = randomDirection(sim).multiplyScalar(walkSpeed);
+            } else {
+                agent.velocity = getPortalCrossingVelocity(agent, agent.portalTarget, 1, walkSpeed);
+            }
+            break;
+        }
+
+        case AGENT_STATE.LEAVING:
+            if (agent.position.distanceTo(agent.exitDoor.worldPos) < DOOR_REACHED_DISTANCE) {
+                agent.hasLeft = true; // Out of the door; removeDepartedAgents() takes it off the floor
+                agent.velocity.set(0, 0);
+            } else {
+                agent.velocity = getPathVelocity(agent, walkSpeed, agent.exitDoor.worldPos);
+            }
+            break;
+
+        case AGENT_STATE.GOING_TO_CHECKOUT: {
+            // Joins the line once at its back; the back moves as others join and get served
+            const lane = agent.checkoutLane;
+            const backOfLine = getQueueSlotPosition(lane, lane.queue.length);
+            if (agent.position.distanceTo(backOfLine) < CHECKOUT_QUEUE_SPACING) {
+                lane.queue.push(agent);
+                lane.incoming--;
+                agent.state = AGENT_STATE.WAITING_CHECKOUT;
+                recordCheckoutEvent(sim.analytics, sim.time, CHECKOUT_EVENT.QUEUE_JOIN, agent, lane);
+                agent.velocity.set(0, 0);
+            } else {
+                agent.velocity = getPathVelocity(agent, walkSpeed, backOfLine);
+            }
+            break;
+        }
+
+        case AGENT_STATE.WAITING_CHECKOUT: {
+            // Step up to the agent's place in line; the head is served once it reaches the till
+            const lane = agent.checkoutLane;
+            const index = lane.queue.indexOf(agent);
+            const slot = getQueueSlotPosition(lane, index);
+            const distToSlot = agent.position.distanceTo(slot);
+            if (index === 0 && distToSlot < QUEUE_SLOT_TOLERANCE) {
+                agent.state = AGENT_STATE.CHECKING_OUT;
+                agent.serviceTimer = sampleServiceTime(lane.serviceTime, sim.random);
+                recordCheckoutEvent(sim.analytics, sim.time, CHECKOUT_EVENT.SERVICE_START, agent, lane);
+                agent.velocity.set(0, 0);
+            } else {
+                agent.velocity = getQueueStepVelocity(agent, slot, walkSpeed);
+            }
+            break;
+        }
+
+        case AGENT_STATE.CHECKING_OUT:
+            agent.serviceTimer -= delta;
+            agent.velocity.set(0, 0);
+            if (agent.serviceTimer <= 0) finishCheckout(sim, agent);
+            break;
+
+        case AGENT_STATE.GOING_TO_LINK: {
+            // Joins the line once at its back, like a portal line
+            const line = agent.linkEnd.line;
+            const backOfLine = getQueueLineSlot(line, line.queue.length);
+            if (agent.position.distanceTo(backOfLine) < PORTAL_QUEUE_DISTANCE) {
+                line.queue.push(agent);
+                agent.state = AGENT_STATE.WAITING_LINK;
+                recordLinkEvent(sim.analytics, sim.time, LINK_EVENT.QUEUE_JOIN, agent, agent.linkEnd.link);
+                agent.velocity = getQueueStepVelocity(agent, getQueueLineSlot(line, line.queue.length - 1), walkSpeed);
+            } else {
+                agent.velocity = getPathVelocity(agent, walkSpeed, backOfLine);
+            }
+            break;
+        }
+
+        // Step up to the agent's slot; processLinks() puts the head on once there's room
+        case AGENT_STATE.WAITING_LINK: {
+            const line = agent.linkEnd.line;
+            agent.velocity = getQueueStepVelocity(agent, getQueueLineSlot(line, line.queue.indexOf(agent)), walkSpeed);
+            break;
+        }
+
+        case AGENT_STATE.RIDING_LINK:
+            agent.velocity.set(0, 0); // Carried by processLinks()
+            break;
+
+        // Step up to the agent's slot in the portal's line; processPortalQueues() lets the head through.
+        // Agents queuing for a full department give up once they run out of patience.
+        case AGENT_STATE.WAITING_ENTRY:
+            if (!hasRoomInDepartment(agent.targetDepartment) && sim.time - agent.queueJoinedAt > getPatience(agent)) {
+                giveUpOnFullDepartment(sim, agent, walkSpeed);
+                break;
+            }
+            // Falls through
+        case AGENT_STATE.WAITING_EXIT: {
+            const line = getPortalLine(agent);
+            agent.velocity = getQueueStepVelocity(agent, getQueueLineSlot(line, line.queue.indexOf(agent)), walkSpeed);
+            break;
+        }
+    }
+}
+
+// Runs the state machine on the agent's goal velocity instead of its steered one
+function updatePreferredVelocity(sim, agent, delta) {
+    const walkVelocity = agent.velocity;
+    agent.velocity = agent.preferredVelocity;
+    updateAgentState(sim, agent, delta);
+    agent.preferredVelocity = agent.velocity;
+    agent.velocity = walkVelocity;
+}
+
+// Reports a step of the agent's visit to its target department (sim/analytics.js)
+// State changes are picked up once per step, after queues have been processed; an agent that
+// passes through a state within a single step only shows the net change
+function recordStateChanges(sim) {
+    sim.agents.forEach(agent => {
+        const last = agent.stateHistory[agent.stateHistory.length - 1];
+        if (last.to === agent.state) return;
+        agent.stateHistory.push({
+            time: sim.time,
+            from: last.to,
+            to: agent.state,
+            department: agent.targetDepartment ? agent.targetDepartment.name : null,
+        });
+        if (agent.stateHistory.length > STATE_HISTORY_LENGTH) agent.stateHistory.shift();
+    });
+}
+
+function recordVisit(sim, type, agent, detail) {
+    recordVisitEvent(sim.analytics, sim.time, type, agent, agent.targetDepartment, detail);
+}
+
+function startBrowsing(sim, agent) {
+    agent.state = AGENT_STATE.BROWSING;
+    agent.productsBrowsed.push(agent.browseProduct);
+    agent.browseTimer = Math.max(0, sampleDistribution(agent.browseProduct.browseTime, sim.random));
+    agent.velocity.set(0, 0);
+}
+
+function startIdling(sim, agent, resumeState) {
+    agent.previousState = resumeState;
+    agent.state = AGENT_STATE.IDLE;
+    agent.idleTimer = sim.random.float(MIN_IDLE_TIME, MAX_IDLE_TIME);
+    agent.velocity.set(0, 0);
+}
+
+function updateAgentMovement(agent, effectiveSpeedFactor) {
+    // Apply movement only if not waiting or idle
+    if (isAgentStopped(agent)) return;
+
+    agent.position.addScaledVector(agent.velocity, effectiveSpeedFactor);
+
+    // Update orientation (Forward-Only Locomotion), smoothly turning to face the velocity
+    if (agent.velocity.lengthSq() > VELOCITY_THRESHOLD_SQ) {
+        const targetHeading = Math.atan2(-agent.velocity.x, -agent.velocity.z);
+        agent.heading += wrapAngle(targetHeading - agent.heading) * TURN_SMOOTHING;
+        agent.heading = wrapAngle(agent.heading);
+    }
+}
+
+function handleAgentEnvironmentCollisions(sim, agent, effectiveSpeedFactor) {
+    if (agent.state === AGENT_STATE.RIDING_LINK) return; // Off the floor until the other end
+    const checkRadius = AGENT_RADIUS;
+    const level = agent.level;
+
+    // --- Floor Boundary Collision ---
+    // Mirror the velocity off every floor edge the agent was pushed back from
+    const edgeNormals = pushInsideFloor(level.floor, agent.position, checkRadius);
+    edgeNormals.forEach(normal => {
+        agent.velocity.addScaledVector(normal, -2 * agent.velocity.dot(normal));
+        agent.preferredVelocity.addScaledVector(normal, -2 * agent.preferredVelocity.dot(normal)); // Turn the goal around too, or social forces steer straight back
+    });
+    const bouncedOffFloor = edgeNormals.length > 0;
+    // If bounced off floor while heading to/from dept, reset state
+    if (bouncedOffFloor && (agent.state === AGENT_STATE.GOING_TO_DEPT || agent.state === AGENT_STATE.ENTERING || agent.state === AGENT_STATE.GOING_TO_EXIT || agent.state === AGENT_STATE.EXITING)) {
+        // If the agent was crossing, free its place in the opening
+        if (agent.portalTarget && isAgentCrossingPortal(agent)) releasePortal(agent.portalTarget);
+        vacateDepartment(agent);
+        recordVisit(sim, VISIT_EVENT.ABANDONED, agent, ABANDON_REASON.FLOOR_BOUNCE);
+        agent.state = AGENT_STATE.WANDERING;
+        agent.targetDepartment = null;
+        agent.portalTarget = null;
+        agent.targetPosition = null;
+        agent.path = null;
+        sim.log(`Agent ${agent.id} bounced off floor boundary, resetting state to WANDERING.`);
+    }
+
+    // --- Department Collision (Precise Walls & Portals) ---
+    if (agent.velocity.lengthSq() < VELOCITY_THRESHOLD_SQ) return; // Don't check collision if not moving
+
+    const moveDirection = agent.velocity.clone().normalize();
+    const rayLength = agent.velocity.length() * effectiveSpeedFactor + checkRadius * 1.5; // Ray length based on speed + buffer
+
+    // --- Fixture Collision (slide along shelves and displays) ---
+    for (const dept of level.departments) {
+        if (dept.fixtures.length === 0 || !level.navGrid.isInsideDepartment(dept, agent.position)) continue;
+        for (const fixture of dept.fixtures) {
+            const hit = raycastDepartment(fixture, agent.position, moveDirection, rayLength);
+            if (!hit) continue;
+            agent.velocity.projectOnPlane(hit.normal);
+            agent.preferredVelocity.projectOnPlane(hit.normal);
+            agent.position.addScaledVector(hit.normal, 0.1); // Nudge off the fixture to prevent sticking
+        }
+    }
+
+    for (const dept of level.departments) {
+        const hit = raycastDepartment(dept, agent.position, moveDirection, rayLength);
+        if (!hit) continue;
+
+        let allowPassage = false;
+        let targetPortal = null;
+
+        // Is the agent trying to enter or exit THIS department (through the portal it picked)?
+        if (agent.state === AGENT_STATE.GOING_TO_DEPT || agent.state === AGENT_STATE.ENTERING || agent.state === AGENT_STATE.WAITING_ENTRY ||
+            agent.state === AGENT_STATE.GOING_TO_EXIT || agent.state === AGENT_STATE.EXITING || agent.state === AGENT_STATE.WAITING_EXIT) {
+            if (agent.targetDepartment === dept) targetPortal = agent.portalTarget;
+        }
+
+        // Did we hit the targeted portal's face, within the portal opening?
+        if (targetPortal && hit.face === targetPortal.face && isPointOnPortal(hit.point, targetPortal)) {
+            allowPassage = true;
+            // State transitions (ENTERING, EXITING) are handled in updateAgentState based on proximity/plane crossing
+        }
+
+        // --- Collision Response ---
+        if (!allowPassage) {
+            // Hit a solid wall or the wrong portal face: slide along it
+            agent.velocity.projectOnPlane(hit.normal);
+            agent.preferredVelocity.projectOnPlane(hit.normal);
+
+            // Nudge the agent slightly away from the wall to prevent sticking
+            const nudgeDistance = 0.1; // Small nudge
+            agent.position.addScaledVector(hit.normal, nudgeDistance);
+
+            // Pushed off its route into the target department's wall: plan a new route from here
+            const isApproaching = agent.state === AGENT_STATE.GOING_TO_DEPT || agent.state === AGENT_STATE.GOING_TO_EXIT;
+            if (targetPortal && isApproaching && agent.pathReplans < MAX_PATH_REPLANS) {
+                agent.pathReplans++;
+                agent.path = planPortalPath(sim, agent, targetPortal);
+                agent.pathIndex = 0;
+                sim.log(`Agent ${agent.id} hit wall while targeting portal, re-planning route (${agent.pathReplans}/${MAX_PATH_REPLANS}).`);
+            }
+            // If agent was trying to enter/exit and keeps hitting walls, give up on the goal
+            // (queued agents just slide on towards their slot)
+            else if (targetPortal && !isAgentWaiting(agent)) {
+                // If the agent was crossing, free its place in the opening
+                if (agent.portalTarget && isAgentCrossingPortal(agent)) releasePortal(agent.portalTarget);
+                vacateDepartment(agent);
+                sim.log(`Agent ${agent.id} hit wall while targeting portal, resetting to WANDERING.`);
+                recordVisit(sim, VISIT_EVENT.ABANDONED, agent, ABANDON_REASON.WALL_HIT);
+                agent.state = AGENT_STATE.WANDERING;
+                agent.targetDepartment = null;
+                agent.portalTarget = null;
+                agent.targetPosition = null;
+                agent.path = null;
+                // Give a slight velocity away from wall
+                agent.velocity.addScaledVector(hit.normal, 0.5 * nudgeDistance).normalize().multiplyScalar(getWalkSpeed(agent) * 0.5);
+                agent.preferredVelocity.copy(agent.velocity);
+            }
+
+            // Stop checking other departments for this agent this step
+            return;
+        }
+        // Else: allowPassage is true, movement continues towards/through portal
+    }
+}
+
+function handleAgentAgentCollisions(sim) {
+    const agents = sim.agents;
+    const minSeparationSq = MIN_AGENT_SEPARATION * MIN_AGENT_SEPARATION;
+
+    for (let i = 0; i < agents.length; i++) {
+        const agentA = agents[i];
+        // Don't check collision if either agent is waiting (they should be stationary) or riding
+        if (isAgentWaiting(agentA) || agentA.state === AGENT_STATE.RIDING_LINK) continue;
+
+        forEachNeighbor(sim, agentA, MIN_AGENT_SEPARATION, agentB => {
+            if (agentB.gridIndex <= i) return; // Each pair once, as agentA being the lower index
+            if (isAgentWaiting(agentB)) return;
+
+            const distanceSq = agentA.position.distanceToSquared(agentB.position);
+
+            if (distanceSq < minSeparationSq) {
+                const distance = Math.sqrt(distanceSq);
+                const collisionNormal = agentA.position.clone().sub(agentB.position).normalize();
+
+                // Push apart based on overlap
+                const overlap = MIN_AGENT_SEPARATION - distance;
+                const pushFactor = overlap * 0.5; // How strongly to push
+
+                // Push A along normal, B along negative normal
+                agentA.velocity.addScaledVector(collisionNormal, pushFactor);
+                agentB.velocity.addScaledVector(collisionNormal, -pushFactor);
+
+                // Limit maximum velocity increase from push
+                agentA.velocity.clampLength(0, getWalkSpeed(agentA) * 1.5);
+                agentB.velocity.clampLength(0, getWalkSpeed(agentB) * 1.5);
+
+                // Nudge apart position slightly to guarantee separation
+                const nudgeAmount = overlap / 2 + 0.01; // Add tiny buffer
+                agentA.position.addScaledVector(collisionNormal, nudgeAmount);
+                agentB.position.addScaledVector(collisionNormal, -nudgeAmount);
+            }
+        });
+    }
+}
+
+//-----------------------------------------------------------------------------
+// Neighbour Queries
+//-----------------------------------------------------------------------------
+
+// Re-buckets all agents by position; done once per step before any neighbour query. Riders
+// are left out: nobody on a floor bumps into them.
+function rebuildAgentGrid(sim) {
+    sim.agentGrid.clear();
+    sim.agents.forEach((agent, index) => {
+        agent.gridIndex = index;
+        if (agent.state !== AGENT_STATE.RIDING_LINK) sim.agentGrid.insert(agent, agent.position.x, agent.position.z);
+    });
+}
+
+// Calls fn(other) for each other agent on agent's level within radius of it (positions as of
+// this step's grid rebuild)
+export function forEachNeighbor(sim, agent, radius, fn) {
+    const radiusSq = radius * radius;
+    sim.agentGrid.forEachNear(agent.position.x, agent.position.z, radius, other => {
+        if (other !== agent && other.level === agent.level && other.position.distanceToSquared(agent.position) < radiusSq) fn(other);
+    });
+}
+
+//-----------------------------------------------------------------------------
+// Portal & Queue Management
+//-----------------------------------------------------------------------------
+
+// Lays out the lines each portal's queues stand in (line.slots, head first): entry lines run
+// out from the opening over free floor, exit lines back into the department, and both bend
+// around whatever is in the way (sim/queueLine.js). Portals used both ways get one of each.
+function buildPortalQueueLines(departments, navGrid) {
+    departments.forEach(dept => dept.portals.forEach(portal => {
+        if (portal.entryLine) {
+            portal.entryLine.slots = buildQueueLine(
+                portal.worldPos.clone().addScaledVector(portal.faceNormal, QUEUE_HEAD_DISTANCE), portal.faceNormal,
+                QUEUE_SLOT_SPACING, QUEUE_MAX_SLOTS, point => !navGrid.isBlockedAt(point));
+        }
+        if (portal.exitLine) {
+            const inward = portal.faceNormal.clone().negate();
+            portal.exitLine.slots = buildQueueLine(
+                portal.worldPos.clone().addScaledVector(inward, QUEUE_HEAD_DISTANCE), inward,
+                QUEUE_SLOT_SPACING, QUEUE_MAX_SLOTS,
+                point => navGrid.isInsideDepartment(dept, point, -AGENT_RADIUS * 2) && !isInsideFixture(dept, point, AGENT_RADIUS * 2));
+        }
+    }));
+}
+
+// Gives each department with fixtures a finer grid of its own (dept.navGrid) for routing
+// agents inside it around them, bounded by the department walls
+function buildFixtureNavGrids(departments) {
+    departments.forEach(dept => {
+        if (dept.fixtures.length === 0) return;
+        const minX = dept.center.x - dept.halfSize.x, maxX = dept.center.x + dept.halfSize.x;
+        const minZ = dept.center.z - dept.halfSize.z, maxZ = dept.center.z + dept.halfSize.z;
+        const outline = createFloor({ outline: [[minX, minZ], [maxX, minZ], [maxX, maxZ], [minX, maxZ]] });
+        dept.navGrid = new NavGrid(dept.fixtures, { floor: outline, cellSize: FIXTURE_NAV_CELL_SIZE, clearance: FIXTURE_CLEARANCE });
+    });
+}
+
+// Full, held back by its flow limit or with a line already waiting: arrivals queue rather
+// than walk up to the opening
+function isPortalBusy(sim, portal, line) {
+    return !canAdmitToPortal(sim, portal) || line.queue.length > 0;
+}
+
+// The opening has room for another agent and the flow limit lets one in now
+function canAdmitToPortal(sim, portal) {
+    return portal.crossing < portal.capacity && sim.time >= portal.nextAdmitTime;
+}
+
+// Agent starts crossing: takes a place in the opening and holds the next one back by 1 / flowRate
+function admitToPortal(sim, agent, portal) {
+    portal.crossing++;
+    portal.nextAdmitTime = sim.time + 1 / portal.flowRate;
+    agent.crossingStartedAt = sim.time;
+}
+
+// Agent is through (side 'entry': into the department, 'exit': out of it): frees its place and counts the crossing
+function finishCrossing(sim, agent, portal, side) {
+    releasePortal(portal);
+    recordPortalCrossing(sim.analytics, sim.time, portal, side, sim.time - agent.crossingStartedAt);
+    agent.crossingStartedAt = null;
+}
+
+function releasePortal(portal) {
+    portal.crossing = Math.max(0, portal.crossing - 1);
+}
+
+// Queue line on the side of its target portal the agent is using: outside going in, inside coming out
+function getPortalLine(agent) {
+    const isGoingIn = agent.state === AGENT_STATE.GOING_TO_DEPT || agent.state === AGENT_STATE.WAITING_ENTRY || agent.state === AGENT_STATE.ENTERING;
+    return isGoingIn ? agent.portalTarget.entryLine : agent.portalTarget.exitLine;
+}
+
+// Floor position of slot `index` in a portal or link queue line; agents past the last slot wait there
+function getQueueLineSlot(line, index) {
+    return line.slots[Math.min(index, line.slots.length - 1)];
+}
+
+// Close enough to join the queue: at the back of its line, or already at the opening
+// (arriving from the side, say)
+function isAtBackOfQueue(agent, line, distToPortal) {
+    return distToPortal < PORTAL_QUEUE_DISTANCE ||
+        agent.position.distanceTo(getQueueLineSlot(line, line.queue.length)) < PORTAL_QUEUE_DISTANCE;
+}
+
+// Outside the department within PORTAL_QUEUE_DISTANCE of the point routes to the portal end at.
+// Agents this close line up rather than push on for the opening: with social force steering,
+// several converging on the same point hold each other off it and none gets through.
+function isAtPortalApproach(agent, portal) {
+    const offset = agent.position.clone().sub(portal.worldPos);
+    return offset.dot(portal.faceNormal) > 0 &&
+        offset.distanceTo(portal.faceNormal.clone().multiplyScalar(PORTAL_APPROACH_DISTANCE)) < PORTAL_QUEUE_DISTANCE;
+}
+
+// Walk (at half speed) to a queue slot, standing still once within QUEUE_SLOT_TOLERANCE of it
+function getQueueStepVelocity(agent, slot, walkSpeed) {
+    if (agent.position.distanceTo(slot) <= QUEUE_SLOT_TOLERANCE) return new Vec2();
+    return slot.clone().sub(agent.position).normalize().multiplyScalar(walkSpeed * 0.5);
+}
+
+// Lets the head of each portal queue through once it has stepped up to the front slot and the
+// portal can take it. Portals used both ways let agents out before letting the next one in.
+function processPortalQueues(sim) {
+    sim.departments.forEach(dept => dept.portals.forEach(portal => {
+        // Check Exit Queue
+        const exitLine = portal.exitLine;
+        if (exitLine && canAdmitToPortal(sim, portal) && isQueueHeadAtFront(exitLine)) {
+            const nextAgent = exitLine.queue.shift();
+            if (nextAgent && nextAgent.state === AGENT_STATE.WAITING_EXIT) {
+                sim.log(`Agent ${nextAgent.id} leaving exit queue for ${dept.name}`);
+                recordVisit(sim, VISIT_EVENT.QUEUE_LEAVE, nextAgent, 'exit');
+                recordPortalQueueWait(sim.analytics, portal, sim.time - nextAgent.queueJoinedAt);
+                admitToPortal(sim, nextAgent, portal);
+                nextAgent.queueJoinedAt = null;
+                nextAgent.state = AGENT_STATE.EXITING;
+                // Give velocity out of department
+                nextAgent.velocity = portal.faceNormal.clone().multiplyScalar(getWalkSpeed(nextAgent));
+            } else if (nextAgent) {
+                sim.log(`Agent ${nextAgent.id} was in exit queue but not in WAITING_EXIT state? State: ${nextAgent.state}`);
+                nextAgent.state = AGENT_STATE.WANDERING; // Failsafe
+            }
+        }
+
+        // Check Entry Queue
+        const entryLine = portal.entryLine;
+        if (entryLine && canAdmitToPortal(sim, portal) && hasRoomInDepartment(dept) && isQueueHeadAtFront(entryLine)) {
+            const nextAgent = entryLine.queue.shift(); // Get first agent
+            if (nextAgent && nextAgent.state === AGENT_STATE.WAITING_ENTRY) {
+                sim.log(`Agent ${nextAgent.id} leaving entry queue for ${dept.name}`);
+                recordVisit(sim, VISIT_EVENT.QUEUE_LEAVE, nextAgent, 'entry');
+                recordPortalQueueWait(sim.analytics, portal, sim.time - nextAgent.queueJoinedAt);
+                admitToPortal(sim, nextAgent, portal);
+                occupyDepartment(nextAgent, dept);
+                nextAgent.queueJoinedAt = null;
+                nextAgent.state = AGENT_STATE.ENTERING;
+                // Give velocity into department
+                nextAgent.velocity = portal.faceNormal.clone().negate().multiplyScalar(getWalkSpeed(nextAgent) * 0.8);
+            } else if (nextAgent) {
+                sim.log(`Agent ${nextAgent.id} was in entry queue but not in WAITING_ENTRY state? State: ${nextAgent.state}`);
+                nextAgent.state = AGENT_STATE.WANDERING; // Failsafe
+            }
+        }
+    }));
+}
+
+//-----------------------------------------------------------------------------
+// Department Occupancy
+//-----------------------------------------------------------------------------
+
+// Agents count towards a department's occupancy from being let through its entry portal until
+// they are out of its exit portal (or give up inside), so agents still crossing hold their place
+function occupyDepartment(agent, dept) {
+    dept.occupancy++;
+    agent.occupiedDepartment = dept;
+}
+
+function vacateDepartment(agent) {
+    if (!agent.occupiedDepartment) return;
+    agent.occupiedDepartment.occupancy--;
+    agent.occupiedDepartment = null;
+}
+
+function hasRoomInDepartment(dept) {
+    return dept.maxOccupancy === null || dept.occupancy < dept.maxOccupancy;
+}
+
+function getPatience(agent) {
+    return agent.persona ? agent.persona.patience : ENTRY_PATIENCE;
+}
+
+// Heads for one of dept's entry portals (by dept.portalChoice) and counts the visit attempt.
+// Departments on another level are set off for by way of escalators and elevators first.
+function setOffForDepartment(sim, agent, dept, walkSpeed) {
+    agent.targetDepartment = dept;
+    if (agent.targetDepartment && agent.targetDepartment.entryPortals.length > 0) {
+        if (dept.level !== agent.level) {
+            startLevelChange(sim, agent, dept.level, dept);
+            return;
+        }
+        setPortalTarget(sim, agent, choosePortal(agent.targetDepartment, 'entry', agent.position));
+        agent.state = AGENT_STATE.GOING_TO_DEPT;
+        recordVisit(sim, VISIT_EVENT.ATTEMPT, agent);
+        agent.velocity = getPathVelocity(agent, walkSpeed);
+    } else {
+        agent.targetDepartment = null; // Invalid target
+    }
+}
+
+// Leaves the line for a department that stayed full too long and sets off for another one:
+// the next on the agent's list (which keeps the full one for later) or any other department.
+// Agents with nowhere else to go wander off.
+function giveUpOnFullDepartment(sim, agent, walkSpeed) {
+    const fullDept = agent.targetDepartment;
+    const queue = agent.portalTarget.entryLine.queue;
+    queue.splice(queue.indexOf(agent), 1);
+    recordVisit(sim, VISIT_EVENT.ABANDONED, agent, ABANDON_REASON.DEPARTMENT_FULL);
+    sim.log(`Agent ${agent.id} gave up waiting for ${fullDept.name} (full), picking another department.`);
+    agent.queueJoinedAt = null;
+    agent.portalTarget = null;
+    agent.path = null;
+
+    const otherDepartments = sim.departments.filter(dept => dept !== fullDept);
+    const candidates = agent.persona ? agent.shoppingList.filter(dept => dept !== fullDept) : otherDepartments;
+    if (candidates.length > 0) {
+        setOffForDepartment(sim, agent, agent.persona
+            ? pickNextDepartment(agent.persona, candidates, otherDepartments, agent.position, agent.level, sim.random)
+            : sim.random.pick(candidates), walkSpeed);
+    } else {
+        agent.state = AGENT_STATE.WANDERING;
+        agent.targetDepartment = null;
+        agent.velocity = randomDirection(sim).multiplyScalar(walkSpeed);
+    }
+}
+
+function isQueueHeadAtFront(line) {
+    const head = line.queue[0];
+    return head !== undefined && head.position.distanceTo(line.slots[0]) < MIN_AGENT_SEPARATION;
+}
+
+//-----------------------------------------------------------------------------
+// Store Doors & Shopping Trips
+//-----------------------------------------------------------------------------
+
+// A trip for a new shopper, or null if the store has no exit to end it through
+function createTrip(sim, agent) {
+    if (!sim.doors.some(isExitDoor)) return null;
+    return {
+        startedAt: sim.time,
+        visitsLeft: agent.persona ? null : TRIP_MIN_VISITS + sim.random.int(TRIP_MAX_VISITS - TRIP_MIN_VISITS + 1),
+        deadline: sim.time + TRIP_MAX_DURATION,
+        items: 0,
+    };
+}
+
+function isTripOver(sim, agent) {
+    if (!agent.trip) return false;
+    if (sim.time >= agent.trip.deadline) return true;
+    return agent.persona ? agent.shoppingList.length === 0 : agent.trip.visitsLeft <= 0;
+}
+
+// New shopper stepping in through a random entrance door (on the ground level), heading into the store
+function spawnArrival(sim) {
+    const door = sim.random.pick(sim.doors.filter(isEntranceDoor));
+    const position = door.worldPos.clone()
+        .addScaledVector(door.tangent, sim.random.floatSpread(door.width - AGENT_RADIUS * 2))
+        .addScaledVector(door.inwardNormal, AGENT_RADIUS * 2); // Clear of the floor edge
+    const velocity = door.inwardNormal.clone()
+        .addScaledVector(door.tangent, sim.random.floatSpread(1)) // Fan out a little
+        .normalize().multiplyScalar(AGENT_MOVE_SPEED * sim.random.float(0.8, 1.2));
+
+    const agent = createAgent(sim.nextAgentId++, sim.levels[0], position, velocity, sim.time);
+    assignPersona(sim, agent);
+    agent.trip = createTrip(sim, agent);
+    sim.agents.push(agent);
+    door.arrivals++;
+    recordStoreEvent(sim.analytics, sim.time, STORE_EVENT.ARRIVED, agent, door);
+}
+
+// Trip over: down to the ground level first if need be, then to a checkout with items in
+// the basket (in stores that have one) or straight for an exit door
+function endTrip(sim, agent) {
+    if (agent.level !== sim.levels[0]) startLevelChange(sim, agent, sim.levels[0], null);
+    else if (agent.trip.items > 0 && sim.checkouts.length > 0) startCheckout(sim, agent);
+    else startLeaving(sim, agent);
+}
+
+// Ends the trip: route to the nearest exit door (around departments, like portal approaches),
+// first walking to `via` if given
+function startLeaving(sim, agent, via = null) {
+    const start = via || agent.position;
+    const door = findNearestExitDoor(sim.doors, start);
+    agent.state = AGENT_STATE.LEAVING;
+    agent.exitDoor = door;
+    const approachPoint = door.worldPos.clone().addScaledVector(door.inwardNormal, PORTAL_APPROACH_DISTANCE);
+    const path = agent.level.navGrid.findPath(start, approachPoint);
+    agent.path = via ? [via, ...(path || [])] : path;
+    agent.pathIndex = 0;
+    agent.velocity = getPathVelocity(agent, getWalkSpeed(agent), door.worldPos);
+}
+
+function removeDepartedAgents(sim) {
+    if (!sim.agents.some(agent => agent.hasLeft)) return;
+    sim.agents = sim.agents.filter(agent => {
+        if (!agent.hasLeft) return true;
+        agent.exitDoor.departures++;
+        recordStoreEvent(sim.analytics, sim.time, STORE_EVENT.DEPARTED, agent, agent.exitDoor);
+        return false;
+    });
+}
+
+//-----------------------------------------------------------------------------
+// Levels, Escalators & Elevators
+//-----------------------------------------------------------------------------
+
+// Lays out the line at each end of a link riders get on at: out from the landing along
+// end.queueDirection, bending around departments like a portal's entry line
+function buildLinkQueueLines(links) {
+    links.forEach(link => link.ends.forEach(end => {
+        if (!end.line) return;
+        const navGrid = end.level.navGrid;
+        end.line.slots = buildQueueLine(
+            end.worldPos.clone().addScaledVector(end.queueDirection, QUEUE_HEAD_DISTANCE), end.queueDirection,
+            QUEUE_SLOT_SPACING, QUEUE_MAX_SLOTS, point => !navGrid.isBlockedAt(point));
+    }));
+}
+
+// Sets off for another level (to visit dept there, or with dept null to end the trip on the
+// ground level) by the quickest escalators and elevators
+function startLevelChange(sim, agent, level, dept) {
+    agent.levelGoal = { level: level, department: dept };
+    agent.targetDepartment = dept;
+    goToLink(sim, agent, findLinkRoute(sim.links, agent.level, agent.position, level));
+}
+
+// Routes to the back of the line at one end of a link
+function goToLink(sim, agent, end) {
+    agent.state = AGENT_STATE.GOING_TO_LINK;
+    agent.linkEnd = end;
+    agent.portalTarget = null;
+    const backOfLine = getQueueLineSlot(end.line, end.line.queue.length);
+    agent.path = agent.level.navGrid.findPath(agent.position, backOfLine);
+    agent.pathIndex = 0;
+    agent.velocity = getPathVelocity(agent, getWalkSpeed(agent), backOfLine);
+}
+
+// Puts the head of each link line on once it has stepped up to the front slot and the link
+// has room, moves the links on and carries their riders. Riders who get to the other end step
+// off there and carry on.
+function processLinks(sim, delta) {
+    sim.links.forEach(link => {
+        link.ends.forEach(end => {
+            if (!end.line || !isQueueHeadAtFront(end.line) || !canBoardLink(link, end, sim.time)) return;
+            const agent = end.line.queue.shift();
+            agent.ride = boardLink(link, end, agent, sim.time);
+            agent.state = AGENT_STATE.RIDING_LINK;
+            agent.linkEnd = null;
+            agent.path = null;
+            agent.velocity.set(0, 0);
+            recordLinkEvent(sim.analytics, sim.time, LINK_EVENT.BOARDED, agent, link);
+        });
+        advanceLink(link, sim.time).forEach(ride => finishRide(sim, ride));
+        link.riders.forEach(ride => moveRider(sim, ride, delta));
+    });
+}
+
+// Elevator riders step into the car and wait for it to leave. Under way, riders move straight
+// from where they were to the other end (an elevator's ends are usually one above the other),
+// rising or falling with the ride.
+function moveRider(sim, ride, delta) {
+    const agent = ride.agent;
+    const before = agent.position.clone();
+    const progress = getRideProgress(ride, sim.time);
+    if (ride.departsAt === null) {
+        const toSpot = ride.from.worldPos.clone().add(ride.offset).sub(agent.position);
+        const distance = toSpot.length();
+        if (distance > 0) agent.position.addScaledVector(toSpot, Math.min(distance, getWalkSpeed(agent) * 0.5 * delta) / distance);
+    } else {
+        if (!ride.startPos) ride.startPos = agent.position.clone();
+        agent.position.copy(ride.startPos).lerp(ride.to.worldPos.clone().add(ride.offset), progress);
+    }
+    agent.elevation = ride.from.level.elevation + (ride.to.level.elevation - ride.from.level.elevation) * progress;
+    const moved = agent.position.clone().sub(before);
+    if (moved.lengthSq() > VELOCITY_THRESHOLD_SQ * delta * delta) agent.heading = Math.atan2(-moved.x, -moved.z);
+}
+
+// Off at the other end: on that level now, and on towards the agent's goal
+function finishRide(sim, ride) {
+    const agent = ride.agent;
+    agent.position.copy(ride.to.worldPos).add(ride.offset);
+    agent.level = ride.to.level;
+    agent.elevation = agent.level.elevation;
+    agent.ride = null;
+    agent.state = AGENT_STATE.WANDERING;
+    recordLinkEvent(sim.analytics, sim.time, LINK_EVENT.ARRIVED, agent, ride.link);
+    continueLevelChange(sim, agent);
+}
+
+// On to the next link towards agent.levelGoal or, once on that level, to the goal department
+// (or the end of the trip)
+function continueLevelChange(sim, agent) {
+    const goal = agent.levelGoal;
+    if (agent.level !== goal.level) {
+        goToLink(sim, agent, findLinkRoute(sim.links, agent.level, agent.position, goal.level));
+        return;
+    }
+    agent.levelGoal = null;
+    if (goal.department) setOffForDepartment(sim, agent, goal.department, getWalkSpeed(agent));
+    else endTrip(sim, agent);
+}
+
+//-----------------------------------------------------------------------------
+// Personas
+//-----------------------------------------------------------------------------
+
+// Draws a persona from the layout's mix, with its walking speed and first shopping list
+function assignPersona(sim, agent) {
+    if (!sim.personaMix) return;
+    agent.persona = pickPersona(sim.personaMix, sim.random);
+    agent.speedFactor = sampleSpeedFactor(agent.persona, sim.random);
+    agent.shoppingList = createShoppingList(agent.persona, sim.random);
+}
+
+// Visited dept: off the list it comes. Shoppers who never leave the store start a new list.
+function crossOffShoppingList(sim, agent, dept) {
+    agent.shoppingList = agent.shoppingList.filter(listed => listed !== dept);
+    if (agent.shoppingList.length === 0 && !agent.trip) {
+        agent.shoppingList = createShoppingList(agent.persona, sim.random);
+    }
+}
+
+function getWalkSpeed(agent) {
+    return AGENT_MOVE_SPEED * agent.speedFactor;
+}
+
+//-----------------------------------------------------------------------------
+// Checkouts
+//-----------------------------------------------------------------------------
+
+// Trip over with items in the basket: pick a lane at the nearest checkout and walk to the back of its line
+function startCheckout(sim, agent) {
+    const zone = findNearestCheckout(sim.checkouts, agent.position);
+    const lane = chooseLane(zone, agent.position, agent.trip.items);
+    agent.state = AGENT_STATE.GOING_TO_CHECKOUT;
+    agent.checkoutLane = lane;
+    lane.incoming++;
+    const backOfLine = getQueueSlotPosition(lane, lane.queue.length);
+    agent.path = agent.level.navGrid.findPath(agent.position, backOfLine);
+    agent.pathIndex = 0;
+    agent.velocity = getPathVelocity(agent, getWalkSpeed(agent), backOfLine);
+}
+
+// Paid: the line moves up and the agent leaves past the end of the counter, then for an exit
+function finishCheckout(sim, agent) {
+    const lane = agent.checkoutLane;
+    lane.queue.shift();
+    lane.served++;
+    recordCheckoutEvent(sim.analytics, sim.time, CHECKOUT_EVENT.SERVICE_END, agent, lane);
+    agent.trip.items = 0;
+    agent.checkoutLane = null;
+    startLeaving(sim, agent, lane.tillPos.clone().addScaledVector(lane.zone.queueDirection, -CHECKOUT_COUNTER_LENGTH));
+}
+
+//-----------------------------------------------------------------------------
+// Helper Functions
+//-----------------------------------------------------------------------------
+
+// Random spot in the department clear of its fixtures, or null if there's no room
+function getRandomPointInDepartment(sim, department) {
+    const size = department.config.size;
+    const padding = MODEL_SCALE * 1.5; // Ensure point is not too close to walls
+
+    if (size[0] <= padding * 2 || size[2] <= padding * 2) return null; // Dept too small
+
+    for (let attempt = 0; attempt < RANDOM_POINT_ATTEMPTS; attempt++) {
+        const point = new Vec2(
+            department.center.x + sim.random.floatSpread(size[0] - padding * 2),
+            department.center.z + sim.random.floatSpread(size[2] - padding * 2)
+        );
+        if (!isInsideFixture(department, point, padding)) return point;
+    }
+    return null;
+}
+
+// Where the agent walks next inside its department: the nearest product it hasn't browsed yet
+// this visit if the department has any (starting over once it has seen them all), otherwise
+// a random spot. Routed around fixtures.
+function pickDepartmentTarget(sim, agent) {
+    const dept = agent.targetDepartment;
+    if (dept.products.length > 0) {
+        if (agent.productsBrowsed.length >= dept.products.length) agent.productsBrowsed = [];
+        let nearest = null, nearestDistSq = Infinity;
+        dept.products.forEach(product => {
+            const distSq = product.position.distanceToSquared(agent.position);
+            if (distSq < nearestDistSq && !agent.productsBrowsed.includes(product)) {
+                nearestDistSq = distSq;
+                nearest = product;
+            }
+        });
+        agent.browseProduct = nearest;
+        agent.targetPosition = nearest.position.clone();
+    } else {
+        agent.browseProduct = null;
+        agent.targetPosition = getRandomPointInDepartment(sim, dept);
+    }
+    agent.path = agent.targetPosition && dept.navGrid ? dept.navGrid.findPath(agent.position, agent.targetPosition) : null;
+    agent.pathIndex = 0;
+}
+
+//-----------------------------------------------------------------------------
+// Routing
+//-----------------------------------------------------------------------------
+
+function setPortalTarget(sim, agent, portal) {
+    agent.portalTarget = portal;
+    agent.path = planPortalPath(sim, agent, portal);
+    agent.pathIndex = 0;
+    agent.pathReplans = 0;
+}
+
+// Route to a point just in front of the portal, walking around departments. Agents inside
+// the portal's department walk around its fixtures to a point just behind the opening (or
+// straight there if it has none), as does anyone the grid can't route.
+function planPortalPath(sim, agent, portal) {
+    const dept = agent.targetDepartment;
+    const navGrid = agent.level.navGrid;
+    if (dept && navGrid.isInsideDepartment(dept, agent.position)) {
+        return dept.navGrid ? dept.navGrid.findPath(agent.position, portal.worldPos.clone().addScaledVector(portal.faceNormal, -PORTAL_APPROACH_DISTANCE)) : null;
+    }
+
+    const approachPoint = portal.worldPos.clone().addScaledVector(portal.faceNormal, PORTAL_APPROACH_DISTANCE);
+    const path = navGrid.findPath(agent.position, approachPoint);
+    if (!path) sim.log(`Agent ${agent.id} found no route to portal, heading straight for it.`);
+    return path;
+}
+
+// Velocity towards the next waypoint, or the goal (by default the target portal) once the route is done
+function getPathVelocity(agent, speed, goal = agent.portalTarget.worldPos) {
+    const path = agent.path;
+    while (path && agent.pathIndex < path.length && isWaypointReached(agent, path, agent.pathIndex)) {
+        agent.pathIndex++;
+    }
+    const target = (path && agent.pathIndex < path.length) ? path[agent.pathIndex] : goal;
+    return target.clone().sub(agent.position).normalize().multiplyScalar(speed);
+}
+
+// Within WAYPOINT_REACHED_DISTANCE of the waypoint, or near it and already past it towards the
+// next one. Crowds converging on a corner can't all get onto it; they take it as they pass.
+function isWaypointReached(agent, path, index) {
+    const waypoint = path[index];
+    const distance = agent.position.distanceTo(waypoint);
+    if (distance < WAYPOINT_REACHED_DISTANCE) return true;
+    if (index + 1 >= path.length || distance >= WAYPOINT_PASS_DISTANCE) return false;
+    return agent.position.clone().sub(waypoint).dot(path[index + 1].clone().sub(waypoint)) > 0;
+}
+
+// Velocity towards a point one model length past the portal: side -1 is inside the department, +1 outside.
+// Agents released from a queue can start off to one side of the opening; they first line up in front of it.
+function getPortalCrossingVelocity(agent, portal, side, speed) {
+    const offset = agent.position.clone().sub(portal.worldPos);
+    const isBeforePortal = offset.dot(portal.faceNormal) * side < 0;
+    const lateralOffset = offset.projectOnPlane(portal.faceNormal).length();
+    const targetSide = (isBeforePortal && lateralOffset > portal.width / 2 - AGENT_RADIUS) ? -side : side;
+    const crossingPoint = portal.worldPos.clone().addScaledVector(portal.faceNormal, targetSide * MODEL_SCALE);
+    return crossingPoint.sub(agent.position).normalize().multiplyScalar(speed);
+}
+
+function randomDirection(sim) {
+    return new Vec2(sim.random.floatSpread(1), sim.random.floatSpread(1)).normalize();
+}
+
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
@@ -0,0 +1,104 @@
+// Social force steering (Helbing & Molnár): each agent relaxes towards the velocity its
+// state machine asks for (goal attraction) while exponentially decaying forces push it
+// away from nearby agents, department walls and the floor outline. Selected with
+// STEERING_MODEL.SOCIAL_FORCE in place of the bounce model in simulation.js.
+import { Vec2 } from './vec2.js';
+import { getDepartmentWalls, getFixtureWalls } from './departments.js';
+import {
+    AGENT_RADIUS, MIN_AGENT_SEPARATION,
+    SOCIAL_RELAXATION_TIME, SOCIAL_AGENT_STRENGTH, SOCIAL_AGENT_RANGE, SOCIAL_NEIGHBOR_RADIUS, SOCIAL_ANISOTROPY, SOCIAL_SIDESTEP,
+    SOCIAL_WALL_STRENGTH, SOCIAL_WALL_RANGE, SOCIAL_WALL_RADIUS, SOCIAL_MAX_SPEED,
+} from './constants.js';
+
+// Floor outline (with gaps at the store doors) plus every department and fixture wall, as
+// { start, end, normal, department } segments, for one level. floor is the level's (sim/levels.js);
+// only the ground level has doors.
+export function buildWallSegments(floor, departments, doors = []) {
+    const walls = [];
+    floor.edges.forEach(edge => {
+        const edgeDoors = doors.filter(door => door.edgeIndex === edge.index);
+        splitAtDoors(edge, edgeDoors).forEach(([start, end]) => {
+            walls.push({ start, end, normal: edge.normal, department: null });
+        });
+    });
+    departments.forEach(dept => {
+        getDepartmentWalls(dept).forEach(wall => walls.push({ ...wall, department: dept }));
+        // Fixtures repel everyone from outside, like the floor edges do from within
+        dept.fixtures.forEach(fixture => {
+            getFixtureWalls(fixture).forEach(wall => walls.push({ ...wall, department: null }));
+        });
+    });
+    return walls;
+}
+
+// Pieces of a floor edge left over after cutting out the doors on it
+function splitAtDoors(edge, doors) {
+    const gaps = doors
+        .map(door => {
+            const center = door.worldPos.clone().sub(edge.start).dot(edge.direction);
+            return [center - door.width / 2, center + door.width / 2];
+        })
+        .sort((a, b) => a[0] - b[0]);
+
+    const pieces = [];
+    let from = 0;
+    gaps.forEach(([gapStart, gapEnd]) => {
+        if (gapStart > from) pieces.push([from, gapStart]);
+        from = Math.max(from, gapEnd);
+    });
+    if (from < edge.length) pieces.push([from, edge.length]);
+    return pieces.map(([a, b]) => [edge.start.clone().addScaledVector(edge.direction, a), edge.start.clone().addScaledVector(edge.direction, b)]);
+}
+
+// The agent's velocity after delta seconds of social forces. agent.preferredVelocity is the
+// goal velocity; neighbours on its level come from sim.agentGrid (rebuilt this step), walls from
+// its level's wallSegments.
+export function getSocialForceVelocity(sim, agent, delta) {
+    // Goal attraction
+    const force = agent.preferredVelocity.clone().sub(agent.velocity).multiplyScalar(1 / SOCIAL_RELAXATION_TIME);
+
+    // Agent repulsion, weaker for agents behind (people mostly react to what they can see)
+    const facing = agent.preferredVelocity.lengthSq() > 0 ? agent.preferredVelocity.clone().normalize() : null;
+    const away = new Vec2();
+    sim.agentGrid.forEachNear(agent.position.x, agent.position.z, SOCIAL_NEIGHBOR_RADIUS, other => {
+        if (other === agent || other.level !== agent.level) return;
+        away.copy(agent.position).sub(other.position);
+        const distance = away.length();
+        if (distance === 0 || distance >= SOCIAL_NEIGHBOR_RADIUS) return;
+        away.multiplyScalar(1 / distance);
+
+        let strength = SOCIAL_AGENT_STRENGTH * Math.exp((MIN_AGENT_SEPARATION - distance) / SOCIAL_AGENT_RANGE);
+        if (facing) {
+            const cosAngle = -away.dot(facing); // 1 when the other agent is straight ahead
+            strength *= SOCIAL_ANISOTROPY + (1 - SOCIAL_ANISOTROPY) * (1 + cosAngle) / 2;
+            // Someone ahead coming the other way: step to the right. Both do, so they pass rather
+            // than hold each other off head-on, which jams counterflows through a corner.
+            if (cosAngle > 0 && other.preferredVelocity.dot(facing) < 0) {
+                force.x -= facing.z * strength * SOCIAL_SIDESTEP * cosAngle;
+                force.z += facing.x * strength * SOCIAL_SIDESTEP * cosAngle;
+            }
+        }
+        force.addScaledVector(away, strength);
+    });
+
+    // Wall repulsion from the closest point of each nearby wall. Department walls repel from
+    // inside only the agents visiting that department, so anyone who ends up in the wrong box
+    // (e.g. spawned there) can still walk out, as with the one-sided wall raycast.
+    agent.level.wallSegments.forEach(wall => {
+        closestPointOnSegment(agent.position, wall.start, wall.end, away);
+        away.sub(agent.position).negate();
+        const distance = away.length();
+        if (distance === 0 || distance >= SOCIAL_WALL_RADIUS) return;
+        if (away.dot(wall.normal) <= 0 && (!wall.department || wall.department !== agent.targetDepartment)) return;
+        force.addScaledVector(away, SOCIAL_WALL_STRENGTH * Math.exp((AGENT_RADIUS - distance) / SOCIAL_WALL_RANGE) / distance);
+    });
+
+    return agent.velocity.clone().addScaledVector(force, delta).clampLength(0, SOCIAL_MAX_SPEED);
+}
+
+function closestPointOnSegment(point, start, end, target) {
+    target.copy(end).sub(start);
+    const lengthSq = target.lengthSq();
+    const t = lengthSq > 0 ? Math.min(1, Math.max(0, point.clone().sub(start).dot(target) / lengthSq)) : 0;
+    return target.multiplyScalar(t).add(start);
+}
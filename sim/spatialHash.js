@@ -0,0 +1,46 @@
+// Uniform grid over the floor plane for neighbour queries. Rebuilt every step
+// (clear + insert), which is cheaper than tracking agents as they move between cells.
+
+const CELL_KEY_OFFSET = 32768; // Lets negative cell coordinates share one numeric key space
+
+export class SpatialHash {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // Cell key -> array of items
+        this.usedCells = [];    // Arrays filled since the last clear, kept to reuse their storage
+    }
+
+    clear() {
+        this.usedCells.forEach(cell => { cell.length = 0; });
+        this.usedCells.length = 0;
+    }
+
+    insert(item, x, z) {
+        const key = this.keyFor(Math.floor(x / this.cellSize), Math.floor(z / this.cellSize));
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+        if (cell.length === 0) this.usedCells.push(cell);
+        cell.push(item);
+    }
+
+    // Calls fn(item) for every item in the cells overlapping the square around (x, z).
+    // Candidates can be up to a cell farther than radius; callers do the exact distance check.
+    forEachNear(x, z, radius, fn) {
+        const minX = Math.floor((x - radius) / this.cellSize), maxX = Math.floor((x + radius) / this.cellSize);
+        const minZ = Math.floor((z - radius) / this.cellSize), maxZ = Math.floor((z + radius) / this.cellSize);
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cz = minZ; cz <= maxZ; cz++) {
+                const cell = this.cells.get(this.keyFor(cx, cz));
+                if (!cell) continue;
+                for (let i = 0; i < cell.length; i++) fn(cell[i]);
+            }
+        }
+    }
+
+    keyFor(cx, cz) {
+        return (cx + CELL_KEY_OFFSET) * 65536 + (cz + CELL_KEY_OFFSET);
+    }
+}
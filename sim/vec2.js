@@ -0,0 +1,102 @@
+// Minimal 2D vector on the floor plane (x, z). Mirrors the parts of THREE.Vector3's
+// chaining API the simulation uses, so the agent logic reads the same without Three.js.
+
+export class Vec2 {
+    constructor(x = 0, z = 0) {
+        this.x = x;
+        this.z = z;
+    }
+
+    set(x, z) {
+        this.x = x;
+        this.z = z;
+        return this;
+    }
+
+    copy(v) {
+        this.x = v.x;
+        this.z = v.z;
+        return this;
+    }
+
+    clone() {
+        return new Vec2(this.x, this.z);
+    }
+
+    add(v) {
+        this.x += v.x;
+        this.z += v.z;
+        return this;
+    }
+
+    addScaledVector(v, s) {
+        this.x += v.x * s;
+        this.z += v.z * s;
+        return this;
+    }
+
+    sub(v) {
+        this.x -= v.x;
+        this.z -= v.z;
+        return this;
+    }
+
+    multiplyScalar(s) {
+        this.x *= s;
+        this.z *= s;
+        return this;
+    }
+
+    negate() {
+        this.x = -this.x;
+        this.z = -this.z;
+        return this;
+    }
+
+    dot(v) {
+        return this.x * v.x + this.z * v.z;
+    }
+
+    lengthSq() {
+        return this.x * this.x + this.z * this.z;
+    }
+
+    length() {
+        return Math.sqrt(this.lengthSq());
+    }
+
+    normalize() {
+        const len = this.length();
+        return len > 0 ? this.multiplyScalar(1 / len) : this;
+    }
+
+    distanceToSquared(v) {
+        const dx = this.x - v.x, dz = this.z - v.z;
+        return dx * dx + dz * dz;
+    }
+
+    distanceTo(v) {
+        return Math.sqrt(this.distanceToSquared(v));
+    }
+
+    clampLength(min, max) {
+        const len = this.length();
+        if (len === 0) return this;
+        return this.multiplyScalar(Math.max(min, Math.min(max, len)) / len);
+    }
+
+    // Removes the component along a unit normal (slide along a wall)
+    projectOnPlane(normal) {
+        return this.addScaledVector(normal, -this.dot(normal));
+    }
+
+    lerp(v, t) {
+        this.x += (v.x - this.x) * t;
+        this.z += (v.z - this.z) * t;
+        return this;
+    }
+
+    equals(v) {
+        return this.x === v.x && this.z === v.z;
+    }
+}
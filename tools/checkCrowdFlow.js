@@ -0,0 +1,96 @@
+// High-density headless runs that check crowds keep moving under both steering models.
+//
+//   node tools/checkCrowdFlow.js [--minutes M] [--seed N]
+//
+// Runs each case below for M simulated minutes (default 10) with bounce and with social force
+// steering, and fails (exit code 1) unless, over the second half of the run, every department
+// admitted and let out at least MIN_SERVED agents and, in layouts with store doors, at least
+// MIN_SERVED shoppers left the store. A crowd that jams short of the portals fails this even
+// though nothing errors.
+import { readFileSync } from 'node:fs';
+import { validateLayout } from '../sim/layout.js';
+import { createSimulation, spawnAgents, stepSimulation } from '../sim/simulation.js';
+import { summarizeAnalytics, summarizeStore } from '../sim/analytics.js';
+import {
+    FLOOR_WIDTH, FLOOR_DEPTH, PORTAL_WIDTH_FACTOR, DOOR_WIDTH, CHECKOUT_LANE_SPACING, FIXED_TIME_STEP, STEERING_MODEL,
+} from '../sim/constants.js';
+
+const CASES = [
+    { layout: 'layouts/baseline.json', agents: 100 },
+    { layout: 'layouts/doors.json', agents: 300 },
+];
+const MIN_SERVED = 20;
+
+function parseArgs(argv) {
+    const args = { minutes: 10, seed: 1 };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--minutes') args.minutes = parseFloat(argv[++i]);
+        else if (arg === '--seed') args.seed = parseInt(argv[++i], 10);
+        else {
+            console.error('Usage: node tools/checkCrowdFlow.js [--minutes M] [--seed N]');
+            process.exit(1);
+        }
+    }
+    return args;
+}
+
+// Entries and exits per department, and store departures, so far
+function countServed(sim) {
+    return {
+        departments: summarizeAnalytics(sim.analytics).map(summary => ({ name: summary.name, entries: summary.entries, exits: summary.exits })),
+        departures: sim.doors.length > 0 ? summarizeStore(sim.analytics).departures : null,
+    };
+}
+
+// Problems with the flow between two countServed results, as messages
+function checkServed(before, after) {
+    const problems = [];
+    after.departments.forEach((dept, i) => {
+        const entries = dept.entries - before.departments[i].entries;
+        const exits = dept.exits - before.departments[i].exits;
+        if (entries < MIN_SERVED) problems.push(`${dept.name}: only ${entries} entries`);
+        if (exits < MIN_SERVED) problems.push(`${dept.name}: only ${exits} exits`);
+    });
+    if (after.departures !== null && after.departures - before.departures < MIN_SERVED) {
+        problems.push(`only ${after.departures - before.departures} shoppers left the store`);
+    }
+    return problems;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const halfSteps = Math.round(args.minutes * 60 / 2 / FIXED_TIME_STEP);
+let failures = 0;
+
+CASES.forEach(({ layout: path, agents }) => {
+    const layout = JSON.parse(readFileSync(path, 'utf8'));
+    const errors = validateLayout(layout, {
+        floorWidth: FLOOR_WIDTH, floorDepth: FLOOR_DEPTH, defaultPortalWidth: PORTAL_WIDTH_FACTOR, defaultDoorWidth: DOOR_WIDTH,
+        defaultLaneSpacing: CHECKOUT_LANE_SPACING,
+    });
+    if (errors.length > 0) {
+        console.error(`Layout ${path} rejected:\n  ${errors.join('\n  ')}`);
+        process.exit(1);
+    }
+
+    Object.values(STEERING_MODEL).forEach(steeringModel => {
+        const sim = createSimulation(layout, { seed: args.seed, steeringModel });
+        spawnAgents(sim, agents);
+        for (let i = 0; i < halfSteps; i++) stepSimulation(sim, FIXED_TIME_STEP);
+        const halfway = countServed(sim);
+        for (let i = 0; i < halfSteps; i++) stepSimulation(sim, FIXED_TIME_STEP);
+        const end = countServed(sim);
+
+        const problems = checkServed(halfway, end);
+        const served = end.departments.map((dept, i) => `${dept.name} ${dept.entries - halfway.departments[i].entries}/${dept.exits - halfway.departments[i].exits}`);
+        if (end.departures !== null) served.push(`left ${end.departures - halfway.departures}`);
+        console.log(`${problems.length > 0 ? 'FAIL' : 'ok  '} ${path}, ${agents} agents, ${steeringModel}: ${served.join(', ')}`);
+        problems.forEach(problem => console.log(`       ${problem}`));
+        if (problems.length > 0) failures++;
+    });
+});
+
+if (failures > 0) {
+    console.error(`${failures} run(s) jammed: fewer than ${MIN_SERVED} agents served in the second half`);
+    process.exit(1);
+}
@@ -0,0 +1,101 @@
+// Checks that headless runs are reproducible: the same layout, seed and steering model must give
+// the same run every time.
+//
+//   node tools/checkDeterminism.js [--agents N] [--minutes M] [--seed N]
+//
+// For every layout in layouts/index.json and both steering models, steps two simulations side by
+// side for M simulated minutes (default 5) and compares their snapshots every simulated second
+// and their full exports (KPIs, events and trajectories) at the end. Also checks that agents got
+// served: some department entries and exits and, in layouts with store doors, some departures
+// (runs much shorter than the default can end before anyone leaves).
+// Exits with code 1 if any run diverged or nobody was served.
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { validateLayout } from '../sim/layout.js';
+import { createSimulation, spawnAgents, stepSimulation, getSnapshot } from '../sim/simulation.js';
+import { summarizeAnalytics, summarizeStore } from '../sim/analytics.js';
+import { TrajectoryRecorder, buildRunJSON } from '../sim/runExport.js';
+import {
+    FLOOR_WIDTH, FLOOR_DEPTH, PORTAL_WIDTH_FACTOR, DOOR_WIDTH, CHECKOUT_LANE_SPACING, FIXED_TIME_STEP, STEERING_MODEL, TRAJECTORY_SAMPLE_INTERVAL,
+} from '../sim/constants.js';
+
+const LAYOUT_INDEX = 'layouts/index.json';
+const STEPS_PER_SNAPSHOT = Math.round(1 / FIXED_TIME_STEP);
+
+function parseArgs(argv) {
+    const args = { agents: 50, minutes: 5, seed: 1 };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--agents') args.agents = parseInt(argv[++i], 10);
+        else if (arg === '--minutes') args.minutes = parseFloat(argv[++i]);
+        else if (arg === '--seed') args.seed = parseInt(argv[++i], 10);
+        else {
+            console.error('Usage: node tools/checkDeterminism.js [--agents N] [--minutes M] [--seed N]');
+            process.exit(1);
+        }
+    }
+    return args;
+}
+
+function startRun(layout, args, steeringModel) {
+    const sim = createSimulation(layout, { seed: args.seed, steeringModel });
+    spawnAgents(sim, args.agents);
+    const recorder = new TrajectoryRecorder(TRAJECTORY_SAMPLE_INTERVAL);
+    recorder.record(sim);
+    return { sim, recorder };
+}
+
+// Problems found comparing two runs of the same layout, seed and steering model, as messages
+function compareRuns(layout, args, steeringModel) {
+    const runs = [startRun(layout, args, steeringModel), startRun(layout, args, steeringModel)];
+    const steps = Math.round(args.minutes * 60 / FIXED_TIME_STEP);
+    for (let i = 1; i <= steps; i++) {
+        runs.forEach(run => {
+            stepSimulation(run.sim, FIXED_TIME_STEP);
+            run.recorder.record(run.sim);
+        });
+        if (i % STEPS_PER_SNAPSHOT === 0 || i === steps) {
+            const [first, second] = runs.map(run => JSON.stringify(getSnapshot(run.sim)));
+            if (first !== second) return [`snapshots diverged at ${runs[0].sim.time.toFixed(2)} s`];
+        }
+    }
+
+    const problems = [];
+    const [first, second] = runs.map(run => buildRunJSON(run.sim, run.recorder));
+    if (first !== second) problems.push('exports differ');
+
+    const sim = runs[0].sim;
+    const summaries = summarizeAnalytics(sim.analytics);
+    if (summaries.every(summary => summary.entries === 0)) problems.push('no department entries');
+    if (summaries.every(summary => summary.exits === 0)) problems.push('no department exits');
+    if (sim.doors.length > 0 && summarizeStore(sim.analytics).departures === 0) problems.push('nobody left the store');
+    return problems;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const index = JSON.parse(readFileSync(LAYOUT_INDEX, 'utf8'));
+let failures = 0;
+
+index.layouts.forEach(entry => {
+    const path = join(dirname(LAYOUT_INDEX), entry.file);
+    const layout = JSON.parse(readFileSync(path, 'utf8'));
+    const errors = validateLayout(layout, {
+        floorWidth: FLOOR_WIDTH, floorDepth: FLOOR_DEPTH, defaultPortalWidth: PORTAL_WIDTH_FACTOR, defaultDoorWidth: DOOR_WIDTH,
+        defaultLaneSpacing: CHECKOUT_LANE_SPACING,
+    });
+    if (errors.length > 0) {
+        console.error(`Layout ${path} rejected:\n  ${errors.join('\n  ')}`);
+        process.exit(1);
+    }
+
+    Object.values(STEERING_MODEL).forEach(steeringModel => {
+        const problems = compareRuns(layout, args, steeringModel);
+        console.log(`${problems.length > 0 ? 'FAIL' : 'ok  '} ${path}, ${steeringModel}${problems.length > 0 ? ': ' + problems.join(', ') : ''}`);
+        if (problems.length > 0) failures++;
+    });
+});
+
+if (failures > 0) {
+    console.error(`${failures} run(s) failed (${args.agents} agents, seed ${args.seed}, ${args.minutes} min)`);
+    process.exit(1);
+}
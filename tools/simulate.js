@@ -0,0 +1,168 @@
+// Headless batch run of the simulation core in Node (no WebGL, DOM or model assets).
+//
+//   node tools/simulate.js layouts/baseline.json --agents 200 --hours 1 --dt 0.05 --seed 42 --steering social-force
+//
+// Prints how many agents ended in each state and the per-department visit analytics
+// (plus arrivals, departures and trip times, per persona where the layout has them, for layouts
+// with store doors, queue waits and
+// service times per lane for layouts with checkouts, and rides and queue waits per escalator
+// and elevator for multi-level layouts).
+// --export out/run1 also writes out/run1-trajectories.csv, -events.csv, -kpis.csv and out/run1.json.
+// --record out/run1.rec writes a step-by-step recording that the browser can load and replay.
+// --verbose prints the simulation's per-agent debug messages (queue releases, wall hits, ...) as they happen.
+import { readFileSync, writeFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { validateLayout } from '../sim/layout.js';
+import { createSimulation, spawnAgents, stepSimulation } from '../sim/simulation.js';
+import { summarizeAnalytics, summarizePortals, summarizeStore, summarizeCheckouts, summarizeLinks } from '../sim/analytics.js';
+import { RunRecording } from '../sim/recording.js';
+import { TrajectoryRecorder, buildRunJSON, trajectoriesToCSV, eventsToCSV, kpisToCSV, buildKpis } from '../sim/runExport.js';
+import {
+    FLOOR_WIDTH, FLOOR_DEPTH, PORTAL_WIDTH_FACTOR, DOOR_WIDTH, CHECKOUT_LANE_SPACING, FIXED_TIME_STEP, STEERING_MODEL, TRAJECTORY_SAMPLE_INTERVAL,
+} from '../sim/constants.js';
+
+function parseArgs(argv) {
+    const args = { layout: null, agents: 25, hours: 1, dt: FIXED_TIME_STEP, seed: 1, steering: STEERING_MODEL.BOUNCE, export: null, record: null, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--agents') args.agents = parseInt(argv[++i], 10);
+        else if (arg === '--hours') args.hours = parseFloat(argv[++i]);
+        else if (arg === '--dt') args.dt = parseFloat(argv[++i]);
+        else if (arg === '--seed') args.seed = parseInt(argv[++i], 10);
+        else if (arg === '--steering') args.steering = argv[++i];
+        else if (arg === '--export') args.export = argv[++i];
+        else if (arg === '--record') args.record = argv[++i];
+        else if (arg === '--verbose') args.verbose = true;
+        else args.layout = arg;
+    }
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (!args.layout) {
+    console.error('Usage: node tools/simulate.js <layout.json> [--agents N] [--hours H] [--dt seconds] [--seed N] [--steering bounce|social-force] [--export prefix] [--record file] [--verbose]');
+    process.exit(1);
+}
+if (!Object.values(STEERING_MODEL).includes(args.steering)) {
+    console.error(`Unknown steering model "${args.steering}" (expected ${Object.values(STEERING_MODEL).join(' or ')})`);
+    process.exit(1);
+}
+
+const layout = JSON.parse(readFileSync(args.layout, 'utf8'));
+const errors = validateLayout(layout, {
+    floorWidth: FLOOR_WIDTH, floorDepth: FLOOR_DEPTH, defaultPortalWidth: PORTAL_WIDTH_FACTOR, defaultDoorWidth: DOOR_WIDTH,
+    defaultLaneSpacing: CHECKOUT_LANE_SPACING,
+});
+if (errors.length > 0) {
+    console.error(`Layout ${args.layout} rejected:\n  ${errors.join('\n  ')}`);
+    process.exit(1);
+}
+
+const sim = createSimulation(layout, { seed: args.seed, steeringModel: args.steering, log: args.verbose ? console.log : undefined });
+spawnAgents(sim, args.agents);
+
+const steps = Math.round(args.hours * 3600 / args.dt);
+const startedAt = Date.now();
+const recorder = args.export ? new TrajectoryRecorder(TRAJECTORY_SAMPLE_INTERVAL) : null;
+const recording = args.record ? new RunRecording() : null;
+if (recording) {
+    recording.start(sim, {
+        layoutId: basename(args.layout, '.json'), layout: layout, seed: sim.seed, agentCount: args.agents,
+        steeringModel: args.steering, timeStep: args.dt,
+    });
+}
+for (let i = 0; i < steps; i++) {
+    stepSimulation(sim, args.dt);
+    if (recorder) recorder.record(sim);
+    if (recording) recording.record(sim);
+}
+
+const stateCounts = {};
+sim.agents.forEach(agent => { stateCounts[agent.state] = (stateCounts[agent.state] || 0) + 1; });
+console.log(`${layout.name}: ${args.agents} agents, seed ${args.seed}, ${args.steering} steering, ${args.hours} h simulated in ${steps} steps (${((Date.now() - startedAt) / 1000).toFixed(1)} s wall time)`);
+console.table(stateCounts);
+
+const formatSeconds = value => value === null ? '-' : +value.toFixed(1);
+console.table(summarizeAnalytics(sim.analytics).map(summary => ({
+    department: summary.name,
+    attempts: summary.attempts,
+    abandoned: summary.abandoned,
+    entries: summary.entries,
+    exits: summary.exits,
+    inside: summary.inside,
+    'dwell mean': formatSeconds(summary.dwell.mean),
+    'dwell p90': formatSeconds(summary.dwell.p90),
+    'entry wait mean': formatSeconds(summary.entryQueueWait.mean),
+    'entry wait p90': formatSeconds(summary.entryQueueWait.p90),
+    'exit wait mean': formatSeconds(summary.exitQueueWait.mean),
+})));
+
+console.table(summarizePortals(sim.analytics, sim.time).map(portal => ({
+    portal: portal.name,
+    direction: portal.direction,
+    width: portal.width,
+    capacity: portal.capacity,
+    'limit /s': portal.flowRate,
+    in: portal.entries,
+    out: portal.exits,
+    'per min': portal.perMinute === null ? '-' : +portal.perMinute.toFixed(1),
+    'peak /min': portal.peakPerMinute,
+    'crossing mean': formatSeconds(portal.crossingTime.mean),
+    'queue wait mean': formatSeconds(portal.queueWait.mean),
+})));
+
+if (sim.doors.length > 0) {
+    const store = summarizeStore(sim.analytics);
+    console.log(`Store: ${store.arrivals} arrived, ${store.departures} left, ${sim.agents.length} still inside; ` +
+        `trip mean ${formatSeconds(store.trip.mean)} s, p90 ${formatSeconds(store.trip.p90)} s`);
+    console.table(sim.doors.map(door => ({ door: door.name, type: door.type, arrivals: door.arrivals, departures: door.departures })));
+    if (store.personas.length > 0) {
+        console.table(store.personas.map(persona => ({
+            persona: persona.name,
+            departures: persona.departures,
+            'trip mean': formatSeconds(persona.trip.mean),
+            'trip p90': formatSeconds(persona.trip.p90),
+        })));
+    }
+}
+
+if (sim.checkouts.length > 0) {
+    const queueLengths = new Map(sim.checkouts.flatMap(zone => zone.lanes.map(lane => [lane.name, lane.queue.length])));
+    console.table(summarizeCheckouts(sim.analytics).map(lane => ({
+        lane: lane.name + (lane.express ? ' (express)' : ''),
+        'in line': queueLengths.get(lane.name),
+        served: lane.served,
+        'wait mean': formatSeconds(lane.queueWait.mean),
+        'wait p90': formatSeconds(lane.queueWait.p90),
+        'service mean': formatSeconds(lane.serviceTime.mean),
+    })));
+}
+
+if (sim.links.length > 0) {
+    const links = new Map(sim.links.map(link => [link.name, link]));
+    console.table(summarizeLinks(sim.analytics).map(summary => ({
+        link: summary.name,
+        type: summary.type,
+        capacity: summary.capacity,
+        'in line': links.get(summary.name).ends.reduce((sum, end) => sum + (end.line ? end.line.queue.length : 0), 0),
+        riding: links.get(summary.name).riders.length,
+        rides: summary.rides,
+        'wait mean': formatSeconds(summary.queueWait.mean),
+        'wait p90': formatSeconds(summary.queueWait.p90),
+        'ride mean': formatSeconds(summary.rideTime.mean),
+    })));
+}
+
+if (args.export) {
+    writeFileSync(`${args.export}-trajectories.csv`, trajectoriesToCSV(recorder));
+    writeFileSync(`${args.export}-events.csv`, eventsToCSV(sim.analytics));
+    writeFileSync(`${args.export}-kpis.csv`, kpisToCSV(buildKpis(sim)));
+    writeFileSync(`${args.export}.json`, buildRunJSON(sim, recorder));
+    console.log(`Exported ${recorder.rowCount} trajectory rows and ${sim.analytics.events.length} events to ${args.export}*`);
+}
+
+if (args.record) {
+    writeFileSync(args.record, new Uint8Array(recording.serialize()));
+    const note = recording.isFull ? ' (recording limit reached, later steps were not recorded)' : '';
+    console.log(`Recorded ${recording.frameCount} steps, ${recording.duration.toFixed(1)} s, to ${args.record}${note}`);
+}